@@ -3,12 +3,22 @@
  */
 import { FileUploadHandler } from './FileUploadHandler.js';
 import { FileListManager } from './FileListManager.js';
+import { MetadataForm } from './MetadataForm.js';
 import { PDFProcessor } from './PDFProcessor.js';
 import { UIController } from './UIController.js';
 import { ErrorHandler } from './ErrorHandler.js';
 import { ToolManager } from './ToolManager.js';
 import { SplitTool } from './SplitTool.js';
 import { WordConvertTool } from './WordConvertTool.js';
+import { RotateTool } from './RotateTool.js';
+import { CompressTool } from './CompressTool.js';
+import { WatermarkTool } from './WatermarkTool.js';
+import { PageNumberTool } from './PageNumberTool.js';
+import { MetadataTool } from './MetadataTool.js';
+import { ImagesTool } from './ImagesTool.js';
+import { PasswordPrompt } from './PasswordPrompt.js';
+import { setPasswordPrompt } from '../utils/pdfPasswords.js';
+import { isCancelledError } from '../utils/cancellation.js';
 
 export class AppController {
     constructor() {
@@ -22,6 +32,7 @@ export class AppController {
         // Initialize components
         this.uiController = new UIController();
         this.errorHandler = new ErrorHandler();
+        this.passwordPrompt = new PasswordPrompt();
         this.pdfProcessor = new PDFProcessor((progress) => {
             this.handleProgress(progress);
         });
@@ -30,6 +41,12 @@ export class AppController {
         this.toolManager = new ToolManager();
         this.splitTool = new SplitTool(this.uiController, this.errorHandler);
         this.wordConvertTool = new WordConvertTool(this.uiController, this.errorHandler);
+        this.rotateTool = new RotateTool(this.uiController, this.errorHandler);
+        this.compressTool = new CompressTool(this.uiController, this.errorHandler);
+        this.watermarkTool = new WatermarkTool(this.uiController, this.errorHandler);
+        this.pageNumberTool = new PageNumberTool(this.uiController, this.errorHandler);
+        this.metadataTool = new MetadataTool(this.uiController, this.errorHandler);
+        this.imagesTool = new ImagesTool(this.uiController, this.errorHandler);
 
         // Will be initialized in init()
         this.fileUploadHandler = null;
@@ -49,6 +66,9 @@ export class AppController {
     }
 
     initializeComponents() {
+        // Encrypted PDFs in any tool ask for their password through this dialog
+        setPasswordPrompt((fileName, isRetry) => this.passwordPrompt.requestPassword(fileName, isRetry));
+
         // Initialize file upload handler
         const dropZone = document.getElementById('drop-zone');
         const fileInput = document.getElementById('file-input');
@@ -73,6 +93,13 @@ export class AppController {
             fileListContainer,
             (files) => this.handleOrderChange(files)
         );
+
+        // Dates are always the time of the merge, so only the text fields are offered
+        this.mergeMetadataForm = new MetadataForm(
+            document.getElementById('merge-metadata-fields'),
+            'merge-metadata',
+            ['title', 'author', 'subject', 'keywords', 'creator', 'producer']
+        );
     }
 
     setupEventListeners() {
@@ -81,9 +108,18 @@ export class AppController {
             onMerge: () => this.handleMergeRequest(),
             onClear: () => this.handleClearRequest(),
             onStartOver: () => this.handleStartOver(),
-            onRetry: () => this.handleRetry()
+            onRetry: () => this.handleRetry(),
+            onCancel: () => this.handleCancel()
         });
 
+        const metadataMode = document.getElementById('merge-metadata-mode');
+        const metadataFields = document.getElementById('merge-metadata-fields');
+        if (metadataMode && metadataFields) {
+            metadataMode.addEventListener('change', () => {
+                metadataFields.style.display = metadataMode.value === 'custom' ? 'block' : 'none';
+            });
+        }
+
         // Set up tool manager
         this.toolManager.onToolChange = (toolName) => this.handleToolChange(toolName);
 
@@ -240,7 +276,11 @@ export class AppController {
             console.log('Selected pages for merge:', selectedPages);
             
             // Merge PDFs with selected pages
-            const mergedPdfBytes = await this.pdfProcessor.mergePDFs(this.state.files, selectedPages);
+            const mergedPdfBytes = await this.pdfProcessor.mergePDFs(
+                this.state.files,
+                selectedPages,
+                this.getMergeMetadata()
+            );
             
             // Create download
             const blob = new Blob([mergedPdfBytes], { type: 'application/pdf' });
@@ -259,6 +299,12 @@ export class AppController {
             this.uiController.showNotification('PDF merged successfully!', 'success');
 
         } catch (error) {
+            if (isCancelledError(error)) {
+                // Back to the file list so the merge can be started again
+                this.uiController.showCancelled();
+                this.uiController.showFileList();
+                return;
+            }
             this.errorHandler.handleProcessingError(error);
             this.uiController.showError(error.message, true);
         } finally {
@@ -267,6 +313,31 @@ export class AppController {
         }
     }
 
+    // Cancel button in the shared progress section
+    handleCancel() {
+        const currentTool = this.toolManager.getCurrentTool();
+        
+        if (currentTool === 'merge') {
+            this.pdfProcessor.cancel();
+        } else if (currentTool === 'split') {
+            this.splitTool.cancel();
+        } else if (currentTool === 'word-convert') {
+            this.wordConvertTool.cancel();
+        } else if (currentTool === 'rotate') {
+            this.rotateTool.cancel();
+        } else if (currentTool === 'compress') {
+            this.compressTool.cancel();
+        } else if (currentTool === 'watermark') {
+            this.watermarkTool.cancel();
+        } else if (currentTool === 'page-numbers') {
+            this.pageNumberTool.cancel();
+        } else if (currentTool === 'metadata') {
+            this.metadataTool.cancel();
+        } else if (currentTool === 'images-to-pdf') {
+            this.imagesTool.cancel();
+        }
+    }
+
     handleProgress(progress) {
         this.uiController.updateProgress(progress.percentage, progress.message);
     }
@@ -298,6 +369,18 @@ export class AppController {
             this.splitTool.reset();
         } else if (currentTool === 'word-convert') {
             this.wordConvertTool.reset();
+        } else if (currentTool === 'rotate') {
+            this.rotateTool.reset();
+        } else if (currentTool === 'compress') {
+            this.compressTool.reset();
+        } else if (currentTool === 'watermark') {
+            this.watermarkTool.reset();
+        } else if (currentTool === 'page-numbers') {
+            this.pageNumberTool.reset();
+        } else if (currentTool === 'metadata') {
+            this.metadataTool.reset();
+        } else if (currentTool === 'images-to-pdf') {
+            this.imagesTool.reset();
         }
         
         this.uiController.reset();
@@ -305,6 +388,9 @@ export class AppController {
     }
 
     handleToolChange(toolName) {
+        // Stop work in the tool being left; its result would land in the wrong tool
+        this.cancelProcessing();
+        
         // Clean up current tool state
         this.cleanup();
         this.uiController.reset();
@@ -316,11 +402,34 @@ export class AppController {
             // Split tool is already initialized
         } else if (toolName === 'word-convert') {
             // Word convert tool is already initialized
+        } else if (toolName === 'rotate') {
+            // Rotate tool is already initialized
+        } else if (toolName === 'compress') {
+            // Compress tool is already initialized
+        } else if (toolName === 'watermark') {
+            // Watermark tool is already initialized
+        } else if (toolName === 'page-numbers') {
+            // Page numbers tool is already initialized
+        } else if (toolName === 'metadata') {
+            // Metadata tool is already initialized
+        } else if (toolName === 'images-to-pdf') {
+            // Images to PDF tool is already initialized
         }
         
         console.log(`Switched to ${toolName} tool`);
     }
 
+    // 'first' to copy the first file's properties, or the ones entered by hand
+    getMergeMetadata() {
+        const metadataMode = document.getElementById('merge-metadata-mode');
+        if (!metadataMode || metadataMode.value !== 'custom') {
+            return 'first';
+        }
+
+        const now = new Date();
+        return { ...this.mergeMetadataForm.getValues(), creationDate: now, modificationDate: now };
+    }
+
     handleRetry() {
         if (this.state.files.length > 0) {
             this.handleMergeRequest();
@@ -340,11 +449,18 @@ export class AppController {
         if (this.uiController) {
             this.uiController.cleanupDownloadUrl();
         }
+    }
 
-        // Cancel any ongoing processing
-        if (this.pdfProcessor && this.state.isProcessing) {
-            this.pdfProcessor.cancel();
-        }
+    cancelProcessing() {
+        this.pdfProcessor.cancel();
+        this.splitTool.cancel();
+        this.wordConvertTool.cancel();
+        this.rotateTool.cancel();
+        this.compressTool.cancel();
+        this.watermarkTool.cancel();
+        this.pageNumberTool.cancel();
+        this.metadataTool.cancel();
+        this.imagesTool.cancel();
     }
 
     // Public API methods for external use
@@ -0,0 +1,327 @@
+/**
+ * CompressTool - Handles PDF compression tool UI and logic
+ */
+import { FileUploadHandler } from './FileUploadHandler.js';
+import { PDFCompressor } from './PDFCompressor.js';
+import { createZipDownloader } from '../utils/zipBuilder.js';
+import { isCancelledError } from '../utils/cancellation.js';
+
+export class CompressTool {
+    constructor(uiController, errorHandler) {
+        this.uiController = uiController;
+        this.errorHandler = errorHandler;
+        this.selectedFiles = [];
+        this.currentFileIndex = 0;
+        this.zipDownloader = createZipDownloader(uiController, errorHandler);
+
+        this.pdfCompressor = new PDFCompressor((progress) => {
+            this.handleProgress(progress);
+        });
+
+        this.initializeComponents();
+        this.setupEventListeners();
+    }
+
+    initializeComponents() {
+        const compressDropZone = document.getElementById('compress-drop-zone');
+        const compressFileInput = document.getElementById('compress-file-input');
+
+        if (compressDropZone && compressFileInput) {
+            this.fileUploadHandler = new FileUploadHandler(
+                compressDropZone,
+                compressFileInput,
+                (files) => this.handleFilesSelected(files)
+            );
+        }
+    }
+
+    setupEventListeners() {
+        const compressBtn = document.getElementById('compress-btn');
+        if (compressBtn) {
+            compressBtn.addEventListener('click', () => this.handleCompressRequest());
+        }
+
+        const compressClearBtn = document.getElementById('compress-clear-btn');
+        if (compressClearBtn) {
+            compressClearBtn.addEventListener('click', () => this.handleClear());
+        }
+    }
+
+    handleFilesSelected(files) {
+        if (files.length === 0) return;
+
+        this.selectedFiles = [...this.selectedFiles, ...files];
+        this.renderFileList();
+
+        const message = files.length === 1 ?
+            `Added ${files[0].name}` :
+            `Added ${files.length} files`;
+        this.uiController.showNotification(message, 'success');
+    }
+
+    renderFileList() {
+        const fileListSection = document.getElementById('compress-options-section');
+        if (fileListSection) {
+            fileListSection.style.display = this.selectedFiles.length > 0 ? 'block' : 'none';
+        }
+
+        const compressBtn = document.getElementById('compress-btn');
+        if (compressBtn) {
+            compressBtn.disabled = this.selectedFiles.length === 0;
+        }
+
+        const fileList = document.getElementById('compress-file-list');
+        if (!fileList) return;
+
+        fileList.innerHTML = '';
+
+        this.selectedFiles.forEach((file, index) => {
+            fileList.appendChild(this.createFileElement(file, index));
+        });
+    }
+
+    createFileElement(file, index) {
+        const div = document.createElement('div');
+        div.className = 'file-item';
+        div.dataset.index = index;
+
+        div.innerHTML = `
+            <div class="file-order">${index + 1}</div>
+            <div class="file-info">
+                <div class="file-name" title="${file.name}">${this.truncateFileName(file.name)}</div>
+                <div class="file-size">${this.formatFileSize(file.size)}</div>
+            </div>
+            <button type="button" class="remove-btn" title="Remove file" data-index="${index}">
+                Remove
+            </button>
+        `;
+
+        div.querySelector('.remove-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.removeFile(index);
+        });
+
+        return div;
+    }
+
+    removeFile(index) {
+        this.selectedFiles.splice(index, 1);
+        this.renderFileList();
+    }
+
+    getSelectedPreset() {
+        const presetInput = document.querySelector('input[name="compress-preset"]:checked');
+        return presetInput ? presetInput.value : 'balanced';
+    }
+
+    async handleCompressRequest() {
+        if (this.selectedFiles.length === 0) {
+            this.uiController.showNotification('Please select a PDF file first', 'warning');
+            return;
+        }
+
+        try {
+            this.uiController.updateUIState('processing');
+
+            const preset = this.getSelectedPreset();
+            const results = [];
+
+            for (let i = 0; i < this.selectedFiles.length; i++) {
+                const file = this.selectedFiles[i];
+                this.currentFileIndex = i;
+
+                try {
+                    results.push(await this.pdfCompressor.compressPDF(file, preset));
+                } catch (error) {
+                    // Cancelling stops the whole batch, not just this file
+                    if (isCancelledError(error)) {
+                        throw error;
+                    }
+                    console.error(`Failed to compress ${file.name}:`, error);
+                    this.uiController.showNotification(`Failed to compress ${file.name}: ${error.message}`, 'error');
+                }
+            }
+
+            if (results.length === 0) {
+                throw new Error('No files were successfully compressed');
+            }
+
+            this.showCompressResults(results);
+
+        } catch (error) {
+            if (isCancelledError(error)) {
+                this.uiController.showCancelled();
+                return;
+            }
+            this.errorHandler.handleProcessingError(error);
+            this.uiController.showError(error.message, true);
+        }
+    }
+
+    showCompressResults(results) {
+        const originalTotal = results.reduce((sum, result) => sum + result.originalSize, 0);
+        const compressedTotal = results.reduce((sum, result) => sum + result.size, 0);
+
+        const resultTitle = document.getElementById('result-title');
+        if (resultTitle) {
+            resultTitle.textContent = `PDF Compressed! ${this.formatFileSize(originalTotal)} → ${this.formatFileSize(compressedTotal)}`;
+        }
+
+        const resultDownloads = document.getElementById('result-downloads');
+        if (resultDownloads) {
+            resultDownloads.innerHTML = '';
+
+            results.forEach(result => {
+                resultDownloads.appendChild(this.createDownloadItem(result));
+            });
+
+            if (results.length > 1) {
+                const downloadAllBtn = document.createElement('button');
+                downloadAllBtn.className = 'btn btn-primary';
+                downloadAllBtn.textContent = 'Download All as ZIP';
+                downloadAllBtn.style.marginTop = '1rem';
+                downloadAllBtn.addEventListener('click', () => {
+                    this.zipDownloader.download(results, 'compressed.zip', downloadAllBtn);
+                });
+                resultDownloads.appendChild(downloadAllBtn);
+            }
+        }
+
+        this.uiController.hideSection('progress');
+        this.uiController.sections.result.style.display = 'block';
+
+        if (results.some(result => result.encryptionRemoved)) {
+            this.uiController.showNotification('PDF compression completed, but the compressed files are no longer password protected', 'warning');
+        } else {
+            this.uiController.showNotification('PDF compression completed!', 'success');
+        }
+    }
+
+    createDownloadItem(result) {
+        const item = document.createElement('div');
+        item.className = 'download-item';
+        item.innerHTML = `
+            <div class="download-info">
+                <div class="download-name">${result.filename}</div>
+                <div class="download-size">${this.describeSaving(result)}</div>
+                <div class="compress-details">${this.describeChanges(result)}</div>
+            </div>
+            <button class="download-btn-small">Download</button>
+        `;
+
+        item.querySelector('.download-btn-small').addEventListener('click', () => {
+            this.downloadFile(result);
+        });
+
+        return item;
+    }
+
+    // "2.4 MB → 1.1 MB (54% smaller)"
+    describeSaving(result) {
+        const sizes = `${this.formatFileSize(result.originalSize)} → ${this.formatFileSize(result.size)}`;
+        if (result.unchanged) {
+            return `${sizes} • already as small as this preset can make it`;
+        }
+
+        const saved = Math.round((1 - result.size / result.originalSize) * 100);
+        return `${sizes} (${saved}% smaller)`;
+    }
+
+    describeChanges(result) {
+        const changes = [];
+        const count = (number, singular, plural) => `${number} ${number === 1 ? singular : plural}`;
+
+        if (result.imagesRecompressed > 0) {
+            changes.push(`${count(result.imagesRecompressed, 'image', 'images')} re-encoded`);
+        }
+        if (result.duplicatesRemoved > 0) {
+            changes.push(`${count(result.duplicatesRemoved, 'duplicate', 'duplicates')} merged`);
+        }
+        if (result.unusedRemoved > 0) {
+            changes.push(`${count(result.unusedRemoved, 'unused object', 'unused objects')} dropped`);
+        }
+        if (result.imagesSkipped) {
+            changes.push('this browser can\'t re-encode images, so they were kept as they were');
+        }
+        if (result.encryptionRemoved) {
+            changes.push('<span class="download-warning">Password protection removed</span>');
+        }
+
+        return changes.join(' • ');
+    }
+
+    downloadFile(result) {
+        const blob = new Blob([result.data], { type: 'application/pdf' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.filename;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Clean up
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Each file's progress is its share of the whole batch
+    handleProgress(progress) {
+        const fileCount = Math.max(this.selectedFiles.length, 1);
+        const file = this.selectedFiles[this.currentFileIndex];
+        const percentage = ((this.currentFileIndex + progress.percentage / 100) / fileCount) * 100;
+        const message = fileCount > 1 && file ? `${file.name}: ${progress.message}` : progress.message;
+
+        this.uiController.updateProgress(percentage, message);
+    }
+
+    handleClear() {
+        this.selectedFiles = [];
+        this.currentFileIndex = 0;
+        this.renderFileList();
+
+        // Reset file upload handler
+        if (this.fileUploadHandler) {
+            this.fileUploadHandler.reset();
+        }
+
+        // Hide shared sections
+        this.uiController.reset();
+
+        this.uiController.showNotification('Cleared', 'info');
+    }
+
+    truncateFileName(fileName, maxLength = 30) {
+        if (fileName.length <= maxLength) {
+            return fileName;
+        }
+
+        const extension = fileName.split('.').pop();
+        const nameWithoutExt = fileName.substring(0, fileName.lastIndexOf('.'));
+        const truncatedName = nameWithoutExt.substring(0, maxLength - extension.length - 4) + '...';
+
+        return truncatedName + '.' + extension;
+    }
+
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    // Stops a running compression or ZIP archive
+    cancel() {
+        this.pdfCompressor.cancel();
+        this.zipDownloader.cancel();
+    }
+
+    reset() {
+        this.handleClear();
+    }
+}
@@ -1,6 +1,8 @@
 /**
  * ErrorHandler - Centralized error handling with user-friendly messages
  */
+import { isCancelledError } from '../utils/cancellation.js';
+
 export class ErrorHandler {
     constructor() {
         this.errorLog = [];
@@ -16,6 +18,11 @@ export class ErrorHandler {
     }
 
     handleProcessingError(error) {
+        // Cancelling is the user's choice, not a failure
+        if (isCancelledError(error)) {
+            return;
+        }
+        
         console.error('PDF processing error:', error);
         
         const userMessage = this.getUserFriendlyMessage(error, 'processing');
@@ -40,6 +47,10 @@ export class ErrorHandler {
     }
 
     handleGenericError(error, context = 'unknown') {
+        if (isCancelledError(error)) {
+            return;
+        }
+        
         console.error(`Generic error in ${context}:`, error);
         
         const userMessage = this.getUserFriendlyMessage(error, context);
@@ -51,6 +62,19 @@ export class ErrorHandler {
     getUserFriendlyMessage(error, context) {
         const message = error.message || error.toString();
         
+        // Password errors
+        if (message.includes('Password required')) {
+            return 'A password is required to open one of the PDF files. Enter its password to include it.';
+        }
+        
+        if (message.includes('Incorrect password')) {
+            return 'The password entered for one of the PDF files is incorrect. Please try again.';
+        }
+        
+        if (message.includes('unsupported encryption')) {
+            return 'One of the PDF files uses an encryption method that is not supported (e.g. certificate security).';
+        }
+        
         // PDF-specific errors
         if (message.includes('Invalid PDF') || message.includes('corrupted')) {
             return 'One or more PDF files appear to be corrupted or invalid. Please check your files and try again.';
@@ -163,6 +187,7 @@ export class ErrorHandler {
             { name: 'File API', test: () => window.File && window.FileReader },
             { name: 'Drag and Drop API', test: () => 'draggable' in document.createElement('div') },
             { name: 'Blob API', test: () => window.Blob },
+            { name: 'Web Workers', test: () => window.Worker },
             { name: 'URL.createObjectURL', test: () => window.URL && window.URL.createObjectURL },
             { name: 'ES6 Modules', test: () => 'noModule' in document.createElement('script') }
         ];
@@ -241,9 +266,9 @@ export class ErrorHandler {
         if (error.message.includes('Invalid PDF')) {
             userMessage = 'The selected file is not a valid PDF or is corrupted.';
         } else if (error.message.includes('password')) {
-            userMessage = 'Password-protected PDFs are not supported.';
+            userMessage = 'The password for this PDF is missing or incorrect.';
         } else if (error.message.includes('encrypted')) {
-            userMessage = 'Encrypted PDFs cannot be processed.';
+            userMessage = 'This PDF is encrypted. Enter its password to open it.';
         } else if (error.message.includes('version')) {
             userMessage = 'This PDF version is not supported.';
         }
@@ -2,14 +2,14 @@
  * FileListManager - Manages the display and reordering of selected files
  */
 import { PDFPreview } from './PDFPreview.js';
+import { createDragReorder } from '../utils/dragReorder.js';
 
 export class FileListManager {
     constructor(container, onOrderChange) {
         this.container = container;
         this.onOrderChange = onOrderChange;
         this.files = [];
-        this.draggedElement = null;
-        this.draggedIndex = null;
+        this.setupDragAndDrop = createDragReorder((oldIndex, newIndex) => this.reorderFiles(oldIndex, newIndex));
         this.pdfPreview = new PDFPreview();
         this.thumbnailsData = new Map();
         this.showPreviews = true;
@@ -269,69 +269,6 @@ export class FileListManager {
         return div;
     }
 
-    setupDragAndDrop(element) {
-        element.addEventListener('dragstart', (e) => {
-            this.draggedElement = element;
-            this.draggedIndex = parseInt(element.dataset.index);
-            element.classList.add('dragging');
-            e.dataTransfer.effectAllowed = 'move';
-            e.dataTransfer.setData('text/html', element.outerHTML);
-        });
-
-        element.addEventListener('dragend', (e) => {
-            element.classList.remove('dragging');
-            this.draggedElement = null;
-            this.draggedIndex = null;
-        });
-
-        element.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            e.dataTransfer.dropEffect = 'move';
-            
-            if (this.draggedElement && this.draggedElement !== element) {
-                const rect = element.getBoundingClientRect();
-                const midY = rect.top + rect.height / 2;
-                
-                if (e.clientY < midY) {
-                    element.style.borderTop = '2px solid #3b82f6';
-                    element.style.borderBottom = '';
-                } else {
-                    element.style.borderBottom = '2px solid #3b82f6';
-                    element.style.borderTop = '';
-                }
-            }
-        });
-
-        element.addEventListener('dragleave', (e) => {
-            element.style.borderTop = '';
-            element.style.borderBottom = '';
-        });
-
-        element.addEventListener('drop', (e) => {
-            e.preventDefault();
-            element.style.borderTop = '';
-            element.style.borderBottom = '';
-            
-            if (this.draggedElement && this.draggedElement !== element) {
-                const targetIndex = parseInt(element.dataset.index);
-                const rect = element.getBoundingClientRect();
-                const midY = rect.top + rect.height / 2;
-                
-                let newIndex = targetIndex;
-                if (e.clientY > midY) {
-                    newIndex = targetIndex + 1;
-                }
-                
-                // Adjust for the fact that we're removing the dragged element first
-                if (this.draggedIndex < newIndex) {
-                    newIndex--;
-                }
-                
-                this.reorderFiles(this.draggedIndex, newIndex);
-            }
-        });
-    }
-
     setupRemoveButton(element) {
         const removeBtn = element.querySelector('.remove-btn');
         removeBtn.addEventListener('click', (e) => {
@@ -0,0 +1,116 @@
+/**
+ * ImageToPDFConverter - Handles turning image files into a PDF, one page each
+ */
+import { runPDFTask } from '../utils/pdfWorkerClient.js';
+import { isCancelledError, throwIfCancelled } from '../utils/cancellation.js';
+
+export class ImageToPDFConverter {
+    constructor(onProgress) {
+        this.onProgress = onProgress || (() => {});
+        this.isProcessing = false;
+        this.abortController = new AbortController();
+    }
+
+    /**
+     * Make a PDF with a page for each image, in order
+     * @param {File[]} files - JPG and PNG images, or any format the browser can decode
+     * @param {Object} options - see addImagePage
+     */
+    async convertImages(files, options) {
+        if (this.isProcessing) {
+            throw new Error('Image conversion is already in progress');
+        }
+
+        if (!files || files.length === 0) {
+            throw new Error('No images provided for conversion');
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const signal = this.abortController.signal;
+            const sources = [];
+
+            for (let i = 0; i < files.length; i++) {
+                throwIfCancelled(signal);
+                this.updateProgress((i / files.length) * 10, `Reading ${files[i].name}...`);
+                sources.push(await this.createSource(files[i]));
+            }
+
+            const { data, pageCount } = await runPDFTask('imagesToPDF', { sources, options }, {
+                files,
+                signal,
+                onProgress: (percentage, message) => this.updateProgress(10 + percentage * 0.9, message)
+            });
+
+            return {
+                filename: this.generateFilename(files),
+                data,
+                size: data.length,
+                pageCount
+            };
+
+        } catch (error) {
+            if (isCancelledError(error)) {
+                throw error;
+            }
+            throw new Error(`Image conversion failed: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    generateFilename(files) {
+        if (files.length === 1) {
+            const baseName = files[0].name.replace(/\.[^.]+$/, '');
+            return `${baseName}.pdf`;
+        }
+        return 'Combined-Images.pdf';
+    }
+
+    // Worker task input for an image; its buffer is transferred to the worker
+    async createSource(file) {
+        return {
+            buffer: await this.fileToArrayBuffer(file),
+            name: file.name,
+            type: file.type
+        };
+    }
+
+    async fileToArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = () => {
+                resolve(reader.result);
+            };
+
+            reader.onerror = () => {
+                reject(new Error(`Failed to read file: ${file.name}`));
+            };
+
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    updateProgress(percentage, message) {
+        this.onProgress({
+            percentage: Math.round(percentage),
+            message: message
+        });
+    }
+
+    setProgressCallback(callback) {
+        this.onProgress = callback || (() => {});
+    }
+
+    getIsProcessing() {
+        return this.isProcessing;
+    }
+
+    // The running operation rejects with a cancellation error
+    cancel() {
+        this.abortController.abort();
+        this.abortController = new AbortController();
+    }
+}
@@ -0,0 +1,349 @@
+/**
+ * ImagesTool - Handles Images to PDF tool UI and logic
+ */
+import { FileUploadHandler } from './FileUploadHandler.js';
+import { ImageToPDFConverter } from './ImageToPDFConverter.js';
+import { isCancelledError } from '../utils/cancellation.js';
+import { createDragReorder } from '../utils/dragReorder.js';
+
+// Formats are checked by extension too, since browsers leave HEIC's type empty
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|webp|gif|bmp|hei[cf])$/i;
+
+const POINTS_PER_MM = 72 / 25.4;
+
+export class ImagesTool {
+    constructor(uiController, errorHandler) {
+        this.uiController = uiController;
+        this.errorHandler = errorHandler;
+        this.selectedFiles = [];
+        this.thumbnailUrls = new Map();
+
+        // Reorder images by dragging, which sets the page order
+        this.setupDragAndDrop = createDragReorder((oldIndex, newIndex) => this.reorderFiles(oldIndex, newIndex));
+
+        this.imageToPDFConverter = new ImageToPDFConverter((progress) => {
+            this.handleProgress(progress);
+        });
+
+        this.initializeComponents();
+        this.setupEventListeners();
+    }
+
+    initializeComponents() {
+        const imagesDropZone = document.getElementById('images-drop-zone');
+        const imagesFileInput = document.getElementById('images-file-input');
+
+        if (imagesDropZone && imagesFileInput) {
+            this.fileUploadHandler = new FileUploadHandler(
+                imagesDropZone,
+                imagesFileInput,
+                (files) => this.handleFilesSelected(files)
+            );
+
+            // Override validation to accept images instead of PDFs
+            this.fileUploadHandler.validateSingleFile = (file, maxFileSize) => {
+                // Check file type
+                if (!file.type.startsWith('image/') && !IMAGE_EXTENSIONS.test(file.name)) {
+                    return {
+                        isValid: false,
+                        reason: 'Only image files (JPG, PNG, WebP, GIF, BMP, HEIC) are supported'
+                    };
+                }
+
+                // Check file size (50MB limit)
+                if (file.size > maxFileSize) {
+                    return {
+                        isValid: false,
+                        reason: `File size exceeds 50MB limit (${this.formatFileSize(file.size)})`
+                    };
+                }
+
+                // Check if file is empty
+                if (file.size === 0) {
+                    return {
+                        isValid: false,
+                        reason: 'File appears to be empty'
+                    };
+                }
+
+                return { isValid: true };
+            };
+        }
+    }
+
+    setupEventListeners() {
+        const imagesBtn = document.getElementById('images-btn');
+        if (imagesBtn) {
+            imagesBtn.addEventListener('click', () => this.handleConvertRequest());
+        }
+
+        const imagesClearBtn = document.getElementById('images-clear-btn');
+        if (imagesClearBtn) {
+            imagesClearBtn.addEventListener('click', () => this.handleClear());
+        }
+
+        // Pages sized to the image have no paper size or orientation to pick
+        const layoutSelect = document.getElementById('images-layout');
+        if (layoutSelect) {
+            layoutSelect.addEventListener('change', () => this.updateLayoutOptions());
+        }
+    }
+
+    updateLayoutOptions() {
+        const fitToPage = this.getValue('images-layout', 'fit') === 'fit';
+
+        ['images-page-size', 'images-orientation'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.disabled = !fitToPage;
+            }
+        });
+    }
+
+    handleFilesSelected(files) {
+        if (files.length === 0) return;
+
+        this.selectedFiles = [...this.selectedFiles, ...files];
+        this.renderFileList();
+
+        const message = files.length === 1 ?
+            `Added ${files[0].name}` :
+            `Added ${files.length} images`;
+        this.uiController.showNotification(message, 'success');
+    }
+
+    renderFileList() {
+        const fileListSection = document.getElementById('images-options-section');
+        if (fileListSection) {
+            fileListSection.style.display = this.selectedFiles.length > 0 ? 'block' : 'none';
+        }
+
+        const imagesBtn = document.getElementById('images-btn');
+        if (imagesBtn) {
+            imagesBtn.disabled = this.selectedFiles.length === 0;
+        }
+
+        const fileList = document.getElementById('images-file-list');
+        if (fileList) {
+            fileList.innerHTML = '';
+
+            this.selectedFiles.forEach((file, index) => {
+                fileList.appendChild(this.createFileElement(file, index));
+            });
+        }
+    }
+
+    createFileElement(file, index) {
+        const div = document.createElement('div');
+        div.className = 'file-item';
+        div.draggable = true;
+        div.dataset.index = index;
+
+        div.innerHTML = `
+            <div class="drag-handle" title="Drag to reorder">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="3" y1="6" x2="21" y2="6"></line>
+                    <line x1="3" y1="12" x2="21" y2="12"></line>
+                    <line x1="3" y1="18" x2="21" y2="18"></line>
+                </svg>
+            </div>
+            <div class="file-order">${index + 1}</div>
+            <img class="image-thumbnail" alt="" draggable="false">
+            <div class="file-info">
+                <div class="file-name" title="${file.name}">${this.truncateFileName(file.name)}</div>
+                <div class="file-size">${this.formatFileSize(file.size)}</div>
+            </div>
+            <button type="button" class="remove-btn" title="Remove image" data-index="${index}">
+                Remove
+            </button>
+        `;
+
+        // Formats the browser can't show, such as HEIC outside Safari, get no thumbnail
+        const thumbnail = div.querySelector('.image-thumbnail');
+        thumbnail.addEventListener('error', () => {
+            thumbnail.style.visibility = 'hidden';
+        });
+        thumbnail.src = this.getThumbnailUrl(file);
+
+        div.querySelector('.remove-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.removeFile(index);
+        });
+
+        this.setupDragAndDrop(div);
+
+        return div;
+    }
+
+    getThumbnailUrl(file) {
+        if (!this.thumbnailUrls.has(file)) {
+            this.thumbnailUrls.set(file, URL.createObjectURL(file));
+        }
+        return this.thumbnailUrls.get(file);
+    }
+
+    releaseThumbnail(file) {
+        const url = this.thumbnailUrls.get(file);
+        if (url) {
+            URL.revokeObjectURL(url);
+            this.thumbnailUrls.delete(file);
+        }
+    }
+
+    reorderFiles(oldIndex, newIndex) {
+        if (oldIndex === newIndex) return;
+
+        const [movedFile] = this.selectedFiles.splice(oldIndex, 1);
+        this.selectedFiles.splice(newIndex, 0, movedFile);
+
+        this.renderFileList();
+    }
+
+    removeFile(index) {
+        const [removedFile] = this.selectedFiles.splice(index, 1);
+        this.releaseThumbnail(removedFile);
+        this.renderFileList();
+    }
+
+    getConversionOptions() {
+        const margin = parseFloat(this.getValue('images-margin', '10'));
+        const exifCheckbox = document.getElementById('images-exif');
+
+        return {
+            layout: this.getValue('images-layout', 'fit'),
+            pageSize: this.getValue('images-page-size', 'a4'),
+            orientation: this.getValue('images-orientation', 'auto'),
+            margin: (isNaN(margin) ? 0 : Math.max(0, margin)) * POINTS_PER_MM,
+            exifRotation: exifCheckbox ? exifCheckbox.checked : true
+        };
+    }
+
+    async handleConvertRequest() {
+        if (this.selectedFiles.length === 0) {
+            this.uiController.showNotification('Please select an image first', 'warning');
+            return;
+        }
+
+        try {
+            this.uiController.updateUIState('processing');
+
+            const result = await this.imageToPDFConverter.convertImages(this.selectedFiles, this.getConversionOptions());
+
+            this.showConvertResult(result);
+
+        } catch (error) {
+            if (isCancelledError(error)) {
+                this.uiController.showCancelled();
+                return;
+            }
+            this.errorHandler.handleProcessingError(error);
+            this.uiController.showError(error.message, true);
+        }
+    }
+
+    showConvertResult(result) {
+        const resultTitle = document.getElementById('result-title');
+        if (resultTitle) {
+            resultTitle.textContent = 'Images Converted Successfully!';
+        }
+
+        const resultDownloads = document.getElementById('result-downloads');
+        if (resultDownloads) {
+            resultDownloads.innerHTML = '';
+
+            const pages = `${result.pageCount} page${result.pageCount === 1 ? '' : 's'}`;
+
+            const item = document.createElement('div');
+            item.className = 'download-item';
+            item.innerHTML = `
+                <div class="download-info">
+                    <div class="download-name">${result.filename}</div>
+                    <div class="download-size">${pages} • ${this.formatFileSize(result.size)}</div>
+                </div>
+                <button class="download-btn-small">Download</button>
+            `;
+
+            item.querySelector('.download-btn-small').addEventListener('click', () => {
+                this.downloadFile(result);
+            });
+
+            resultDownloads.appendChild(item);
+        }
+
+        this.uiController.hideSection('progress');
+        this.uiController.sections.result.style.display = 'block';
+        this.uiController.showNotification('Images converted to PDF!', 'success');
+    }
+
+    downloadFile(result) {
+        const blob = new Blob([result.data], { type: 'application/pdf' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.filename;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Clean up
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    handleProgress(progress) {
+        this.uiController.updateProgress(progress.percentage, progress.message);
+    }
+
+    handleClear() {
+        this.selectedFiles.forEach(file => this.releaseThumbnail(file));
+        this.selectedFiles = [];
+        this.renderFileList();
+
+        // Reset file upload handler
+        if (this.fileUploadHandler) {
+            this.fileUploadHandler.reset();
+        }
+
+        // Hide shared sections
+        this.uiController.reset();
+
+        this.uiController.showNotification('Cleared', 'info');
+    }
+
+    getValue(id, fallback) {
+        const input = document.getElementById(id);
+        return input ? input.value : fallback;
+    }
+
+    truncateFileName(fileName, maxLength = 30) {
+        if (fileName.length <= maxLength) {
+            return fileName;
+        }
+
+        const extension = fileName.split('.').pop();
+        const nameWithoutExt = fileName.substring(0, fileName.lastIndexOf('.'));
+        const truncatedName = nameWithoutExt.substring(0, maxLength - extension.length - 4) + '...';
+
+        return truncatedName + '.' + extension;
+    }
+
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    cancel() {
+        this.imageToPDFConverter.cancel();
+    }
+
+    reset() {
+        this.handleClear();
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * MetadataForm - Renders and reads the document property fields shared by
+ * the metadata tool and the merge tool's properties panel
+ */
+import { METADATA_FIELDS, DATE_FIELDS } from '../utils/pdfMetadata.js';
+
+const FIELD_LABELS = {
+    title: 'Title',
+    author: 'Author',
+    subject: 'Subject',
+    keywords: 'Keywords',
+    creator: 'Creator (application)',
+    producer: 'Producer (PDF library)',
+    creationDate: 'Created',
+    modificationDate: 'Modified'
+};
+
+export class MetadataForm {
+    /**
+     * @param {HTMLElement} container - emptied and filled with the fields
+     * @param {string} idPrefix - input ids are `${idPrefix}-${field}`
+     * @param {string[]} [fields] - which of METADATA_FIELDS to show
+     */
+    constructor(container, idPrefix, fields = METADATA_FIELDS) {
+        this.container = container;
+        this.idPrefix = idPrefix;
+        this.fields = fields;
+
+        this.render();
+    }
+
+    render() {
+        if (!this.container) return;
+
+        this.container.innerHTML = '';
+
+        const grid = document.createElement('div');
+        grid.className = 'word-options-grid';
+
+        this.fields.forEach(field => {
+            const label = document.createElement('label');
+            label.className = 'word-option';
+
+            const caption = document.createElement('span');
+            caption.textContent = FIELD_LABELS[field];
+
+            const input = document.createElement('input');
+            input.id = `${this.idPrefix}-${field}`;
+            if (DATE_FIELDS.includes(field)) {
+                input.type = 'datetime-local';
+                input.step = '1';
+            } else {
+                input.type = 'text';
+            }
+
+            label.appendChild(caption);
+            label.appendChild(input);
+            grid.appendChild(label);
+        });
+
+        this.container.appendChild(grid);
+    }
+
+    /**
+     * Fill the fields in, e.g. from a file's current metadata
+     * @param {Object} metadata - text fields as strings and dates as Date objects or null
+     */
+    setValues(metadata) {
+        this.fields.forEach(field => {
+            const input = this.getInput(field);
+            if (!input) return;
+
+            const value = metadata[field];
+            input.value = DATE_FIELDS.includes(field) ? this.toInputDate(value) : value || '';
+        });
+    }
+
+    /**
+     * @returns {Object} the shown fields, with text trimmed and dates as Date
+     *   objects or null when empty
+     */
+    getValues() {
+        const metadata = {};
+
+        this.fields.forEach(field => {
+            const input = this.getInput(field);
+            if (!input) return;
+
+            if (DATE_FIELDS.includes(field)) {
+                const date = input.value ? new Date(input.value) : null;
+                metadata[field] = date && !isNaN(date.getTime()) ? date : null;
+            } else {
+                metadata[field] = input.value.trim();
+            }
+        });
+
+        return metadata;
+    }
+
+    clear() {
+        this.setValues({});
+    }
+
+    getInput(field) {
+        return document.getElementById(`${this.idPrefix}-${field}`);
+    }
+
+    // datetime-local inputs take local time as "YYYY-MM-DDTHH:MM:SS"
+    toInputDate(date) {
+        if (!date) return '';
+
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 19);
+    }
+}
@@ -0,0 +1,225 @@
+/**
+ * MetadataTool - Handles the document properties editor UI and logic
+ */
+import { FileUploadHandler } from './FileUploadHandler.js';
+import { PDFMetadataEditor } from './PDFMetadataEditor.js';
+import { MetadataForm } from './MetadataForm.js';
+import { isCancelledError } from '../utils/cancellation.js';
+
+export class MetadataTool {
+    constructor(uiController, errorHandler) {
+        this.uiController = uiController;
+        this.errorHandler = errorHandler;
+        this.currentFile = null;
+        this.originalMetadata = null;
+
+        this.pdfMetadataEditor = new PDFMetadataEditor((progress) => {
+            this.handleProgress(progress);
+        });
+
+        this.initializeComponents();
+        this.setupEventListeners();
+    }
+
+    initializeComponents() {
+        const metadataDropZone = document.getElementById('metadata-drop-zone');
+        const metadataFileInput = document.getElementById('metadata-file-input');
+
+        if (metadataDropZone && metadataFileInput) {
+            this.fileUploadHandler = new FileUploadHandler(
+                metadataDropZone,
+                metadataFileInput,
+                (files) => this.handleFileSelected(files)
+            );
+        }
+
+        this.metadataForm = new MetadataForm(document.getElementById('metadata-fields'), 'metadata');
+    }
+
+    setupEventListeners() {
+        const controls = {
+            'metadata-now-btn': () => this.setModifiedNow(),
+            'metadata-revert-btn': () => this.revertChanges(),
+            'metadata-btn': () => this.handleSaveRequest(),
+            'metadata-clear-btn': () => this.handleClear()
+        };
+
+        Object.entries(controls).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+    }
+
+    async handleFileSelected(files) {
+        if (files.length === 0) return;
+
+        if (files.length > 1) {
+            this.errorHandler.showUserError('Please select only one PDF file to edit');
+            return;
+        }
+
+        const file = files[0];
+
+        try {
+            const { pageCount, ...metadata } = await this.pdfMetadataEditor.readMetadata(file);
+            this.currentFile = file;
+            this.originalMetadata = metadata;
+
+            this.showMetadataOptions(file.name, pageCount);
+            this.metadataForm.setValues(metadata);
+
+        } catch (error) {
+            this.errorHandler.handleFileSelectionError(error);
+        }
+    }
+
+    showMetadataOptions(filename, pageCount) {
+        const metadataFilename = document.getElementById('metadata-filename');
+        const metadataPages = document.getElementById('metadata-pages');
+
+        if (metadataFilename) metadataFilename.textContent = filename;
+        if (metadataPages) metadataPages.textContent = pageCount;
+
+        const metadataOptionsSection = document.getElementById('metadata-options-section');
+        if (metadataOptionsSection) {
+            metadataOptionsSection.style.display = 'block';
+        }
+
+        const metadataBtn = document.getElementById('metadata-btn');
+        if (metadataBtn) {
+            metadataBtn.disabled = false;
+        }
+    }
+
+    setModifiedNow() {
+        this.metadataForm.setValues({ ...this.metadataForm.getValues(), modificationDate: new Date() });
+    }
+
+    revertChanges() {
+        if (this.originalMetadata) {
+            this.metadataForm.setValues(this.originalMetadata);
+        }
+    }
+
+    async handleSaveRequest() {
+        if (!this.currentFile) {
+            this.uiController.showNotification('Please select a PDF file first', 'warning');
+            return;
+        }
+
+        try {
+            this.uiController.updateUIState('processing');
+
+            const result = await this.pdfMetadataEditor.writeMetadata(this.currentFile, this.metadataForm.getValues());
+
+            this.showMetadataResult(result);
+
+        } catch (error) {
+            if (isCancelledError(error)) {
+                this.uiController.showCancelled();
+                return;
+            }
+            this.errorHandler.handleProcessingError(error);
+            this.uiController.showError(error.message, true);
+        }
+    }
+
+    showMetadataResult(result) {
+        const resultTitle = document.getElementById('result-title');
+        if (resultTitle) {
+            resultTitle.textContent = 'Metadata Saved Successfully!';
+        }
+
+        const resultDownloads = document.getElementById('result-downloads');
+        if (resultDownloads) {
+            resultDownloads.innerHTML = '';
+
+            const item = document.createElement('div');
+            item.className = 'download-item';
+            item.innerHTML = `
+                <div class="download-info">
+                    <div class="download-name">${result.filename}</div>
+                    <div class="download-size">${this.formatFileSize(result.size)}</div>
+                </div>
+                <button class="download-btn-small">Download</button>
+            `;
+
+            item.querySelector('.download-btn-small').addEventListener('click', () => {
+                this.downloadFile(result);
+            });
+
+            resultDownloads.appendChild(item);
+        }
+
+        this.uiController.hideSection('progress');
+        this.uiController.sections.result.style.display = 'block';
+        this.uiController.showNotification('Metadata saved successfully!', 'success');
+    }
+
+    downloadFile(result) {
+        const blob = new Blob([result.data], { type: 'application/pdf' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.filename;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Clean up
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    handleProgress(progress) {
+        this.uiController.updateProgress(progress.percentage, progress.message);
+    }
+
+    handleClear() {
+        this.currentFile = null;
+        this.originalMetadata = null;
+        this.metadataForm.clear();
+
+        const metadataOptionsSection = document.getElementById('metadata-options-section');
+        if (metadataOptionsSection) {
+            metadataOptionsSection.style.display = 'none';
+        }
+
+        const metadataBtn = document.getElementById('metadata-btn');
+        if (metadataBtn) {
+            metadataBtn.disabled = true;
+        }
+
+        // Reset file upload handler
+        if (this.fileUploadHandler) {
+            this.fileUploadHandler.reset();
+        }
+
+        // Hide shared sections
+        this.uiController.reset();
+
+        this.uiController.showNotification('Cleared', 'info');
+    }
+
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    cancel() {
+        this.pdfMetadataEditor.cancel();
+    }
+
+    reset() {
+        this.handleClear();
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * PDFCompressor - Handles PDF compression
+ */
+import { getFilePassword } from '../utils/pdfPasswords.js';
+import { runPDFTask } from '../utils/pdfWorkerClient.js';
+import { isCancelledError } from '../utils/cancellation.js';
+
+export class PDFCompressor {
+    constructor(onProgress) {
+        this.onProgress = onProgress || (() => {});
+        this.isProcessing = false;
+        this.abortController = new AbortController();
+    }
+
+    /**
+     * Compress a PDF
+     * @param {File} file - the source PDF
+     * @param {'lossless'|'balanced'|'aggressive'} preset - lossless keeps
+     *   images as they are; the others downsample and re-encode them
+     */
+    async compressPDF(file, preset = 'balanced') {
+        if (this.isProcessing) {
+            throw new Error('PDF compression is already in progress');
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const signal = this.abortController.signal;
+            const source = await this.createSource(file);
+
+            const result = await runPDFTask('compress', { source, preset }, {
+                files: [file],
+                signal,
+                onProgress: (percentage, message) => this.updateProgress(percentage, message)
+            });
+
+            return {
+                ...result,
+                filename: this.generateCompressedFilename(file.name),
+                originalName: file.name,
+                size: result.data.length
+            };
+
+        } catch (error) {
+            if (isCancelledError(error)) {
+                throw error;
+            }
+            throw new Error(`PDF compression failed: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    generateCompressedFilename(originalName) {
+        const baseName = originalName.replace(/\.pdf$/i, '');
+        return `${baseName}_compressed.pdf`;
+    }
+
+    // Worker task input for a file; its buffer is transferred to the worker
+    async createSource(file) {
+        return {
+            buffer: await this.fileToArrayBuffer(file),
+            password: getFilePassword(file)
+        };
+    }
+
+    async fileToArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = () => {
+                resolve(reader.result);
+            };
+
+            reader.onerror = () => {
+                reject(new Error(`Failed to read file: ${file.name}`));
+            };
+
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    updateProgress(percentage, message) {
+        this.onProgress({
+            percentage: Math.round(percentage),
+            message: message
+        });
+    }
+
+    setProgressCallback(callback) {
+        this.onProgress = callback || (() => {});
+    }
+
+    getIsProcessing() {
+        return this.isProcessing;
+    }
+
+    // The running operation rejects with a cancellation error
+    cancel() {
+        this.abortController.abort();
+        this.abortController = new AbortController();
+    }
+}
@@ -0,0 +1,118 @@
+/**
+ * PDFMetadataEditor - Handles reading and editing PDF document properties
+ */
+import { getFilePassword, isPasswordRequiredError } from '../utils/pdfPasswords.js';
+import { runPDFTask } from '../utils/pdfWorkerClient.js';
+import { isCancelledError } from '../utils/cancellation.js';
+
+export class PDFMetadataEditor {
+    constructor(onProgress) {
+        this.onProgress = onProgress || (() => {});
+        this.isProcessing = false;
+        this.abortController = new AbortController();
+    }
+
+    /**
+     * A file's current metadata and page count, as pdf-lib found it
+     * @param {File} file
+     * @returns {Promise<Object>} see readMetadata, plus pageCount
+     */
+    async readMetadata(file) {
+        try {
+            return await runPDFTask('metadata', { source: await this.createSource(file) }, { files: [file] });
+        } catch (error) {
+            if (isPasswordRequiredError(error)) {
+                throw error;
+            }
+            throw new Error(`Failed to read PDF: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save a copy of a PDF with new metadata
+     * @param {File} file - the source PDF
+     * @param {Object} metadata - see writeMetadata; empty fields are removed
+     */
+    async writeMetadata(file, metadata) {
+        if (this.isProcessing) {
+            throw new Error('Saving metadata is already in progress');
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const signal = this.abortController.signal;
+            const source = await this.createSource(file);
+
+            const pdfBytes = await runPDFTask('editMetadata', { source, metadata }, {
+                files: [file],
+                signal,
+                onProgress: (percentage, message) => this.updateProgress(percentage, message)
+            });
+
+            return {
+                filename: this.generateEditedFilename(file.name),
+                data: pdfBytes,
+                size: pdfBytes.length
+            };
+
+        } catch (error) {
+            if (isCancelledError(error)) {
+                throw error;
+            }
+            throw new Error(`Saving metadata failed: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    generateEditedFilename(originalName) {
+        const baseName = originalName.replace(/\.pdf$/i, '');
+        return `${baseName}_edited.pdf`;
+    }
+
+    // Worker task input for a file; its buffer is transferred to the worker
+    async createSource(file) {
+        return {
+            buffer: await this.fileToArrayBuffer(file),
+            password: getFilePassword(file)
+        };
+    }
+
+    async fileToArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = () => {
+                resolve(reader.result);
+            };
+
+            reader.onerror = () => {
+                reject(new Error(`Failed to read file: ${file.name}`));
+            };
+
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    updateProgress(percentage, message) {
+        this.onProgress({
+            percentage: Math.round(percentage),
+            message: message
+        });
+    }
+
+    setProgressCallback(callback) {
+        this.onProgress = callback || (() => {});
+    }
+
+    getIsProcessing() {
+        return this.isProcessing;
+    }
+
+    // The running operation rejects with a cancellation error
+    cancel() {
+        this.abortController.abort();
+        this.abortController = new AbortController();
+    }
+}
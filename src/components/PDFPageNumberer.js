@@ -0,0 +1,151 @@
+/**
+ * PDFPageNumberer - Handles stamping page numbers and Bates numbers onto PDFs
+ */
+import { getFilePassword } from '../utils/pdfPasswords.js';
+import { runPDFTask } from '../utils/pdfWorkerClient.js';
+import { isCancelledError } from '../utils/cancellation.js';
+import { NUMBER_POSITIONS, NUMBER_FONTS } from '../utils/pageNumbering.js';
+
+export class PDFPageNumberer {
+    constructor(onProgress) {
+        this.onProgress = onProgress || (() => {});
+        this.isProcessing = false;
+        this.abortController = new AbortController();
+    }
+
+    /**
+     * Number the pages of a PDF
+     * @param {File} file - the source PDF
+     * @param {Object} numbering - see validateNumbering
+     * @param {number} startNumber - the number of the first numbered page
+     * @returns {Promise<Object>} the numbered PDF, with the first and last
+     *   numbers and labels it was given
+     */
+    async numberPages(file, numbering, startNumber) {
+        if (this.isProcessing) {
+            throw new Error('Page numbering is already in progress');
+        }
+
+        this.isProcessing = true;
+
+        try {
+            this.validateNumbering(numbering);
+
+            const signal = this.abortController.signal;
+            const source = await this.createSource(file);
+
+            const result = await runPDFTask('number', {
+                source,
+                numbering,
+                startNumber,
+                filename: file.name.replace(/\.pdf$/i, ''),
+                date: new Date().toLocaleDateString()
+            }, {
+                files: [file],
+                signal,
+                onProgress: (percentage, message) => this.updateProgress(percentage, message)
+            });
+
+            return {
+                ...result,
+                filename: this.generateNumberedFilename(file.name, numbering.mode),
+                originalName: file.name,
+                size: result.data.length
+            };
+
+        } catch (error) {
+            if (isCancelledError(error)) {
+                throw error;
+            }
+            throw new Error(`Page numbering failed: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Check numbering settings before any work starts
+     * @param {Object} numbering
+     * @param {'page'|'bates'} numbering.mode
+     * @param {string} numbering.template - may use {page}, {total} (the number
+     *   of pages numbered), {last} (the last page's number), {bates}, {filename}
+     *   and {date}
+     * @param {string} numbering.font - one of NUMBER_FONTS
+     * @param {number} numbering.fontSize - in points
+     * @param {string} numbering.position - one of NUMBER_POSITIONS
+     * @param {number} numbering.margin - in points
+     * @param {string} [numbering.skip] - page ranges to leave unnumbered
+     * @param {{prefix: string, digits: number, suffix: string}} numbering.bates
+     */
+    validateNumbering(numbering) {
+        if (!numbering.template || !numbering.template.trim()) {
+            throw new Error('Please enter a format for the page numbers');
+        }
+        if (!NUMBER_FONTS.includes(numbering.font)) {
+            throw new Error(`Unknown font: ${numbering.font}`);
+        }
+        if (!(numbering.fontSize >= 4 && numbering.fontSize <= 72)) {
+            throw new Error('Font size must be between 4 and 72 points');
+        }
+        if (!NUMBER_POSITIONS.includes(numbering.position)) {
+            throw new Error(`Unknown position: ${numbering.position}`);
+        }
+        if (!(numbering.margin >= 0)) {
+            throw new Error('Please enter a margin of 0 or more');
+        }
+        if (numbering.mode === 'bates' && !(Number.isInteger(numbering.bates.digits) &&
+            numbering.bates.digits >= 1 && numbering.bates.digits <= 12)) {
+            throw new Error('Bates numbers must have between 1 and 12 digits');
+        }
+    }
+
+    generateNumberedFilename(originalName, mode) {
+        const baseName = originalName.replace(/\.pdf$/i, '');
+        return `${baseName}_${mode === 'bates' ? 'bates' : 'numbered'}.pdf`;
+    }
+
+    // Worker task input for a file; its buffer is transferred to the worker
+    async createSource(file) {
+        return {
+            buffer: await this.fileToArrayBuffer(file),
+            password: getFilePassword(file)
+        };
+    }
+
+    async fileToArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = () => {
+                resolve(reader.result);
+            };
+
+            reader.onerror = () => {
+                reject(new Error(`Failed to read file: ${file.name}`));
+            };
+
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    updateProgress(percentage, message) {
+        this.onProgress({
+            percentage: Math.round(percentage),
+            message: message
+        });
+    }
+
+    setProgressCallback(callback) {
+        this.onProgress = callback || (() => {});
+    }
+
+    getIsProcessing() {
+        return this.isProcessing;
+    }
+
+    // The running operation rejects with a cancellation error
+    cancel() {
+        this.abortController.abort();
+        this.abortController = new AbortController();
+    }
+}
@@ -1,7 +1,8 @@
 /**
  * PDFPreview - Handles PDF page preview and thumbnail generation
  */
-import { loadPDFFromBytes } from '../utils/pdfLibLoader.js';
+import { getFilePassword, requestFilePassword, loadPDFForFile, isPasswordRequiredError } from '../utils/pdfPasswords.js';
+import { loadPDFJSDocument } from '../utils/pdfjsLoader.js';
 
 export class PDFPreview {
     constructor() {
@@ -12,34 +13,64 @@ export class PDFPreview {
         try {
             const cacheKey = `${file.name}_${file.size}_${file.lastModified}`;
 
-            if (this.thumbnailCache.has(cacheKey)) {
-                return this.thumbnailCache.get(cacheKey);
+            // Reuse cached thumbnails unless more pages are being asked for
+            const cached = this.thumbnailCache.get(cacheKey);
+            if (cached && cached.thumbnails.length >= Math.min(maxPages, cached.totalPages)) {
+                return cached;
             }
 
             console.log(`Generating thumbnails for ${file.name}...`);
 
-            // Get page count using PDF-lib (reliable)
             const arrayBuffer = await this.fileToArrayBuffer(file);
             const uint8Array = new Uint8Array(arrayBuffer);
             
+            // Render real pages with PDF.js, fall back to PDF-lib for the page count
+            let pdfjsDoc = null;
             let pageCount = 0;
             try {
-                const pdf = await loadPDFFromBytes(uint8Array);
-                pageCount = pdf.getPageCount();
-                console.log(`PDF has ${pageCount} pages`);
+                // Encrypted files ask for their password here, before any page is drawn
+                pdfjsDoc = await loadPDFJSDocument(uint8Array, {
+                    password: getFilePassword(file),
+                    onPassword: (isRetry) => requestFilePassword(file, isRetry)
+                });
+                pageCount = pdfjsDoc.numPages;
             } catch (error) {
-                console.error('Failed to get page count:', error);
-                throw new Error('Invalid PDF file');
+                if (isPasswordRequiredError(error)) {
+                    throw error;
+                }
+                console.warn('PDF.js could not open the document, using placeholders:', error);
+                try {
+                    const pdf = await loadPDFForFile(file, uint8Array);
+                    pageCount = pdf.getPageCount();
+                } catch (fallbackError) {
+                    console.error('Failed to get page count:', fallbackError);
+                    if (isPasswordRequiredError(fallbackError)) {
+                        throw fallbackError;
+                    }
+                    throw new Error('Invalid PDF file');
+                }
             }
+            console.log(`PDF has ${pageCount} pages`);
             
             const thumbnails = [];
             const pagesToRender = Math.min(pageCount, maxPages);
             
-            // For now, create enhanced placeholders for all pages
-            // TODO: Add real PDF.js rendering later
-            for (let pageNum = 1; pageNum <= pagesToRender; pageNum++) {
-                const thumbnail = this.createEnhancedPlaceholder(pageNum, file.name);
-                thumbnails.push(thumbnail);
+            try {
+                for (let pageNum = 1; pageNum <= pagesToRender; pageNum++) {
+                    let thumbnail = null;
+                    if (pdfjsDoc) {
+                        try {
+                            thumbnail = await this.renderPageThumbnail(pdfjsDoc, pageNum);
+                        } catch (error) {
+                            console.warn(`Failed to render page ${pageNum} of ${file.name}:`, error);
+                        }
+                    }
+                    thumbnails.push(thumbnail || this.createEnhancedPlaceholder(pageNum, file.name));
+                }
+            } finally {
+                if (pdfjsDoc) {
+                    pdfjsDoc.destroy();
+                }
             }
             
             const result = {
@@ -63,6 +94,93 @@ export class PDFPreview {
         }
     }
 
+    async renderPageThumbnail(pdfjsDoc, pageNum) {
+        const thumbnailWidth = 120;
+        const thumbnailHeight = 160;
+        
+        const page = await pdfjsDoc.getPage(pageNum);
+        
+        try {
+            // Fit the page inside the thumbnail box, keeping its aspect ratio
+            const baseViewport = page.getViewport({ scale: 1 });
+            const fitScale = Math.min(
+                thumbnailWidth / baseViewport.width,
+                thumbnailHeight / baseViewport.height
+            );
+            // Render at device resolution so thumbnails stay sharp on HiDPI screens
+            const outputScale = Math.min(window.devicePixelRatio || 1, 2);
+            const viewport = page.getViewport({ scale: fitScale * outputScale });
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.floor(viewport.width);
+            canvas.height = Math.floor(viewport.height);
+            const ctx = canvas.getContext('2d');
+            
+            // Pages without a background would otherwise render transparent
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            
+            await page.render({ canvasContext: ctx, viewport }).promise;
+            
+            return {
+                pageNumber: pageNum,
+                canvas: canvas,
+                dataUrl: canvas.toDataURL('image/png'),
+                width: Math.floor(viewport.width / outputScale),
+                height: Math.floor(viewport.height / outputScale)
+            };
+        } finally {
+            page.cleanup();
+        }
+    }
+
+    /**
+     * Render one page of a file at a larger size, for tools that draw over it
+     * @param {File} file
+     * @param {number} [pageNum]
+     * @param {number} [maxWidth] - in CSS pixels
+     * @returns {Promise<{canvas: HTMLCanvasElement, pageWidth: number, pageHeight: number, totalPages: number}>}
+     *   the page size is in points, as displayed
+     */
+    async renderPagePreview(file, pageNum = 1, maxWidth = 360) {
+        const arrayBuffer = await this.fileToArrayBuffer(file);
+        const pdfjsDoc = await loadPDFJSDocument(new Uint8Array(arrayBuffer), {
+            password: getFilePassword(file),
+            onPassword: (isRetry) => requestFilePassword(file, isRetry)
+        });
+
+        try {
+            const page = await pdfjsDoc.getPage(Math.min(pageNum, pdfjsDoc.numPages));
+
+            try {
+                const baseViewport = page.getViewport({ scale: 1 });
+                const outputScale = Math.min(window.devicePixelRatio || 1, 2);
+                const viewport = page.getViewport({ scale: (maxWidth / baseViewport.width) * outputScale });
+
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.floor(viewport.width);
+                canvas.height = Math.floor(viewport.height);
+                const ctx = canvas.getContext('2d');
+
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+                await page.render({ canvasContext: ctx, viewport }).promise;
+
+                return {
+                    canvas,
+                    pageWidth: baseViewport.width,
+                    pageHeight: baseViewport.height,
+                    totalPages: pdfjsDoc.numPages
+                };
+            } finally {
+                page.cleanup();
+            }
+        } finally {
+            pdfjsDoc.destroy();
+        }
+    }
+
     createEnhancedPlaceholder(pageNum, fileName = 'Document') {
         const thumbnailWidth = 120;
         const thumbnailHeight = 160;
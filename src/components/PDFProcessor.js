@@ -1,29 +1,41 @@
 /**
  * PDFProcessor - Handles PDF validation and merging operations
  */
-import { createPDFDocument, loadPDFFromBytes } from '../utils/pdfLibLoader.js';
+import { getFilePassword, isPasswordRequiredError } from '../utils/pdfPasswords.js';
+import { runPDFTask } from '../utils/pdfWorkerClient.js';
+import { isCancelledError, throwIfCancelled } from '../utils/cancellation.js';
 
 export class PDFProcessor {
     constructor(onProgress) {
         this.onProgress = onProgress || (() => {});
         this.isProcessing = false;
+        this.abortController = new AbortController();
     }
 
-    async validatePDF(file) {
+    async validatePDF(file, signal = this.abortController.signal) {
         try {
-            const arrayBuffer = await this.fileToArrayBuffer(file);
-            const uint8Array = new Uint8Array(arrayBuffer);
-            
-            // Try to load the PDF to validate it
-            await loadPDFFromBytes(uint8Array);
+            // Try to load the PDF to validate it, asking for a password if encrypted
+            await runPDFTask('pageCount', { source: await this.createSource(file) }, { files: [file], signal });
             return true;
         } catch (error) {
+            // A skipped password prompt or a cancel is not a sign of a broken file
+            if (isPasswordRequiredError(error) || isCancelledError(error)) {
+                throw error;
+            }
             console.warn(`PDF validation failed for ${file.name}:`, error);
             return false;
         }
     }
 
-    async mergePDFs(files, selectedPages = null) {
+    /**
+     * Merge PDFs in order
+     * @param {File[]} files
+     * @param {Map<File, number[]>} [selectedPages] - pages to take from each file
+     * @param {'first'|Object} [metadata] - 'first' copies the first file's
+     *   title, author and so on; an object sets them (see writeMetadata)
+     * @returns {Promise<Uint8Array>}
+     */
+    async mergePDFs(files, selectedPages = null, metadata = 'first') {
         if (this.isProcessing) {
             throw new Error('PDF processing is already in progress');
         }
@@ -32,75 +44,38 @@ export class PDFProcessor {
             throw new Error('No files provided for merging');
         }
 
-        if (files.length === 1 && (!selectedPages || !selectedPages.has(files[0]))) {
+        if (files.length === 1 && (!selectedPages || !selectedPages.has(files[0])) && metadata === 'first') {
             // If only one file and no page selection, just return it as-is
             return await this.fileToUint8Array(files[0]);
         }
 
         this.isProcessing = true;
+        const signal = this.abortController.signal;
         
         try {
-            this.updateProgress(0, 'Initializing PDF merger...');
+            this.updateProgress(0, 'Reading files...');
             
-            // Create a new PDF document
-            const mergedPdf = await createPDFDocument();
-            
-            // Process each file
-            for (let i = 0; i < files.length; i++) {
-                const file = files[i];
-                const progress = ((i + 1) / files.length) * 90; // Reserve 10% for final processing
-                
-                this.updateProgress(progress, `Processing ${file.name}...`);
-                
-                try {
-                    // Convert file to array buffer
-                    const arrayBuffer = await this.fileToArrayBuffer(file);
-                    const uint8Array = new Uint8Array(arrayBuffer);
-                    
-                    // Load the PDF
-                    const pdf = await loadPDFFromBytes(uint8Array);
-                    
-                    // Determine which pages to include
-                    let pageIndices;
-                    if (selectedPages && selectedPages.has(file)) {
-                        // Use selected pages (convert to 0-based indexing)
-                        const pages = selectedPages.get(file);
-                        if (pages.length === 0) {
-                            console.warn(`No pages selected for ${file.name}, skipping`);
-                            continue;
-                        }
-                        pageIndices = pages.map(pageNum => pageNum - 1);
-                        console.log(`Including pages ${pages.join(', ')} from ${file.name}`);
-                    } else {
-                        // Use all pages
-                        const pageCount = pdf.getPageCount();
-                        pageIndices = Array.from({ length: pageCount }, (_, i) => i);
-                        console.log(`Including all ${pageCount} pages from ${file.name}`);
-                    }
-                    
-                    // Copy selected pages to the merged PDF
-                    const copiedPages = await mergedPdf.copyPages(pdf, pageIndices);
-                    
-                    // Add each page to the merged document
-                    copiedPages.forEach(page => {
-                        mergedPdf.addPage(page);
-                    });
-                    
-                } catch (error) {
-                    throw new Error(`Failed to process ${file.name}: ${error.message}`);
+            // Read every file up front; the worker does the loading, copying and saving
+            const sources = [];
+            for (const file of files) {
+                throwIfCancelled(signal);
+                const source = await this.createSource(file);
+                if (selectedPages && selectedPages.has(file)) {
+                    source.pages = selectedPages.get(file);
                 }
+                sources.push(source);
             }
             
-            this.updateProgress(95, 'Finalizing merged PDF...');
-            
-            // Save the merged PDF
-            const pdfBytes = await mergedPdf.save();
-            
-            this.updateProgress(100, 'PDF merge completed!');
-            
-            return pdfBytes;
+            return await runPDFTask('merge', { sources, metadata }, {
+                files,
+                signal,
+                onProgress: (percentage, message) => this.updateProgress(percentage, message)
+            });
             
         } catch (error) {
+            if (isCancelledError(error)) {
+                throw error;
+            }
             throw new Error(`PDF merge failed: ${error.message}`);
         } finally {
             this.isProcessing = false;
@@ -123,6 +98,16 @@ export class PDFProcessor {
         });
     }
 
+    // Worker task input for a file; its buffer is transferred to the worker
+    async createSource(file) {
+        return {
+            buffer: await this.fileToArrayBuffer(file),
+            password: getFilePassword(file),
+            name: file.name,
+            pages: null
+        };
+    }
+
     async fileToUint8Array(file) {
         const arrayBuffer = await this.fileToArrayBuffer(file);
         return new Uint8Array(arrayBuffer);
@@ -144,20 +129,22 @@ export class PDFProcessor {
         return this.isProcessing;
     }
 
-    // Cancel processing (if possible)
+    // Cancel processing; the running operation rejects with a cancellation error
     cancel() {
-        // Note: PDF-lib operations are not easily cancellable
-        // This is more of a flag for the UI
-        this.isProcessing = false;
+        this.abortController.abort();
+        this.abortController = new AbortController();
     }
 
     // Validate multiple files at once
     async validateMultiplePDFs(files) {
+        const signal = this.abortController.signal;
         const results = [];
         
         for (let i = 0; i < files.length; i++) {
+            throwIfCancelled(signal);
+            
             const file = files[i];
-            const isValid = await this.validatePDF(file);
+            const isValid = await this.validatePDF(file, signal);
             
             results.push({
                 file: file,
@@ -0,0 +1,119 @@
+/**
+ * PDFRotator - Handles PDF page rotation
+ */
+import { getFilePassword, isPasswordRequiredError } from '../utils/pdfPasswords.js';
+import { runPDFTask } from '../utils/pdfWorkerClient.js';
+import { isCancelledError } from '../utils/cancellation.js';
+
+export class PDFRotator {
+    constructor(onProgress) {
+        this.onProgress = onProgress || (() => {});
+        this.isProcessing = false;
+        this.abortController = new AbortController();
+    }
+
+    /**
+     * Rotate pages of a PDF
+     * @param {File} file - the source PDF
+     * @param {Map<number, number>} rotations - page number (1-based) to clockwise degrees (90, 180 or 270)
+     */
+    async rotatePages(file, rotations) {
+        if (this.isProcessing) {
+            throw new Error('PDF rotation is already in progress');
+        }
+
+        if (!rotations || rotations.size === 0) {
+            throw new Error('No pages selected for rotation');
+        }
+
+        this.isProcessing = true;
+
+        try {
+            const signal = this.abortController.signal;
+            const source = await this.createSource(file);
+
+            // The worker adds each angle to the page's existing rotation
+            const pdfBytes = await runPDFTask('rotate', { source, rotations: Array.from(rotations.entries()) }, {
+                files: [file],
+                signal,
+                onProgress: (percentage, message) => this.updateProgress(percentage, message)
+            });
+
+            return {
+                filename: this.generateRotatedFilename(file.name),
+                data: pdfBytes,
+                rotatedPages: rotations.size,
+                size: pdfBytes.length
+            };
+
+        } catch (error) {
+            if (isCancelledError(error)) {
+                throw error;
+            }
+            throw new Error(`PDF rotation failed: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    generateRotatedFilename(originalName) {
+        const baseName = originalName.replace(/\.pdf$/i, '');
+        return `${baseName}_rotated.pdf`;
+    }
+
+    // Worker task input for a file; its buffer is transferred to the worker
+    async createSource(file) {
+        return {
+            buffer: await this.fileToArrayBuffer(file),
+            password: getFilePassword(file)
+        };
+    }
+
+    async fileToArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = () => {
+                resolve(reader.result);
+            };
+
+            reader.onerror = () => {
+                reject(new Error(`Failed to read file: ${file.name}`));
+            };
+
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    updateProgress(percentage, message) {
+        this.onProgress({
+            percentage: Math.round(percentage),
+            message: message
+        });
+    }
+
+    setProgressCallback(callback) {
+        this.onProgress = callback || (() => {});
+    }
+
+    getIsProcessing() {
+        return this.isProcessing;
+    }
+
+    // The running operation rejects with a cancellation error
+    cancel() {
+        this.abortController.abort();
+        this.abortController = new AbortController();
+    }
+
+    async getPageCount(file) {
+        try {
+            return await runPDFTask('pageCount', { source: await this.createSource(file) }, { files: [file] });
+        } catch (error) {
+            if (isPasswordRequiredError(error)) {
+                throw error;
+            }
+            throw new Error(`Failed to read PDF: ${error.message}`);
+        }
+    }
+}
@@ -1,12 +1,18 @@
 /**
  * PDFSplitter - Handles PDF splitting operations
  */
-import { createPDFDocument, loadPDFFromBytes } from '../utils/pdfLibLoader.js';
+import { getFilePassword, requestFilePassword, isPasswordRequiredError } from '../utils/pdfPasswords.js';
+import { loadPDFJSDocument } from '../utils/pdfjsLoader.js';
+import { parsePageRanges } from '../utils/pageRanges.js';
+import { runPDFTask } from '../utils/pdfWorkerClient.js';
+import { isCancelledError } from '../utils/cancellation.js';
+import { uniqueName } from '../utils/zipBuilder.js';
 
 export class PDFSplitter {
     constructor(onProgress) {
         this.onProgress = onProgress || (() => {});
         this.isProcessing = false;
+        this.abortController = new AbortController();
     }
 
     async splitPDF(file, ranges) {
@@ -17,57 +23,17 @@ export class PDFSplitter {
         this.isProcessing = true;
         
         try {
-            this.updateProgress(0, 'Loading PDF...');
+            const parts = await this.runSplit(file, ranges);
             
-            // Load the source PDF
-            const arrayBuffer = await this.fileToArrayBuffer(file);
-            const uint8Array = new Uint8Array(arrayBuffer);
-            const sourcePdf = await loadPDFFromBytes(uint8Array);
-            const totalPages = sourcePdf.getPageCount();
-            
-            // Validate and parse ranges
-            const validatedRanges = this.validateAndParseRanges(ranges, totalPages);
-            
-            this.updateProgress(10, 'Preparing to split...');
-            
-            const results = [];
-            
-            for (let i = 0; i < validatedRanges.length; i++) {
-                const range = validatedRanges[i];
-                const progress = 10 + ((i + 1) / validatedRanges.length) * 80;
-                
-                this.updateProgress(progress, `Creating split ${i + 1} of ${validatedRanges.length}...`);
-                
-                // Create new PDF for this range
-                const newPdf = await createPDFDocument();
-                
-                // Copy pages for this range
-                const pageIndices = [];
-                for (let pageNum = range.start; pageNum <= range.end; pageNum++) {
-                    pageIndices.push(pageNum - 1); // PDF-lib uses 0-based indexing
-                }
-                
-                const copiedPages = await newPdf.copyPages(sourcePdf, pageIndices);
-                copiedPages.forEach(page => newPdf.addPage(page));
-                
-                // Generate the PDF bytes
-                const pdfBytes = await newPdf.save();
-                
-                // Create result object
-                const filename = this.generateSplitFilename(file.name, range, i + 1);
-                results.push({
-                    filename: filename,
-                    data: pdfBytes,
-                    pages: `${range.start}-${range.end}`,
-                    size: pdfBytes.length
-                });
-            }
-            
-            this.updateProgress(100, 'Split completed!');
-            
-            return results;
+            return parts.map((part, i) => {
+                const range = { start: part.start, end: part.end };
+                return this.createResult(this.generateSplitFilename(file.name, range, i + 1), part, `${range.start}-${range.end}`);
+            });
             
         } catch (error) {
+            if (isCancelledError(error)) {
+                throw error;
+            }
             throw new Error(`PDF split failed: ${error.message}`);
         } finally {
             this.isProcessing = false;
@@ -82,107 +48,216 @@ export class PDFSplitter {
         this.isProcessing = true;
         
         try {
-            this.updateProgress(0, 'Loading PDF...');
-            
-            // Load the source PDF
-            const arrayBuffer = await this.fileToArrayBuffer(file);
-            const uint8Array = new Uint8Array(arrayBuffer);
-            const sourcePdf = await loadPDFFromBytes(uint8Array);
-            const totalPages = sourcePdf.getPageCount();
+            // No ranges means every page becomes its own file
+            const parts = await this.runSplit(file, null);
             
-            this.updateProgress(10, 'Preparing to split into individual pages...');
+            return parts.map(part => {
+                return this.createResult(this.generatePageFilename(file.name, part.start), part, `${part.start}`);
+            });
             
-            const results = [];
-            
-            for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-                const progress = 10 + (pageNum / totalPages) * 80;
-                this.updateProgress(progress, `Creating page ${pageNum} of ${totalPages}...`);
-                
-                // Create new PDF for this page
-                const newPdf = await createPDFDocument();
-                
-                // Copy single page
-                const [copiedPage] = await newPdf.copyPages(sourcePdf, [pageNum - 1]);
-                newPdf.addPage(copiedPage);
-                
-                // Generate the PDF bytes
-                const pdfBytes = await newPdf.save();
-                
-                // Create result object
-                const filename = this.generatePageFilename(file.name, pageNum);
-                results.push({
-                    filename: filename,
-                    data: pdfBytes,
-                    pages: `${pageNum}`,
-                    size: pdfBytes.length
-                });
+        } catch (error) {
+            if (isCancelledError(error)) {
+                throw error;
             }
+            throw new Error(`PDF split failed: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Split into parts of consecutive pages, each as large as fits in maxBytes
+     * @param {File} file
+     * @param {number} maxBytes - largest saved size allowed for a part
+     * @returns {Promise<Array>} results; parts whose single page is already
+     *   over the limit have oversized set
+     */
+    async splitBySize(file, maxBytes) {
+        if (this.isProcessing) {
+            throw new Error('PDF splitting is already in progress');
+        }
+
+        if (!(maxBytes > 0)) {
+            throw new Error('Please enter a maximum file size greater than zero');
+        }
+
+        this.isProcessing = true;
+        
+        try {
+            const signal = this.abortController.signal;
+            const source = await this.createSource(file);
             
-            this.updateProgress(100, 'Split completed!');
+            const parts = await runPDFTask('splitBySize', { source, maxBytes }, {
+                files: [file],
+                signal,
+                onProgress: (percentage, message) => this.updateProgress(percentage, message)
+            });
             
-            return results;
+            return parts.map((part, i) => {
+                const pages = part.start === part.end ? `${part.start}` : `${part.start}-${part.end}`;
+                const result = this.createResult(this.generatePartFilename(file.name, i + 1), part, pages);
+                result.oversized = part.oversized;
+                return result;
+            });
             
         } catch (error) {
+            if (isCancelledError(error)) {
+                throw error;
+            }
             throw new Error(`PDF split failed: ${error.message}`);
         } finally {
             this.isProcessing = false;
         }
     }
 
-    validateAndParseRanges(rangesString, totalPages) {
-        if (!rangesString || rangesString.trim() === '') {
-            throw new Error('Please enter page ranges');
+    /**
+     * Split into one file per outline entry
+     * @param {File} file
+     * @param {Array<{title: string, start: number, end: number}>} parts - from getOutlineParts()
+     */
+    async splitByOutline(file, parts) {
+        if (this.isProcessing) {
+            throw new Error('PDF splitting is already in progress');
         }
 
-        const ranges = [];
-        const parts = rangesString.split(',').map(part => part.trim());
+        if (!parts || parts.length === 0) {
+            throw new Error('This PDF has no bookmarks to split by');
+        }
+
+        this.isProcessing = true;
         
-        for (const part of parts) {
-            if (part === '') continue;
+        try {
+            const results = await this.runSplit(file, parts.map(part => ({ start: part.start, end: part.end })));
             
-            if (part.includes('-')) {
-                // Range like "1-5"
-                const [startStr, endStr] = part.split('-').map(s => s.trim());
-                const start = parseInt(startStr);
-                const end = parseInt(endStr);
-                
-                if (isNaN(start) || isNaN(end)) {
-                    throw new Error(`Invalid range: ${part}`);
-                }
-                
-                if (start < 1 || end < 1 || start > totalPages || end > totalPages) {
-                    throw new Error(`Range ${part} is outside document bounds (1-${totalPages})`);
-                }
-                
-                if (start > end) {
-                    throw new Error(`Invalid range ${part}: start page must be less than or equal to end page`);
-                }
-                
-                ranges.push({ start, end });
-            } else {
-                // Single page like "5"
-                const pageNum = parseInt(part);
-                
-                if (isNaN(pageNum)) {
-                    throw new Error(`Invalid page number: ${part}`);
-                }
-                
-                if (pageNum < 1 || pageNum > totalPages) {
-                    throw new Error(`Page ${pageNum} is outside document bounds (1-${totalPages})`);
-                }
-                
-                ranges.push({ start: pageNum, end: pageNum });
+            // Repeated bookmark titles would otherwise download over each other
+            const usedNames = new Set();
+            return results.map((result, i) => {
+                const pages = result.start === result.end ? `${result.start}` : `${result.start}-${result.end}`;
+                const filename = uniqueName(this.generateOutlineFilename(parts[i].title, i + 1), usedNames);
+                return this.createResult(filename, result, pages);
+            });
+            
+        } catch (error) {
+            if (isCancelledError(error)) {
+                throw error;
             }
+            throw new Error(`PDF split failed: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
         }
-        
-        if (ranges.length === 0) {
-            throw new Error('No valid page ranges found');
+    }
+
+    /**
+     * Read the document outline (bookmarks) with PDF.js
+     * @returns {Promise<Array<{title: string, depth: number, pageNumber: number}>>}
+     *   entries in document order, depth 1 being top level. Entries that don't
+     *   point at a page of this document are left out.
+     */
+    async getOutline(file) {
+        const arrayBuffer = await this.fileToArrayBuffer(file);
+        const pdfjsDoc = await loadPDFJSDocument(new Uint8Array(arrayBuffer), {
+            password: getFilePassword(file),
+            onPassword: (isRetry) => requestFilePassword(file, isRetry)
+        });
+
+        try {
+            const outline = await pdfjsDoc.getOutline();
+            const entries = [];
+            await this.collectOutlineEntries(pdfjsDoc, outline || [], 1, entries);
+            return entries;
+        } finally {
+            pdfjsDoc.destroy();
         }
+    }
+
+    async collectOutlineEntries(pdfjsDoc, items, depth, entries) {
+        for (const item of items) {
+            const pageNumber = await this.resolveOutlineDestination(pdfjsDoc, item.dest);
+            if (pageNumber !== null) {
+                entries.push({
+                    title: (item.title || '').trim() || 'Untitled',
+                    depth: depth,
+                    pageNumber: pageNumber
+                });
+            }
+
+            if (item.items && item.items.length > 0) {
+                await this.collectOutlineEntries(pdfjsDoc, item.items, depth + 1, entries);
+            }
+        }
+    }
+
+    async resolveOutlineDestination(pdfjsDoc, dest) {
+        try {
+            // Named destinations are looked up, explicit ones start with the page
+            const explicitDest = typeof dest === 'string' ? await pdfjsDoc.getDestination(dest) : dest;
+            if (!Array.isArray(explicitDest) || explicitDest.length === 0) {
+                return null;
+            }
+
+            // Usually a page reference, but some writers store a page index
+            const target = explicitDest[0];
+            const pageIndex = typeof target === 'number' ? target : await pdfjsDoc.getPageIndex(target);
+
+            return pageIndex >= 0 && pageIndex < pdfjsDoc.numPages ? pageIndex + 1 : null;
+        } catch (error) {
+            console.warn('Skipping bookmark with a broken destination:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Turn outline entries into page ranges, one per entry down to maxDepth
+     * Each part runs until the page before the next entry starts. Pages before
+     * the first entry become a "Front matter" part so nothing is dropped.
+     */
+    getOutlineParts(outline, maxDepth, totalPages) {
+        const entries = outline
+            .filter(entry => entry.depth <= maxDepth)
+            .sort((a, b) => a.pageNumber - b.pageNumber);
+
+        const parts = [];
+        if (entries.length === 0) {
+            return parts;
+        }
+
+        if (entries[0].pageNumber > 1) {
+            parts.push({ title: 'Front matter', depth: 1, start: 1, end: entries[0].pageNumber - 1 });
+        }
+
+        entries.forEach((entry, i) => {
+            const next = entries[i + 1];
+            // Entries sharing a page each get that page
+            const end = next ? Math.max(entry.pageNumber, next.pageNumber - 1) : totalPages;
+            parts.push({ title: entry.title, depth: entry.depth, start: entry.pageNumber, end: end });
+        });
+
+        return parts;
+    }
+
+    validateAndParseRanges(rangesString, totalPages) {
+        return parsePageRanges(rangesString, totalPages);
+    }
+
+    // Load, copy and save in the PDF worker; resolves to [{ start, end, data }]
+    async runSplit(file, ranges) {
+        const signal = this.abortController.signal;
+        const source = await this.createSource(file);
         
-        // Sort ranges by start page
-        ranges.sort((a, b) => a.start - b.start);
-        
-        return ranges;
+        return runPDFTask('split', { source, ranges }, {
+            files: [file],
+            signal,
+            onProgress: (percentage, message) => this.updateProgress(percentage, message)
+        });
+    }
+
+    createResult(filename, part, pages) {
+        return {
+            filename: filename,
+            data: part.data,
+            pages: pages,
+            size: part.data.length
+        };
     }
 
     generateSplitFilename(originalName, range, index) {
@@ -199,6 +274,37 @@ export class PDFSplitter {
         return `${baseName}_page_${pageNum}.pdf`;
     }
 
+    // Bookmark titles can hold characters that file systems don't allow
+    generateOutlineFilename(title, index) {
+        const safeTitle = title
+            .replace(/[\u0000-\u001f\u007f]/g, '')
+            .replace(/[\\/:*?"<>|]/g, '_')
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s.]+|[\s.]+$/g, '')
+            .slice(0, 100)
+            .trim();
+
+        // Windows reserves device names such as CON and LPT1
+        if (!safeTitle || /^(con|prn|aux|nul|com\d|lpt\d)$/i.test(safeTitle)) {
+            return `part_${index}.pdf`;
+        }
+
+        return `${safeTitle}.pdf`;
+    }
+
+    generatePartFilename(originalName, partNum) {
+        const baseName = originalName.replace(/\.pdf$/i, '');
+        return `${baseName}_part_${partNum}.pdf`;
+    }
+
+    // Worker task input for a file; its buffer is transferred to the worker
+    async createSource(file) {
+        return {
+            buffer: await this.fileToArrayBuffer(file),
+            password: getFilePassword(file)
+        };
+    }
+
     async fileToArrayBuffer(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -230,17 +336,20 @@ export class PDFSplitter {
         return this.isProcessing;
     }
 
+    // The running operation rejects with a cancellation error
     cancel() {
-        this.isProcessing = false;
+        this.abortController.abort();
+        this.abortController = new AbortController();
     }
 
     async getPageCount(file) {
         try {
-            const arrayBuffer = await this.fileToArrayBuffer(file);
-            const uint8Array = new Uint8Array(arrayBuffer);
-            const pdf = await loadPDFFromBytes(uint8Array);
-            return pdf.getPageCount();
+            // Encrypted files ask for their password here, before splitting starts
+            return await runPDFTask('pageCount', { source: await this.createSource(file) }, { files: [file] });
         } catch (error) {
+            if (isPasswordRequiredError(error)) {
+                throw error;
+            }
             throw new Error(`Failed to read PDF: ${error.message}`);
         }
     }
@@ -253,48 +362,17 @@ export class PDFSplitter {
         this.isProcessing = true;
         
         try {
-            this.updateProgress(0, 'Loading PDF...');
-            
-            // Load the source PDF
-            const arrayBuffer = await this.fileToArrayBuffer(file);
-            const uint8Array = new Uint8Array(arrayBuffer);
-            const sourcePdf = await loadPDFFromBytes(uint8Array);
-            
-            this.updateProgress(10, 'Creating individual page PDFs...');
+            const ranges = selectedPages.map(pageNum => ({ start: pageNum, end: pageNum }));
+            const parts = await this.runSplit(file, ranges);
             
-            const results = [];
-            
-            for (let i = 0; i < selectedPages.length; i++) {
-                const pageNum = selectedPages[i];
-                const progress = 10 + ((i + 1) / selectedPages.length) * 80;
-                
-                this.updateProgress(progress, `Creating PDF for page ${pageNum}...`);
-                
-                // Create new PDF for this page
-                const newPdf = await createPDFDocument();
-                
-                // Copy single page (convert to 0-based indexing)
-                const [copiedPage] = await newPdf.copyPages(sourcePdf, [pageNum - 1]);
-                newPdf.addPage(copiedPage);
-                
-                // Generate the PDF bytes
-                const pdfBytes = await newPdf.save();
-                
-                // Create result object
-                const filename = this.generatePageFilename(file.name, pageNum);
-                results.push({
-                    filename: filename,
-                    data: pdfBytes,
-                    pages: `${pageNum}`,
-                    size: pdfBytes.length
-                });
-            }
-            
-            this.updateProgress(100, 'Split completed!');
-            
-            return results;
+            return parts.map(part => {
+                return this.createResult(this.generatePageFilename(file.name, part.start), part, `${part.start}`);
+            });
             
         } catch (error) {
+            if (isCancelledError(error)) {
+                throw error;
+            }
             throw new Error(`PDF split failed: ${error.message}`);
         } finally {
             this.isProcessing = false;
@@ -0,0 +1,171 @@
+/**
+ * PDFWatermarker - Handles stamping text and image watermarks onto PDF pages
+ */
+import { getFilePassword, isPasswordRequiredError } from '../utils/pdfPasswords.js';
+import { runPDFTask } from '../utils/pdfWorkerClient.js';
+import { isCancelledError } from '../utils/cancellation.js';
+import { WATERMARK_POSITIONS } from '../utils/watermarkLayout.js';
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+export class PDFWatermarker {
+    constructor(onProgress) {
+        this.onProgress = onProgress || (() => {});
+        this.isProcessing = false;
+        this.abortController = new AbortController();
+    }
+
+    /**
+     * Add a watermark to pages of a PDF
+     * @param {File} file - the source PDF
+     * @param {Object} watermark - see validateWatermark
+     * @param {string} [pages] - page ranges such as "1-3, 5"; empty for every page
+     */
+    async addWatermark(file, watermark, pages = '') {
+        if (this.isProcessing) {
+            throw new Error('Watermarking is already in progress');
+        }
+
+        this.isProcessing = true;
+
+        try {
+            this.validateWatermark(watermark);
+
+            const signal = this.abortController.signal;
+            const source = await this.createSource(file);
+            const payload = { source, watermark: { ...watermark }, pages: pages.trim() || null };
+
+            if (watermark.type === 'image') {
+                payload.watermark.image = {
+                    bytes: await this.fileToArrayBuffer(watermark.image),
+                    contentType: watermark.image.type
+                };
+            }
+
+            const pdfBytes = await runPDFTask('watermark', payload, {
+                files: [file],
+                signal,
+                onProgress: (percentage, message) => this.updateProgress(percentage, message)
+            });
+
+            return {
+                filename: this.generateWatermarkedFilename(file.name),
+                data: pdfBytes,
+                size: pdfBytes.length
+            };
+
+        } catch (error) {
+            if (isCancelledError(error)) {
+                throw error;
+            }
+            throw new Error(`Watermarking failed: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * Check watermark settings before any work starts
+     * @param {Object} watermark
+     * @param {'text'|'image'} watermark.type
+     * @param {string} [watermark.text]
+     * @param {number} [watermark.fontSize] - in points
+     * @param {{r: number, g: number, b: number}} [watermark.color] - channels from 0 to 1
+     * @param {File} [watermark.image] - a PNG or JPEG file
+     * @param {number} [watermark.imageScale] - image width as a percentage of the page width
+     * @param {number} watermark.opacity - from 0 to 1
+     * @param {number} watermark.rotation - counter-clockwise degrees
+     * @param {string} watermark.position - see WATERMARK_POSITIONS
+     */
+    validateWatermark(watermark) {
+        if (watermark.type === 'image') {
+            if (!watermark.image) {
+                throw new Error('Please choose an image for the watermark');
+            }
+            if (!IMAGE_TYPES.includes(watermark.image.type)) {
+                throw new Error('Watermark images must be PNG or JPEG');
+            }
+            if (!(watermark.imageScale >= 1 && watermark.imageScale <= 100)) {
+                throw new Error('Image width must be between 1% and 100% of the page');
+            }
+        } else {
+            if (!watermark.text || !watermark.text.trim()) {
+                throw new Error('Please enter the watermark text');
+            }
+            if (!(watermark.fontSize >= 6 && watermark.fontSize <= 400)) {
+                throw new Error('Font size must be between 6 and 400 points');
+            }
+        }
+
+        if (!(watermark.opacity >= 0 && watermark.opacity <= 1)) {
+            throw new Error('Opacity must be between 0% and 100%');
+        }
+        if (!isFinite(watermark.rotation)) {
+            throw new Error('Please enter a rotation in degrees');
+        }
+        if (!WATERMARK_POSITIONS.includes(watermark.position)) {
+            throw new Error(`Unknown watermark position: ${watermark.position}`);
+        }
+    }
+
+    generateWatermarkedFilename(originalName) {
+        const baseName = originalName.replace(/\.pdf$/i, '');
+        return `${baseName}_watermarked.pdf`;
+    }
+
+    // Worker task input for a file; its buffer is transferred to the worker
+    async createSource(file) {
+        return {
+            buffer: await this.fileToArrayBuffer(file),
+            password: getFilePassword(file)
+        };
+    }
+
+    async fileToArrayBuffer(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+
+            reader.onload = () => {
+                resolve(reader.result);
+            };
+
+            reader.onerror = () => {
+                reject(new Error(`Failed to read file: ${file.name}`));
+            };
+
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    updateProgress(percentage, message) {
+        this.onProgress({
+            percentage: Math.round(percentage),
+            message: message
+        });
+    }
+
+    setProgressCallback(callback) {
+        this.onProgress = callback || (() => {});
+    }
+
+    getIsProcessing() {
+        return this.isProcessing;
+    }
+
+    // The running operation rejects with a cancellation error
+    cancel() {
+        this.abortController.abort();
+        this.abortController = new AbortController();
+    }
+
+    async getPageCount(file) {
+        try {
+            return await runPDFTask('pageCount', { source: await this.createSource(file) }, { files: [file] });
+        } catch (error) {
+            if (isPasswordRequiredError(error)) {
+                throw error;
+            }
+            throw new Error(`Failed to read PDF: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,502 @@
+/**
+ * PageNumberTool - Handles page numbering and Bates stamping tool UI and logic
+ */
+import { FileUploadHandler } from './FileUploadHandler.js';
+import { PDFPageNumberer } from './PDFPageNumberer.js';
+import { DEFAULT_TEMPLATES, formatBatesNumber, fillNumberTemplate, getBatesOverflow } from '../utils/pageNumbering.js';
+import { isCancelledError } from '../utils/cancellation.js';
+import { createDragReorder } from '../utils/dragReorder.js';
+import { createZipDownloader } from '../utils/zipBuilder.js';
+
+// Where each mode puts its numbers unless the user picks somewhere else
+const DEFAULT_POSITIONS = {
+    page: 'bottom-center',
+    bates: 'bottom-right'
+};
+
+const POINTS_PER_MM = 72 / 25.4;
+
+export class PageNumberTool {
+    constructor(uiController, errorHandler) {
+        this.uiController = uiController;
+        this.errorHandler = errorHandler;
+        this.selectedFiles = [];
+        this.currentFileIndex = 0;
+        this.zipDownloader = createZipDownloader(uiController, errorHandler);
+
+        // Reorder files by dragging, which sets the order Bates numbers run in
+        this.setupDragAndDrop = createDragReorder((oldIndex, newIndex) => this.reorderFiles(oldIndex, newIndex));
+
+        this.pdfPageNumberer = new PDFPageNumberer((progress) => {
+            this.handleProgress(progress);
+        });
+
+        this.initializeComponents();
+        this.setupEventListeners();
+    }
+
+    initializeComponents() {
+        const numbersDropZone = document.getElementById('numbers-drop-zone');
+        const numbersFileInput = document.getElementById('numbers-file-input');
+
+        if (numbersDropZone && numbersFileInput) {
+            this.fileUploadHandler = new FileUploadHandler(
+                numbersDropZone,
+                numbersFileInput,
+                (files) => this.handleFilesSelected(files)
+            );
+        }
+    }
+
+    setupEventListeners() {
+        const numbersBtn = document.getElementById('numbers-btn');
+        if (numbersBtn) {
+            numbersBtn.addEventListener('click', () => this.handleNumberRequest());
+        }
+
+        const numbersClearBtn = document.getElementById('numbers-clear-btn');
+        if (numbersClearBtn) {
+            numbersClearBtn.addEventListener('click', () => this.handleClear());
+        }
+
+        const modeSelect = document.getElementById('numbers-mode');
+        if (modeSelect) {
+            let previousMode = modeSelect.value;
+            modeSelect.addEventListener('change', () => {
+                this.handleModeChange(previousMode, modeSelect.value);
+                previousMode = modeSelect.value;
+            });
+        }
+
+        const exampleInputs = [
+            'numbers-template', 'numbers-start', 'numbers-bates-prefix',
+            'numbers-bates-digits', 'numbers-bates-suffix'
+        ];
+        exampleInputs.forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('input', () => this.updateExample());
+            }
+        });
+    }
+
+    // Swap in the new mode's defaults, keeping anything the user has changed
+    handleModeChange(previousMode, mode) {
+        const templateInput = document.getElementById('numbers-template');
+        if (templateInput && templateInput.value === DEFAULT_TEMPLATES[previousMode]) {
+            templateInput.value = DEFAULT_TEMPLATES[mode];
+        }
+
+        const positionSelect = document.getElementById('numbers-position');
+        if (positionSelect && positionSelect.value === DEFAULT_POSITIONS[previousMode]) {
+            positionSelect.value = DEFAULT_POSITIONS[mode];
+        }
+
+        const batesOptions = document.getElementById('numbers-bates-options');
+        if (batesOptions) {
+            batesOptions.style.display = mode === 'bates' ? '' : 'none';
+        }
+
+        this.updateExample();
+    }
+
+    // The first file's first label, e.g. "Example: ABC000001"
+    updateExample() {
+        const example = document.getElementById('numbers-example');
+        if (!example) return;
+
+        const numbering = this.getNumberingSettings();
+        const file = this.selectedFiles[0];
+
+        let startNumber;
+        try {
+            startNumber = this.getStartNumber();
+        } catch (error) {
+            example.textContent = error.message;
+            return;
+        }
+
+        const values = {
+            page: startNumber,
+            total: 'N',
+            last: 'N',
+            bates: formatBatesNumber(startNumber, numbering.bates),
+            filename: file ? file.name.replace(/\.pdf$/i, '') : 'Document',
+            date: new Date().toLocaleDateString()
+        };
+
+        example.textContent = numbering.template.trim() ?
+            `Example: ${fillNumberTemplate(numbering.template, values)}` :
+            '';
+    }
+
+    handleFilesSelected(files) {
+        if (files.length === 0) return;
+
+        this.selectedFiles = [...this.selectedFiles, ...files];
+        this.renderFileList();
+
+        const message = files.length === 1 ?
+            `Added ${files[0].name}` :
+            `Added ${files.length} files`;
+        this.uiController.showNotification(message, 'success');
+    }
+
+    renderFileList() {
+        const fileListSection = document.getElementById('numbers-options-section');
+        if (fileListSection) {
+            fileListSection.style.display = this.selectedFiles.length > 0 ? 'block' : 'none';
+        }
+
+        const numbersBtn = document.getElementById('numbers-btn');
+        if (numbersBtn) {
+            numbersBtn.disabled = this.selectedFiles.length === 0;
+        }
+
+        const fileList = document.getElementById('numbers-file-list');
+        if (fileList) {
+            fileList.innerHTML = '';
+
+            this.selectedFiles.forEach((file, index) => {
+                fileList.appendChild(this.createFileElement(file, index));
+            });
+        }
+
+        this.updateExample();
+    }
+
+    createFileElement(file, index) {
+        const div = document.createElement('div');
+        div.className = 'file-item';
+        div.draggable = true;
+        div.dataset.index = index;
+
+        div.innerHTML = `
+            <div class="drag-handle" title="Drag to reorder">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="3" y1="6" x2="21" y2="6"></line>
+                    <line x1="3" y1="12" x2="21" y2="12"></line>
+                    <line x1="3" y1="18" x2="21" y2="18"></line>
+                </svg>
+            </div>
+            <div class="file-order">${index + 1}</div>
+            <div class="file-info">
+                <div class="file-name" title="${file.name}">${this.truncateFileName(file.name)}</div>
+                <div class="file-size">${this.formatFileSize(file.size)}</div>
+            </div>
+            <button type="button" class="remove-btn" title="Remove file" data-index="${index}">
+                Remove
+            </button>
+        `;
+
+        div.querySelector('.remove-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.removeFile(index);
+        });
+
+        this.setupDragAndDrop(div);
+
+        return div;
+    }
+
+    reorderFiles(oldIndex, newIndex) {
+        if (oldIndex === newIndex) return;
+
+        const [movedFile] = this.selectedFiles.splice(oldIndex, 1);
+        this.selectedFiles.splice(newIndex, 0, movedFile);
+
+        this.renderFileList();
+    }
+
+    removeFile(index) {
+        this.selectedFiles.splice(index, 1);
+        this.renderFileList();
+    }
+
+    getNumberingSettings() {
+        return {
+            mode: this.getValue('numbers-mode', 'page'),
+            template: this.getValue('numbers-template', DEFAULT_TEMPLATES.page),
+            font: this.getValue('numbers-font', 'Helvetica'),
+            fontSize: parseFloat(this.getValue('numbers-font-size', '10')),
+            position: this.getValue('numbers-position', DEFAULT_POSITIONS.page),
+            margin: parseFloat(this.getValue('numbers-margin', '10')) * POINTS_PER_MM,
+            skip: this.getValue('numbers-skip', ''),
+            bates: {
+                prefix: this.getValue('numbers-bates-prefix', ''),
+                digits: parseInt(this.getValue('numbers-bates-digits', '6')),
+                suffix: this.getValue('numbers-bates-suffix', '')
+            }
+        };
+    }
+
+    getStartNumber() {
+        const startNumber = parseInt(this.getValue('numbers-start', '1'));
+        if (isNaN(startNumber)) {
+            return 1;
+        }
+        if (startNumber < 0) {
+            throw new Error('Please enter a starting number of 0 or more');
+        }
+        return startNumber;
+    }
+
+    async handleNumberRequest() {
+        if (this.selectedFiles.length === 0) {
+            this.uiController.showNotification('Please select a PDF file first', 'warning');
+            return;
+        }
+
+        const numbering = this.getNumberingSettings();
+        let startNumber;
+
+        try {
+            startNumber = this.getStartNumber();
+            this.pdfPageNumberer.validateNumbering(numbering);
+        } catch (error) {
+            this.errorHandler.showUserError(error.message);
+            return;
+        }
+
+        try {
+            this.uiController.updateUIState('processing');
+
+            const results = [];
+            let nextNumber = startNumber;
+
+            for (let i = 0; i < this.selectedFiles.length; i++) {
+                const file = this.selectedFiles[i];
+                this.currentFileIndex = i;
+
+                // Bates numbers carry on from the previous file; page numbers start over
+                const fileStart = numbering.mode === 'bates' ? nextNumber : startNumber;
+
+                try {
+                    const result = await this.pdfPageNumberer.numberPages(file, numbering, fileStart);
+                    results.push(result);
+                    nextNumber = result.lastNumber + 1;
+                } catch (error) {
+                    // Cancelling stops the whole batch, and so does a Bates failure,
+                    // which would leave a gap in the numbers
+                    if (isCancelledError(error) || numbering.mode === 'bates') {
+                        throw error;
+                    }
+                    console.error(`Failed to number ${file.name}:`, error);
+                    this.uiController.showNotification(`Failed to number ${file.name}: ${error.message}`, 'error');
+                }
+            }
+
+            if (results.length === 0) {
+                throw new Error('No files were successfully numbered');
+            }
+
+            this.showNumberResults(results, numbering);
+
+        } catch (error) {
+            if (isCancelledError(error)) {
+                this.uiController.showCancelled();
+                return;
+            }
+            this.errorHandler.handleProcessingError(error);
+            this.uiController.showError(error.message, true);
+        }
+    }
+
+    showNumberResults(results, numbering) {
+        const { mode } = numbering;
+        const numbered = results.filter(result => result.numberedPages > 0);
+
+        // Numbers longer than the set digits no longer sort in order with the rest
+        const overflow = mode === 'bates' && numbered.length > 0 ?
+            getBatesOverflow(numbered[numbered.length - 1].lastNumber, numbering.bates.digits) :
+            null;
+
+        const resultTitle = document.getElementById('result-title');
+        if (resultTitle) {
+            resultTitle.textContent = mode === 'bates' && numbered.length > 0 ?
+                `Bates Numbered ${this.describeRange(numbered[0].firstLabel, numbered[numbered.length - 1].lastLabel)}` :
+                'Pages Numbered Successfully!';
+        }
+
+        const resultDownloads = document.getElementById('result-downloads');
+        if (resultDownloads) {
+            resultDownloads.innerHTML = '';
+
+            results.forEach(result => {
+                const tooLong = overflow !== null && result.numberedPages > 0 && result.lastNumber >= overflow;
+                resultDownloads.appendChild(this.createDownloadItem(result, mode, tooLong));
+            });
+
+            if (mode === 'bates') {
+                const downloadLogBtn = document.createElement('button');
+                downloadLogBtn.className = 'btn btn-secondary';
+                downloadLogBtn.textContent = 'Download Bates Log (CSV)';
+                downloadLogBtn.style.marginTop = '1rem';
+                downloadLogBtn.addEventListener('click', () => this.downloadBatesLog(results));
+                resultDownloads.appendChild(downloadLogBtn);
+            }
+
+            if (results.length > 1) {
+                const downloadAllBtn = document.createElement('button');
+                downloadAllBtn.className = 'btn btn-primary';
+                downloadAllBtn.textContent = 'Download All as ZIP';
+                downloadAllBtn.style.marginTop = '1rem';
+                downloadAllBtn.addEventListener('click', () => this.downloadAllAsZip(results, mode, downloadAllBtn));
+                resultDownloads.appendChild(downloadAllBtn);
+            }
+        }
+
+        this.uiController.hideSection('progress');
+        this.uiController.sections.result.style.display = 'block';
+
+        if (overflow !== null) {
+            this.uiController.showNotification(
+                `Bates numbers from ${formatBatesNumber(overflow, numbering.bates)} on have more than ${numbering.bates.digits} digits`,
+                'warning'
+            );
+        } else {
+            this.uiController.showNotification('Page numbering completed!', 'success');
+        }
+    }
+
+    createDownloadItem(result, mode, tooLong = false) {
+        const count = `${result.numberedPages} page${result.numberedPages === 1 ? '' : 's'} numbered`;
+        const details = mode === 'bates' && result.numberedPages > 0 ?
+            `${this.describeRange(result.firstLabel, result.lastLabel)} • ${count}` :
+            count;
+
+        const item = document.createElement('div');
+        item.className = 'download-item';
+        item.innerHTML = `
+            <div class="download-info">
+                <div class="download-name">${result.filename}</div>
+                <div class="download-size">${details} • ${this.formatFileSize(result.size)}${tooLong ? ' • <span class="download-warning">More digits than set</span>' : ''}</div>
+            </div>
+            <button class="download-btn-small">Download</button>
+        `;
+
+        item.querySelector('.download-btn-small').addEventListener('click', () => {
+            this.downloadFile(result);
+        });
+
+        return item;
+    }
+
+    describeRange(firstLabel, lastLabel) {
+        if (!firstLabel) return '';
+        return firstLabel === lastLabel ? firstLabel : `${firstLabel} – ${lastLabel}`;
+    }
+
+    // One row per file with the Bates range it was given, in numbering order
+    createBatesLog(results) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const rows = [['Source file', 'Numbered file', 'First number', 'Last number', 'Pages']];
+        results.forEach(result => {
+            rows.push([result.originalName, result.filename, result.firstLabel, result.lastLabel, result.numberedPages]);
+        });
+
+        return rows.map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+    }
+
+    downloadBatesLog(results) {
+        this.downloadFile({
+            data: this.createBatesLog(results),
+            filename: 'bates-log.csv',
+            type: 'text/csv'
+        });
+    }
+
+    downloadFile(result) {
+        const blob = new Blob([result.data], { type: result.type || 'application/pdf' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.filename;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Clean up
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // The numbered PDFs, plus the Bates log in Bates mode
+    downloadAllAsZip(results, mode, button) {
+        const entries = [...results];
+        if (mode === 'bates') {
+            entries.push({ filename: 'bates-log.csv', data: new TextEncoder().encode(this.createBatesLog(results)) });
+        }
+
+        return this.zipDownloader.download(entries, mode === 'bates' ? 'bates-numbered.zip' : 'numbered.zip', button);
+    }
+
+    // Each file's progress is its share of the whole batch
+    handleProgress(progress) {
+        const fileCount = Math.max(this.selectedFiles.length, 1);
+        const file = this.selectedFiles[this.currentFileIndex];
+        const percentage = ((this.currentFileIndex + progress.percentage / 100) / fileCount) * 100;
+        const message = fileCount > 1 && file ? `${file.name}: ${progress.message}` : progress.message;
+
+        this.uiController.updateProgress(percentage, message);
+    }
+
+    handleClear() {
+        this.selectedFiles = [];
+        this.currentFileIndex = 0;
+        this.renderFileList();
+
+        // Reset file upload handler
+        if (this.fileUploadHandler) {
+            this.fileUploadHandler.reset();
+        }
+
+        // Hide shared sections
+        this.uiController.reset();
+
+        this.uiController.showNotification('Cleared', 'info');
+    }
+
+    getValue(id, fallback) {
+        const input = document.getElementById(id);
+        return input ? input.value : fallback;
+    }
+
+    truncateFileName(fileName, maxLength = 30) {
+        if (fileName.length <= maxLength) {
+            return fileName;
+        }
+
+        const extension = fileName.split('.').pop();
+        const nameWithoutExt = fileName.substring(0, fileName.lastIndexOf('.'));
+        const truncatedName = nameWithoutExt.substring(0, maxLength - extension.length - 4) + '...';
+
+        return truncatedName + '.' + extension;
+    }
+
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    // Stops a running numbering batch or ZIP archive
+    cancel() {
+        this.pdfPageNumberer.cancel();
+        this.zipDownloader.cancel();
+    }
+
+    reset() {
+        this.handleClear();
+    }
+}
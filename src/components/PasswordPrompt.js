@@ -0,0 +1,70 @@
+/**
+ * PasswordPrompt - Asks the user for the password of an encrypted PDF
+ */
+export class PasswordPrompt {
+    constructor() {
+        this.activeDialog = null;
+    }
+
+    // Resolves with the entered password, or null if the user cancels
+    requestPassword(fileName, isRetry = false) {
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.className = 'password-dialog-overlay';
+
+            overlay.innerHTML = `
+                <form class="password-dialog" role="dialog" aria-modal="true" aria-labelledby="password-dialog-title">
+                    <h3 id="password-dialog-title">Password Required</h3>
+                    <p class="password-dialog-message"></p>
+                    <input type="password" class="password-dialog-input" autocomplete="off" placeholder="Enter PDF password">
+                    <p class="password-dialog-error" style="display: ${isRetry ? 'block' : 'none'};">
+                        Incorrect password. Please try again.
+                    </p>
+                    <div class="actions">
+                        <button type="submit" class="btn btn-primary">Open PDF</button>
+                        <button type="button" class="btn btn-secondary password-dialog-cancel">Skip File</button>
+                    </div>
+                </form>
+            `;
+
+            // File names come from the user's disk, so keep them out of innerHTML
+            overlay.querySelector('.password-dialog-message').textContent =
+                `"${fileName}" is password-protected. The password is only used in your browser to open the file.`;
+
+            const form = overlay.querySelector('.password-dialog');
+            const input = overlay.querySelector('.password-dialog-input');
+            const cancelBtn = overlay.querySelector('.password-dialog-cancel');
+
+            const close = (value) => {
+                document.removeEventListener('keydown', onKeyDown);
+                if (overlay.parentNode) {
+                    overlay.parentNode.removeChild(overlay);
+                }
+                this.activeDialog = null;
+                resolve(value);
+            };
+
+            const onKeyDown = (e) => {
+                if (e.key === 'Escape') {
+                    close(null);
+                }
+            };
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                close(input.value);
+            });
+
+            cancelBtn.addEventListener('click', () => close(null));
+            document.addEventListener('keydown', onKeyDown);
+
+            document.body.appendChild(overlay);
+            this.activeDialog = overlay;
+            input.focus();
+        });
+    }
+
+    isOpen() {
+        return this.activeDialog !== null;
+    }
+}
@@ -0,0 +1,390 @@
+/**
+ * RotateTool - Handles PDF page rotation tool UI and logic
+ */
+import { FileUploadHandler } from './FileUploadHandler.js';
+import { PDFRotator } from './PDFRotator.js';
+import { PDFPreview } from './PDFPreview.js';
+import { isCancelledError } from '../utils/cancellation.js';
+
+export class RotateTool {
+    constructor(uiController, errorHandler) {
+        this.uiController = uiController;
+        this.errorHandler = errorHandler;
+        this.currentFile = null;
+        this.pageCount = 0;
+        this.currentThumbnails = null;
+        this.pageRotations = new Map(); // page number -> clockwise degrees
+
+        this.pdfRotator = new PDFRotator((progress) => {
+            this.handleProgress(progress);
+        });
+
+        this.pdfPreview = new PDFPreview();
+
+        this.initializeComponents();
+        this.setupEventListeners();
+    }
+
+    initializeComponents() {
+        // Initialize file upload handler for rotate tool
+        const rotateDropZone = document.getElementById('rotate-drop-zone');
+        const rotateFileInput = document.getElementById('rotate-file-input');
+
+        if (rotateDropZone && rotateFileInput) {
+            this.fileUploadHandler = new FileUploadHandler(
+                rotateDropZone,
+                rotateFileInput,
+                (files) => this.handleFileSelected(files)
+            );
+        }
+    }
+
+    setupEventListeners() {
+        const controls = {
+            'rotate-select-all': () => this.setAllSelected(true),
+            'rotate-select-none': () => this.setAllSelected(false),
+            'rotate-selected-btn': () => this.rotateSelectedPages(),
+            'rotate-all-btn': () => this.rotateAllPages(),
+            'rotate-reset-btn': () => this.resetRotations(),
+            'rotate-btn': () => this.handleRotateRequest(),
+            'rotate-clear-btn': () => this.handleClear()
+        };
+
+        Object.entries(controls).forEach(([id, handler]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', handler);
+            }
+        });
+    }
+
+    async handleFileSelected(files) {
+        if (files.length === 0) return;
+
+        if (files.length > 1) {
+            this.errorHandler.showUserError('Please select only one PDF file to rotate');
+            return;
+        }
+
+        const file = files[0];
+
+        try {
+            this.pageCount = await this.pdfRotator.getPageCount(file);
+            this.currentFile = file;
+            this.pageRotations = new Map();
+
+            this.showRotateOptions(file.name, this.pageCount);
+            await this.showPageSelection();
+
+        } catch (error) {
+            this.errorHandler.handleFileSelectionError(error);
+        }
+    }
+
+    showRotateOptions(filename, pageCount) {
+        const rotateFilename = document.getElementById('rotate-filename');
+        const rotatePages = document.getElementById('rotate-pages');
+
+        if (rotateFilename) rotateFilename.textContent = filename;
+        if (rotatePages) rotatePages.textContent = pageCount;
+
+        const rotateOptionsSection = document.getElementById('rotate-options-section');
+        if (rotateOptionsSection) {
+            rotateOptionsSection.style.display = 'block';
+        }
+    }
+
+    // Same thumbnail grid as the split tool's visual page selection
+    async showPageSelection() {
+        const container = document.getElementById('rotate-page-thumbnails');
+        if (!container || !this.currentFile) return;
+
+        container.innerHTML = '<div class="loading-thumbnails">Generating thumbnails...</div>';
+
+        try {
+            this.currentThumbnails = await this.pdfPreview.generateThumbnails(this.currentFile, this.pageCount);
+
+            container.innerHTML = '';
+
+            for (let pageNum = 1; pageNum <= this.pageCount; pageNum++) {
+                const thumbnail = this.currentThumbnails.thumbnails.find(t => t.pageNumber === pageNum) ||
+                    this.pdfPreview.createEnhancedPlaceholder(pageNum, this.currentFile.name);
+
+                container.appendChild(this.createPageThumbnailElement(thumbnail, pageNum));
+            }
+        } catch (error) {
+            console.error('Error generating thumbnails:', error);
+            container.innerHTML = '<div class="error-message">Failed to generate thumbnails</div>';
+        }
+    }
+
+    createPageThumbnailElement(thumbnail, pageNum) {
+        const element = document.createElement('div');
+        element.className = 'page-thumbnail in-split-mode unselected';
+        element.dataset.pageNumber = pageNum;
+
+        const img = document.createElement('img');
+        img.src = thumbnail.dataUrl;
+        img.alt = `Page ${pageNum}`;
+        img.className = 'page-thumbnail-image';
+
+        const pageLabel = document.createElement('div');
+        pageLabel.className = 'page-thumbnail-label';
+        pageLabel.textContent = pageNum;
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'page-thumbnail-checkbox';
+        checkbox.dataset.page = pageNum;
+
+        // Rotate just this page
+        const rotateButton = document.createElement('button');
+        rotateButton.type = 'button';
+        rotateButton.className = 'page-rotate-btn';
+        rotateButton.title = `Rotate page ${pageNum}`;
+        rotateButton.textContent = '↻';
+
+        element.appendChild(img);
+        element.appendChild(pageLabel);
+        element.appendChild(checkbox);
+        element.appendChild(rotateButton);
+
+        element.addEventListener('click', (e) => {
+            if (e.target === rotateButton) {
+                return;
+            }
+            if (e.target.type !== 'checkbox') {
+                checkbox.checked = !checkbox.checked;
+            }
+            this.updateThumbnailSelection(element);
+        });
+
+        rotateButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.rotatePages([pageNum]);
+        });
+
+        return element;
+    }
+
+    updateThumbnailSelection(element) {
+        const checkbox = element.querySelector('.page-thumbnail-checkbox');
+        element.classList.toggle('selected', checkbox.checked);
+        element.classList.toggle('unselected', !checkbox.checked);
+    }
+
+    setAllSelected(selected) {
+        const checkboxes = document.querySelectorAll('#rotate-page-thumbnails .page-thumbnail-checkbox');
+        checkboxes.forEach(checkbox => {
+            checkbox.checked = selected;
+            this.updateThumbnailSelection(checkbox.closest('.page-thumbnail'));
+        });
+    }
+
+    getSelectedPages() {
+        const checkboxes = document.querySelectorAll('#rotate-page-thumbnails .page-thumbnail-checkbox:checked');
+        return Array.from(checkboxes).map(checkbox => parseInt(checkbox.dataset.page));
+    }
+
+    getSelectedAngle() {
+        const angleInput = document.querySelector('input[name="rotate-angle"]:checked');
+        return angleInput ? parseInt(angleInput.value) : 90;
+    }
+
+    rotateSelectedPages() {
+        const selectedPages = this.getSelectedPages();
+        if (selectedPages.length === 0) {
+            this.uiController.showNotification('Select the pages to rotate first', 'warning');
+            return;
+        }
+        this.rotatePages(selectedPages);
+    }
+
+    rotateAllPages() {
+        const allPages = Array.from({ length: this.pageCount }, (_, i) => i + 1);
+        this.rotatePages(allPages);
+    }
+
+    rotatePages(pageNumbers) {
+        const angle = this.getSelectedAngle();
+
+        pageNumbers.forEach(pageNum => {
+            const current = this.pageRotations.get(pageNum) || 0;
+            const next = (current + angle) % 360;
+
+            if (next === 0) {
+                this.pageRotations.delete(pageNum);
+            } else {
+                this.pageRotations.set(pageNum, next);
+            }
+
+            this.updateThumbnailRotation(pageNum);
+        });
+
+        this.updateRotationSummary();
+    }
+
+    resetRotations() {
+        this.pageRotations = new Map();
+        for (let pageNum = 1; pageNum <= this.pageCount; pageNum++) {
+            this.updateThumbnailRotation(pageNum);
+        }
+        this.updateRotationSummary();
+    }
+
+    updateThumbnailRotation(pageNum) {
+        const element = document.querySelector(`#rotate-page-thumbnails .page-thumbnail[data-page-number="${pageNum}"]`);
+        if (!element) return;
+
+        const angle = this.pageRotations.get(pageNum) || 0;
+        const img = element.querySelector('.page-thumbnail-image');
+
+        // Sideways previews are scaled down so they stay inside the thumbnail
+        const scale = angle % 180 === 0 ? 1 : 0.7;
+        img.style.transform = angle ? `rotate(${angle}deg) scale(${scale})` : '';
+        element.classList.toggle('rotated', angle !== 0);
+    }
+
+    updateRotationSummary() {
+        const summary = document.getElementById('rotate-summary');
+        if (!summary) return;
+
+        const count = this.pageRotations.size;
+        summary.textContent = count === 0 ?
+            'No pages rotated yet' :
+            `${count} page${count === 1 ? '' : 's'} will be rotated`;
+
+        const rotateBtn = document.getElementById('rotate-btn');
+        if (rotateBtn) {
+            rotateBtn.disabled = count === 0;
+        }
+    }
+
+    async handleRotateRequest() {
+        if (!this.currentFile) {
+            this.uiController.showNotification('Please select a PDF file first', 'warning');
+            return;
+        }
+
+        if (this.pageRotations.size === 0) {
+            this.uiController.showNotification('Rotate at least one page first', 'warning');
+            return;
+        }
+
+        try {
+            this.uiController.updateUIState('processing');
+
+            const result = await this.pdfRotator.rotatePages(this.currentFile, this.pageRotations);
+
+            this.showRotateResult(result);
+
+        } catch (error) {
+            if (isCancelledError(error)) {
+                this.uiController.showCancelled();
+                return;
+            }
+            this.errorHandler.handleProcessingError(error);
+            this.uiController.showError(error.message, true);
+        }
+    }
+
+    showRotateResult(result) {
+        const resultTitle = document.getElementById('result-title');
+        if (resultTitle) {
+            resultTitle.textContent = 'PDF Rotated Successfully!';
+        }
+
+        const resultDownloads = document.getElementById('result-downloads');
+        if (resultDownloads) {
+            resultDownloads.innerHTML = '';
+
+            const item = document.createElement('div');
+            item.className = 'download-item';
+            item.innerHTML = `
+                <div class="download-info">
+                    <div class="download-name">${result.filename}</div>
+                    <div class="download-size">${result.rotatedPages} pages rotated • ${this.formatFileSize(result.size)}</div>
+                </div>
+                <button class="download-btn-small">Download</button>
+            `;
+
+            item.querySelector('.download-btn-small').addEventListener('click', () => {
+                this.downloadFile(result);
+            });
+
+            resultDownloads.appendChild(item);
+        }
+
+        this.uiController.hideSection('progress');
+        this.uiController.sections.result.style.display = 'block';
+        this.uiController.showNotification('PDF rotated successfully!', 'success');
+    }
+
+    downloadFile(result) {
+        const blob = new Blob([result.data], { type: 'application/pdf' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.filename;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Clean up
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    handleProgress(progress) {
+        this.uiController.updateProgress(progress.percentage, progress.message);
+    }
+
+    handleClear() {
+        this.currentFile = null;
+        this.pageCount = 0;
+        this.currentThumbnails = null;
+        this.pageRotations = new Map();
+
+        const container = document.getElementById('rotate-page-thumbnails');
+        if (container) {
+            container.innerHTML = '';
+        }
+
+        const rotateOptionsSection = document.getElementById('rotate-options-section');
+        if (rotateOptionsSection) {
+            rotateOptionsSection.style.display = 'none';
+        }
+
+        this.updateRotationSummary();
+
+        // Reset file upload handler
+        if (this.fileUploadHandler) {
+            this.fileUploadHandler.reset();
+        }
+
+        // Hide shared sections
+        this.uiController.reset();
+
+        this.uiController.showNotification('Cleared', 'info');
+    }
+
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    cancel() {
+        this.pdfRotator.cancel();
+    }
+
+    reset() {
+        this.handleClear();
+    }
+}
@@ -4,6 +4,8 @@
 import { FileUploadHandler } from './FileUploadHandler.js';
 import { PDFSplitter } from './PDFSplitter.js';
 import { PDFPreview } from './PDFPreview.js';
+import { createZipDownloader } from '../utils/zipBuilder.js';
+import { isCancelledError } from '../utils/cancellation.js';
 
 export class SplitTool {
     constructor(uiController, errorHandler) {
@@ -13,6 +15,8 @@ export class SplitTool {
         this.pageCount = 0;
         this.currentThumbnails = null;
         this.splitDividers = new Set();
+        this.currentOutline = null;
+        this.zipDownloader = createZipDownloader(uiController, errorHandler);
 
         this.pdfSplitter = new PDFSplitter((progress) => {
             this.handleProgress(progress);
@@ -40,37 +44,25 @@ export class SplitTool {
 
     setupEventListeners() {
         // Split method radio buttons
-        const splitRanges = document.getElementById('split-ranges');
-        const splitVisual = document.getElementById('split-visual');
-        const splitAll = document.getElementById('split-all');
-        const rangesInput = document.getElementById('split-ranges-input');
-        const visualSelection = document.getElementById('visual-page-selection');
-        const pageRangesInput = document.getElementById('page-ranges');
-
-        if (splitRanges && splitVisual && splitAll && rangesInput && visualSelection) {
-            splitRanges.addEventListener('change', () => {
-                rangesInput.style.display = splitRanges.checked ? 'block' : 'none';
-                visualSelection.style.display = 'none';
-                this.updateSplitPreview();
-            });
-
-            splitVisual.addEventListener('change', async () => {
-                rangesInput.style.display = 'none';
-                visualSelection.style.display = splitVisual.checked ? 'block' : 'none';
-                if (splitVisual.checked) {
-                    await this.showCombinedVisualSelection();
+        document.querySelectorAll('input[name="split-method"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                if (radio.checked) {
+                    this.handleSplitMethodChange(radio.value);
                 }
-                this.updateSplitPreview();
             });
+        });
 
-            splitAll.addEventListener('change', () => {
-                rangesInput.style.display = 'none';
-                visualSelection.style.display = 'none';
+        // Bookmark level for outline splitting
+        const outlineDepth = document.getElementById('outline-depth');
+        if (outlineDepth) {
+            outlineDepth.addEventListener('change', () => {
+                this.renderOutlineParts();
                 this.updateSplitPreview();
             });
         }
 
         // Page ranges input
+        const pageRangesInput = document.getElementById('page-ranges');
         if (pageRangesInput) {
             pageRangesInput.addEventListener('input', () => {
                 this.updateSplitPreview();
@@ -116,6 +108,112 @@ export class SplitTool {
         // Browse button is handled by FileUploadHandler, no need for duplicate listener
     }
 
+    async handleSplitMethodChange(method) {
+        // Each method shows its own inputs under its radio button
+        const methodInputs = {
+            ranges: document.getElementById('split-ranges-input'),
+            visual: document.getElementById('visual-page-selection'),
+            size: document.getElementById('split-size-input'),
+            outline: document.getElementById('split-outline-input')
+        };
+
+        Object.entries(methodInputs).forEach(([name, element]) => {
+            if (element) {
+                element.style.display = name === method ? 'block' : 'none';
+            }
+        });
+
+        if (method === 'visual') {
+            await this.showCombinedVisualSelection();
+        } else if (method === 'outline') {
+            await this.showOutlineParts();
+        }
+
+        // Size-based parts depend on saved sizes, so that mode has no preview
+        this.updateSplitPreview();
+    }
+
+    async showOutlineParts() {
+        const partsList = document.getElementById('outline-parts');
+        if (!partsList || !this.currentFile) {
+            return;
+        }
+
+        if (!this.currentOutline) {
+            partsList.innerHTML = '<div class="loading-thumbnails">Reading bookmarks...</div>';
+
+            try {
+                this.currentOutline = await this.pdfSplitter.getOutline(this.currentFile);
+            } catch (error) {
+                console.error('Error reading bookmarks:', error);
+                partsList.innerHTML = '<div class="error-message">Failed to read bookmarks</div>';
+                return;
+            }
+
+            this.populateOutlineDepths();
+        }
+
+        this.renderOutlineParts();
+    }
+
+    populateOutlineDepths() {
+        const outlineDepth = document.getElementById('outline-depth');
+        if (!outlineDepth) return;
+
+        const maxDepth = this.currentOutline.reduce((max, entry) => Math.max(max, entry.depth), 0);
+
+        outlineDepth.innerHTML = '';
+        for (let depth = 1; depth <= Math.max(1, maxDepth); depth++) {
+            const option = document.createElement('option');
+            option.value = depth;
+            option.textContent = depth === 1 ? 'Top-level bookmarks' : `Bookmarks up to level ${depth}`;
+            outlineDepth.appendChild(option);
+        }
+
+        outlineDepth.disabled = maxDepth <= 1;
+    }
+
+    getOutlineParts() {
+        if (!this.currentOutline) {
+            return [];
+        }
+
+        const depth = parseInt(document.getElementById('outline-depth')?.value) || 1;
+        return this.pdfSplitter.getOutlineParts(this.currentOutline, depth, this.pageCount);
+    }
+
+    renderOutlineParts() {
+        const partsList = document.getElementById('outline-parts');
+        if (!partsList || !this.currentOutline) return;
+
+        partsList.innerHTML = '';
+
+        const parts = this.getOutlineParts();
+        if (parts.length === 0) {
+            partsList.innerHTML = '<div class="outline-empty">This PDF has no bookmarks</div>';
+            return;
+        }
+
+        parts.forEach(part => {
+            const item = document.createElement('div');
+            item.className = 'outline-part';
+            item.style.paddingLeft = `${0.75 + (part.depth - 1) * 1.25}rem`;
+
+            // Titles come from the document, so keep them out of innerHTML
+            const title = document.createElement('span');
+            title.className = 'outline-part-title';
+            title.textContent = part.title;
+
+            const pages = document.createElement('span');
+            pages.className = 'outline-part-pages';
+            pages.textContent = part.start === part.end ? `Page ${part.start}` : `Pages ${part.start}-${part.end}`;
+
+            item.appendChild(title);
+            item.appendChild(pages);
+            partsList.appendChild(item);
+        });
+    }
+
     async handleFileSelected(files) {
         if (files.length === 0) return;
 
@@ -130,6 +228,7 @@ export class SplitTool {
             // Get page count
             this.pageCount = await this.pdfSplitter.getPageCount(file);
             this.currentFile = file;
+            this.currentOutline = null;
 
             // Generate initial thumbnails (more for better preview)
             const thumbnailCount = Math.min(this.pageCount, 20); // Generate up to 20 thumbnails initially
@@ -138,8 +237,9 @@ export class SplitTool {
             // Update UI
             this.showSplitOptions(file.name, this.pageCount);
 
-            // Show initial preview
-            this.updateSplitPreview();
+            // Refresh the chosen method's inputs and preview for the new file
+            const splitMethod = document.querySelector('input[name="split-method"]:checked')?.value || 'ranges';
+            await this.handleSplitMethodChange(splitMethod);
 
         } catch (error) {
             this.errorHandler.handleFileSelectionError(error);
@@ -183,6 +283,12 @@ export class SplitTool {
             if (splitMethod === 'all') {
                 // Split into individual pages
                 results = await this.pdfSplitter.splitIntoIndividualPages(this.currentFile);
+            } else if (splitMethod === 'outline') {
+                // One file per bookmark at the chosen level
+                results = await this.pdfSplitter.splitByOutline(this.currentFile, this.getOutlineParts());
+            } else if (splitMethod === 'size') {
+                // Split into parts under a maximum file size
+                results = await this.pdfSplitter.splitBySize(this.currentFile, this.getMaxPartSize());
             } else if (splitMethod === 'visual') {
                 // Get selected pages from checkboxes
                 const selectedPages = this.getVisuallySelectedPages();
@@ -224,6 +330,10 @@ export class SplitTool {
             this.showSplitResults(results);
 
         } catch (error) {
+            if (isCancelledError(error)) {
+                this.uiController.showCancelled();
+                return;
+            }
             this.errorHandler.handleProcessingError(error);
             this.uiController.showError(error.message, true);
         }
@@ -252,13 +362,36 @@ export class SplitTool {
                 downloadAllBtn.className = 'btn btn-primary';
                 downloadAllBtn.textContent = 'Download All as ZIP';
                 downloadAllBtn.style.marginTop = '1rem';
-                downloadAllBtn.addEventListener('click', () => this.downloadAllAsZip(results));
+                downloadAllBtn.addEventListener('click', () => {
+                    this.zipDownloader.download(results, this.generateZipFilename(), downloadAllBtn);
+                });
                 resultDownloads.appendChild(downloadAllBtn);
             }
         }
 
         this.uiController.sections.result.style.display = 'block';
         this.uiController.showNotification('PDF split successfully!', 'success');
+
+        const oversizedCount = results.filter(result => result.oversized).length;
+        if (oversizedCount > 0) {
+            this.uiController.showNotification(
+                `${oversizedCount} part(s) hold a single page that is already over the size limit`,
+                'warning',
+                6000
+            );
+        }
+    }
+
+    // Maximum part size in bytes from the size input and unit
+    getMaxPartSize() {
+        const sizeValue = parseFloat(document.getElementById('max-part-size')?.value);
+        const unit = document.getElementById('max-part-size-unit')?.value || 'MB';
+
+        if (isNaN(sizeValue) || sizeValue <= 0) {
+            throw new Error('Please enter a maximum file size greater than zero');
+        }
+
+        return Math.floor(sizeValue * (unit === 'KB' ? 1024 : 1024 * 1024));
     }
 
     createDownloadItem(result, index) {
@@ -268,7 +401,7 @@ export class SplitTool {
         item.innerHTML = `
             <div class="download-info">
                 <div class="download-name">${result.filename}</div>
-                <div class="download-size">Pages: ${result.pages} • ${this.formatFileSize(result.size)}</div>
+                <div class="download-size">Pages: ${result.pages} • ${this.formatFileSize(result.size)}${result.oversized ? ' • <span class="download-warning">Over size limit</span>' : ''}</div>
             </div>
             <button class="download-btn-small" data-index="${index}">Download</button>
         `;
@@ -298,21 +431,9 @@ export class SplitTool {
         setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
-    async downloadAllAsZip(results) {
-        try {
-            // For now, download files individually
-            // TODO: Implement ZIP creation when we add a ZIP library
-            this.uiController.showNotification('Downloading files individually...', 'info');
-
-            results.forEach((result, index) => {
-                setTimeout(() => {
-                    this.downloadFile(result);
-                }, index * 500); // Stagger downloads
-            });
-
-        } catch (error) {
-            this.errorHandler.handleProcessingError(error);
-        }
+    generateZipFilename() {
+        const baseName = this.currentFile ? this.currentFile.name.replace(/\.pdf$/i, '') : 'split';
+        return `${baseName}_split.zip`;
     }
 
     handleProgress(progress) {
@@ -350,6 +471,8 @@ export class SplitTool {
                     // Don't show preview for invalid ranges
                 }
             }
+        } else if (splitMethod === 'outline') {
+            this.showSplitPreview(this.getOutlineParts());
         } else if (splitMethod === 'visual') {
             // Show preview based on dividers or checkboxes
             if (this.splitDividers && this.splitDividers.size > 0) {
@@ -372,7 +495,7 @@ export class SplitTool {
             return;
         }
 
-        const splitPreview = this.pdfPreview.createSplitPreview(this.currentThumbnails, ranges);
+        const splitPreview = this.pdfPreview.createSplitPreview(this.currentFile, this.currentThumbnails, ranges);
         splitPreview.id = 'split-preview';
 
         // Insert after split options section
@@ -387,6 +510,12 @@ export class SplitTool {
         this.pageCount = 0;
         this.currentThumbnails = null;
         this.splitDividers = new Set();
+        this.currentOutline = null;
+
+        const outlineParts = document.getElementById('outline-parts');
+        if (outlineParts) {
+            outlineParts.innerHTML = '';
+        }
 
         // Remove preview
         const splitPreview = document.getElementById('split-preview');
@@ -409,6 +538,7 @@ export class SplitTool {
         const splitRanges = document.getElementById('split-ranges');
         if (splitRanges) {
             splitRanges.checked = true;
+            splitRanges.dispatchEvent(new Event('change'));
         }
 
         // Reset file upload handler
@@ -788,6 +918,12 @@ export class SplitTool {
         }));
     }
 
+    // Stops a running split or ZIP archive
+    cancel() {
+        this.pdfSplitter.cancel();
+        this.zipDownloader.cancel();
+    }
+
     reset() {
         this.handleClear();
     }
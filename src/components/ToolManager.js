@@ -7,7 +7,13 @@ export class ToolManager {
         this.tools = {
             merge: document.getElementById('merge-tool'),
             split: document.getElementById('split-tool'),
-            'word-convert': document.getElementById('word-convert-tool')
+            'word-convert': document.getElementById('word-convert-tool'),
+            rotate: document.getElementById('rotate-tool'),
+            compress: document.getElementById('compress-tool'),
+            watermark: document.getElementById('watermark-tool'),
+            'page-numbers': document.getElementById('page-numbers-tool'),
+            metadata: document.getElementById('metadata-tool'),
+            'images-to-pdf': document.getElementById('images-to-pdf-tool')
         };
         this.toolCards = document.querySelectorAll('.tool-card');
         
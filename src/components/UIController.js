@@ -18,7 +18,8 @@ export class UIController {
             mergeBtn: document.getElementById('merge-btn'),
             clearBtn: document.getElementById('clear-btn'),
             startOverBtn: document.getElementById('start-over-btn'),
-            retryBtn: document.getElementById('retry-btn')
+            retryBtn: document.getElementById('retry-btn'),
+            cancelBtn: document.getElementById('cancel-btn')
         };
 
         this.currentDownloadUrl = null;
@@ -45,6 +46,10 @@ export class UIController {
         
         this.sections.progress.style.display = 'block';
         this.updateProgress(percentage, message);
+        
+        if (this.elements.cancelBtn) {
+            this.elements.cancelBtn.disabled = false;
+        }
     }
 
     // Update progress bar and message
@@ -90,6 +95,12 @@ export class UIController {
         }
     }
 
+    // Leave the progress view after the user cancelled
+    showCancelled() {
+        this.hideSection('progress');
+        this.showNotification('Cancelled', 'info');
+    }
+
     // Hide a specific section
     hideSection(sectionName) {
         const section = this.sections[sectionName];
@@ -155,6 +166,14 @@ export class UIController {
         if (this.elements.retryBtn && callbacks.onRetry) {
             this.elements.retryBtn.addEventListener('click', callbacks.onRetry);
         }
+        
+        if (this.elements.cancelBtn && callbacks.onCancel) {
+            this.elements.cancelBtn.addEventListener('click', () => {
+                // One click is enough; the button comes back with the next progress view
+                this.elements.cancelBtn.disabled = true;
+                callbacks.onCancel();
+            });
+        }
     }
 
     // Show temporary notification
@@ -0,0 +1,494 @@
+/**
+ * WatermarkTool - Handles PDF watermark tool UI and logic
+ */
+import { FileUploadHandler } from './FileUploadHandler.js';
+import { PDFWatermarker } from './PDFWatermarker.js';
+import { PDFPreview } from './PDFPreview.js';
+import { parsePageRanges } from '../utils/pageRanges.js';
+import { getStampPlacements } from '../utils/watermarkLayout.js';
+import { getWatermarkSegments, measureWatermarkText } from '../utils/watermarkText.js';
+import { loadUnicodeFontFace } from '../utils/fontLoader.js';
+import { createPDFDocument } from '../utils/pdfLibLoader.js';
+import { isCancelledError } from '../utils/cancellation.js';
+
+export class WatermarkTool {
+    constructor(uiController, errorHandler) {
+        this.uiController = uiController;
+        this.errorHandler = errorHandler;
+        this.currentFile = null;
+        this.pageCount = 0;
+        this.previewPage = null; // { pageNum, canvas, pageWidth, pageHeight }
+        this.previewRequest = 0;
+        this.drawRequest = 0;
+        this.measureDocument = null; // Promise of a pdf-lib document the preview embeds its fonts in
+        this.watermarkImage = null; // { file, bitmap }
+
+        this.pdfWatermarker = new PDFWatermarker((progress) => {
+            this.handleProgress(progress);
+        });
+
+        this.pdfPreview = new PDFPreview();
+
+        this.initializeComponents();
+        this.setupEventListeners();
+    }
+
+    initializeComponents() {
+        const watermarkDropZone = document.getElementById('watermark-drop-zone');
+        const watermarkFileInput = document.getElementById('watermark-file-input');
+
+        if (watermarkDropZone && watermarkFileInput) {
+            this.fileUploadHandler = new FileUploadHandler(
+                watermarkDropZone,
+                watermarkFileInput,
+                (files) => this.handleFileSelected(files)
+            );
+        }
+    }
+
+    setupEventListeners() {
+        const watermarkBtn = document.getElementById('watermark-btn');
+        if (watermarkBtn) {
+            watermarkBtn.addEventListener('click', () => this.handleWatermarkRequest());
+        }
+
+        const watermarkClearBtn = document.getElementById('watermark-clear-btn');
+        if (watermarkClearBtn) {
+            watermarkClearBtn.addEventListener('click', () => this.handleClear());
+        }
+
+        const imageInput = document.getElementById('watermark-image');
+        if (imageInput) {
+            imageInput.addEventListener('change', () => this.handleImageSelected(imageInput.files[0]));
+        }
+
+        const pagesInput = document.getElementById('watermark-pages');
+        if (pagesInput) {
+            pagesInput.addEventListener('input', () => this.updatePreviewPage());
+        }
+
+        // Every other setting only changes what's drawn over the page
+        const settingIds = [
+            'watermark-type', 'watermark-text', 'watermark-font-size', 'watermark-color',
+            'watermark-image-scale', 'watermark-opacity', 'watermark-rotation', 'watermark-position'
+        ];
+        settingIds.forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('input', () => this.handleSettingsChange());
+            }
+        });
+    }
+
+    async handleFileSelected(files) {
+        if (files.length === 0) return;
+
+        if (files.length > 1) {
+            this.errorHandler.showUserError('Please select only one PDF file to watermark');
+            return;
+        }
+
+        const file = files[0];
+
+        try {
+            this.pageCount = await this.pdfWatermarker.getPageCount(file);
+            this.currentFile = file;
+            this.previewPage = null;
+
+            this.showWatermarkOptions(file.name, this.pageCount);
+            this.handleSettingsChange();
+            await this.updatePreviewPage();
+
+        } catch (error) {
+            this.errorHandler.handleFileSelectionError(error);
+        }
+    }
+
+    showWatermarkOptions(filename, pageCount) {
+        const watermarkFilename = document.getElementById('watermark-filename');
+        const watermarkPages = document.getElementById('watermark-page-count');
+
+        if (watermarkFilename) watermarkFilename.textContent = filename;
+        if (watermarkPages) watermarkPages.textContent = pageCount;
+
+        const watermarkOptionsSection = document.getElementById('watermark-options-section');
+        if (watermarkOptionsSection) {
+            watermarkOptionsSection.style.display = 'block';
+        }
+
+        const watermarkBtn = document.getElementById('watermark-btn');
+        if (watermarkBtn) {
+            watermarkBtn.disabled = false;
+        }
+    }
+
+    async handleImageSelected(file) {
+        if (this.watermarkImage) {
+            this.watermarkImage.bitmap.close();
+            this.watermarkImage = null;
+        }
+
+        if (file) {
+            try {
+                this.watermarkImage = { file, bitmap: await createImageBitmap(file) };
+            } catch (error) {
+                console.error('Failed to read watermark image:', error);
+                this.uiController.showNotification(`Couldn't read ${file.name} as an image`, 'error');
+            }
+        }
+
+        this.drawPreview();
+    }
+
+    handleSettingsChange() {
+        const type = this.getValue('watermark-type', 'text');
+        this.setDisplay('watermark-text-options', type === 'text');
+        this.setDisplay('watermark-image-options', type === 'image');
+
+        // The diagonal position sets its own angle
+        const rotationInput = document.getElementById('watermark-rotation');
+        if (rotationInput) {
+            rotationInput.disabled = this.getValue('watermark-position', 'center') === 'diagonal';
+        }
+
+        const opacityValue = document.getElementById('watermark-opacity-value');
+        if (opacityValue) {
+            opacityValue.textContent = `${this.getValue('watermark-opacity', '30')}%`;
+        }
+
+        this.drawPreview();
+    }
+
+    // The preview shows the first page the watermark will go on
+    async updatePreviewPage() {
+        if (!this.currentFile) return;
+
+        const pageNum = this.getFirstSelectedPage();
+        if (this.previewPage && this.previewPage.pageNum === pageNum) {
+            return;
+        }
+
+        // Typing page ranges can start several renders; only the latest is shown
+        const request = ++this.previewRequest;
+        const file = this.currentFile;
+
+        try {
+            const rendered = await this.pdfPreview.renderPagePreview(file, pageNum);
+            if (request !== this.previewRequest || file !== this.currentFile) {
+                return;
+            }
+
+            this.previewPage = { pageNum, ...rendered };
+            this.drawPreview();
+        } catch (error) {
+            console.error('Error rendering watermark preview:', error);
+            this.setPreviewCaption('Preview unavailable for this PDF');
+        }
+    }
+
+    getFirstSelectedPage() {
+        const pages = this.getValue('watermark-pages', '').trim();
+        if (!pages) return 1;
+
+        try {
+            return parsePageRanges(pages, this.pageCount)[0].start;
+        } catch (error) {
+            // Keep showing the current page while the ranges are half typed
+            return this.previewPage ? this.previewPage.pageNum : 1;
+        }
+    }
+
+    async drawPreview() {
+        const canvas = document.getElementById('watermark-preview-canvas');
+        if (!canvas || !this.previewPage) return;
+
+        // Text is measured with the PDF's fonts, which may need loading first;
+        // only the latest settings are drawn
+        const request = ++this.drawRequest;
+        const watermark = this.getWatermarkSettings();
+        let textStamp = null;
+        try {
+            textStamp = await this.measureTextStamp(watermark);
+        } catch (error) {
+            console.error('Failed to load the watermark fonts:', error);
+        }
+        if (request !== this.drawRequest || !this.previewPage) return;
+
+        const { pageNum, pageWidth, pageHeight } = this.previewPage;
+        const source = this.previewPage.canvas;
+        canvas.width = source.width;
+        canvas.height = source.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(source, 0, 0);
+
+        this.setPreviewCaption(`Page ${pageNum} of ${this.pageCount}`);
+
+        const stamp = watermark.type === 'image' ? this.measureImageStamp(watermark, pageWidth) : textStamp;
+        if (!stamp) return;
+
+        // Canvas pixels per PDF point, and a y axis that points down
+        const scale = canvas.width / pageWidth;
+        ctx.globalAlpha = watermark.opacity;
+
+        getStampPlacements(pageWidth, pageHeight, stamp.width, stamp.height, watermark).forEach(({ x, y, angle }) => {
+            ctx.save();
+            ctx.translate(x * scale, (pageHeight - y) * scale);
+            ctx.rotate(-angle * Math.PI / 180);
+            ctx.scale(scale, scale);
+
+            if (watermark.type === 'image') {
+                ctx.drawImage(this.watermarkImage.bitmap, -stamp.width / 2, -stamp.height / 2, stamp.width, stamp.height);
+            } else {
+                this.drawTextStamp(ctx, stamp);
+            }
+
+            ctx.restore();
+        });
+
+        ctx.globalAlpha = 1;
+    }
+
+    // Stamp size in points, matching what the PDF worker will draw
+    measureImageStamp(watermark, pageWidth) {
+        if (!this.watermarkImage) return null;
+
+        const { bitmap } = this.watermarkImage;
+        const width = pageWidth * watermark.imageScale / 100;
+        return { width, height: width * bitmap.height / bitmap.width };
+    }
+
+    // Text pieces and their sizes in points, from the fonts the PDF worker will embed
+    async measureTextStamp(watermark) {
+        if (watermark.type !== 'text' || !watermark.text || !(watermark.fontSize > 0)) return null;
+
+        if (!this.measureDocument) {
+            this.measureDocument = createPDFDocument();
+        }
+        const segments = await getWatermarkSegments(await this.measureDocument, watermark.text);
+        const { width, height, widths } = measureWatermarkText(segments, watermark.fontSize);
+
+        const canvasFonts = await Promise.all(segments.map(segment => segment.fontName === 'helvetica' ?
+            `bold ${watermark.fontSize}px Helvetica, Arial, sans-serif` :
+            loadUnicodeFontFace(segment.fontName, 'bold').then(family => `${watermark.fontSize}px ${family}`)));
+
+        return {
+            width,
+            height,
+            segments: segments.map((segment, index) => ({ text: segment.text, width: widths[index], font: canvasFonts[index] }))
+        };
+    }
+
+    // Each piece is stretched to the width the PDF font gives it, in case the
+    // canvas font differs, so the stamp lines up with the PDF's
+    drawTextStamp(ctx, stamp) {
+        ctx.fillStyle = this.getValue('watermark-color', '#d32f2f');
+        ctx.textBaseline = 'alphabetic';
+
+        let x = -stamp.width / 2;
+        stamp.segments.forEach(segment => {
+            ctx.font = segment.font;
+            const drawnWidth = ctx.measureText(segment.text).width;
+
+            ctx.save();
+            ctx.translate(x, stamp.height / 2);
+            if (drawnWidth > 0) {
+                ctx.scale(segment.width / drawnWidth, 1);
+            }
+            ctx.fillText(segment.text, 0, 0);
+            ctx.restore();
+
+            x += segment.width;
+        });
+    }
+
+    getWatermarkSettings() {
+        return {
+            type: this.getValue('watermark-type', 'text'),
+            text: this.getValue('watermark-text', ''),
+            fontSize: parseFloat(this.getValue('watermark-font-size', '48')),
+            color: this.hexToColor(this.getValue('watermark-color', '#d32f2f')),
+            image: this.watermarkImage ? this.watermarkImage.file : null,
+            imageScale: parseFloat(this.getValue('watermark-image-scale', '40')),
+            opacity: parseFloat(this.getValue('watermark-opacity', '30')) / 100,
+            rotation: parseFloat(this.getValue('watermark-rotation', '0')) || 0,
+            position: this.getValue('watermark-position', 'center')
+        };
+    }
+
+    // "#rrggbb" -> channels from 0 to 1
+    hexToColor(hex) {
+        const value = parseInt(hex.replace('#', ''), 16) || 0;
+        return {
+            r: ((value >> 16) & 255) / 255,
+            g: ((value >> 8) & 255) / 255,
+            b: (value & 255) / 255
+        };
+    }
+
+    async handleWatermarkRequest() {
+        if (!this.currentFile) {
+            this.uiController.showNotification('Please select a PDF file first', 'warning');
+            return;
+        }
+
+        const pages = this.getValue('watermark-pages', '');
+        if (pages.trim()) {
+            try {
+                parsePageRanges(pages, this.pageCount);
+            } catch (error) {
+                this.errorHandler.showUserError(error.message);
+                return;
+            }
+        }
+
+        try {
+            const watermark = this.getWatermarkSettings();
+            this.pdfWatermarker.validateWatermark(watermark);
+        } catch (error) {
+            this.errorHandler.showUserError(error.message);
+            return;
+        }
+
+        try {
+            this.uiController.updateUIState('processing');
+
+            const result = await this.pdfWatermarker.addWatermark(this.currentFile, this.getWatermarkSettings(), pages);
+
+            this.showWatermarkResult(result);
+
+        } catch (error) {
+            if (isCancelledError(error)) {
+                this.uiController.showCancelled();
+                return;
+            }
+            this.errorHandler.handleProcessingError(error);
+            this.uiController.showError(error.message, true);
+        }
+    }
+
+    showWatermarkResult(result) {
+        const resultTitle = document.getElementById('result-title');
+        if (resultTitle) {
+            resultTitle.textContent = 'Watermark Added Successfully!';
+        }
+
+        const resultDownloads = document.getElementById('result-downloads');
+        if (resultDownloads) {
+            resultDownloads.innerHTML = '';
+
+            const item = document.createElement('div');
+            item.className = 'download-item';
+            item.innerHTML = `
+                <div class="download-info">
+                    <div class="download-name">${result.filename}</div>
+                    <div class="download-size">${this.formatFileSize(result.size)}</div>
+                </div>
+                <button class="download-btn-small">Download</button>
+            `;
+
+            item.querySelector('.download-btn-small').addEventListener('click', () => {
+                this.downloadFile(result);
+            });
+
+            resultDownloads.appendChild(item);
+        }
+
+        this.uiController.hideSection('progress');
+        this.uiController.sections.result.style.display = 'block';
+        this.uiController.showNotification('Watermark added successfully!', 'success');
+    }
+
+    downloadFile(result) {
+        const blob = new Blob([result.data], { type: 'application/pdf' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.filename;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Clean up
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    handleProgress(progress) {
+        this.uiController.updateProgress(progress.percentage, progress.message);
+    }
+
+    handleClear() {
+        this.currentFile = null;
+        this.pageCount = 0;
+        this.previewPage = null;
+        this.previewRequest++;
+        this.drawRequest++;
+
+        const watermarkOptionsSection = document.getElementById('watermark-options-section');
+        if (watermarkOptionsSection) {
+            watermarkOptionsSection.style.display = 'none';
+        }
+
+        const watermarkBtn = document.getElementById('watermark-btn');
+        if (watermarkBtn) {
+            watermarkBtn.disabled = true;
+        }
+
+        const canvas = document.getElementById('watermark-preview-canvas');
+        if (canvas) {
+            canvas.width = 0;
+            canvas.height = 0;
+        }
+        this.setPreviewCaption('');
+
+        // Reset file upload handler
+        if (this.fileUploadHandler) {
+            this.fileUploadHandler.reset();
+        }
+
+        // Hide shared sections
+        this.uiController.reset();
+
+        this.uiController.showNotification('Cleared', 'info');
+    }
+
+    setPreviewCaption(text) {
+        const caption = document.getElementById('watermark-preview-caption');
+        if (caption) {
+            caption.textContent = text;
+        }
+    }
+
+    getValue(id, fallback) {
+        const input = document.getElementById(id);
+        return input ? input.value : fallback;
+    }
+
+    setDisplay(id, visible) {
+        const element = document.getElementById(id);
+        if (element) {
+            element.style.display = visible ? '' : 'none';
+        }
+    }
+
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    cancel() {
+        this.pdfWatermarker.cancel();
+    }
+
+    reset() {
+        this.handleClear();
+    }
+}
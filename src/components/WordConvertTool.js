@@ -3,12 +3,22 @@
  */
 import { FileUploadHandler } from './FileUploadHandler.js';
 import { WordToPDFConverter } from './WordToPDFConverter.js';
+import { isCancelledError } from '../utils/cancellation.js';
+import { createDragReorder } from '../utils/dragReorder.js';
+
+const POINTS_PER_UNIT = {
+    mm: 72 / 25.4,
+    in: 72
+};
 
 export class WordConvertTool {
     constructor(uiController, errorHandler) {
         this.uiController = uiController;
         this.errorHandler = errorHandler;
         this.selectedFiles = [];
+
+        // Reorder files by dragging, which sets the page order of a combined PDF
+        this.setupDragAndDrop = createDragReorder((oldIndex, newIndex) => this.reorderFiles(oldIndex, newIndex));
         
         this.wordConverter = new WordToPDFConverter((progress) => {
             this.handleProgress(progress);
@@ -82,6 +92,28 @@ export class WordConvertTool {
                 document.getElementById('word-file-input').click();
             });
         }
+
+        // Custom page size fields only apply to the custom size
+        const pageSizeSelect = document.getElementById('word-page-size');
+        if (pageSizeSelect) {
+            pageSizeSelect.addEventListener('change', () => {
+                const customSize = document.getElementById('word-custom-size');
+                if (customSize) {
+                    customSize.style.display = pageSizeSelect.value === 'custom' ? 'flex' : 'none';
+                }
+            });
+        }
+
+        // Per-document bookmarks only apply when combining
+        const combineCheckbox = document.getElementById('word-combine');
+        if (combineCheckbox) {
+            combineCheckbox.addEventListener('change', () => {
+                const fileBookmarksOption = document.getElementById('word-file-bookmarks-option');
+                if (fileBookmarksOption) {
+                    fileBookmarksOption.style.display = combineCheckbox.checked ? 'flex' : 'none';
+                }
+            });
+        }
     }
 
     async handleFilesSelected(files) {
@@ -135,9 +167,17 @@ export class WordConvertTool {
     createFileElement(file, index) {
         const div = document.createElement('div');
         div.className = 'file-item';
+        div.draggable = true;
         div.dataset.index = index;
 
         div.innerHTML = `
+            <div class="drag-handle" title="Drag to reorder">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <line x1="3" y1="6" x2="21" y2="6"></line>
+                    <line x1="3" y1="12" x2="21" y2="12"></line>
+                    <line x1="3" y1="18" x2="21" y2="18"></line>
+                </svg>
+            </div>
             <div class="file-order">${index + 1}</div>
             <div class="file-info">
                 <div class="file-name" title="${file.name}">${this.truncateFileName(file.name)}</div>
@@ -155,9 +195,20 @@ export class WordConvertTool {
             this.removeFile(index);
         });
 
+        this.setupDragAndDrop(div);
+
         return div;
     }
 
+    reorderFiles(oldIndex, newIndex) {
+        if (oldIndex === newIndex) return;
+
+        const [movedFile] = this.selectedFiles.splice(oldIndex, 1);
+        this.selectedFiles.splice(newIndex, 0, movedFile);
+        
+        this.renderFileList();
+    }
+
     removeFile(index) {
         this.selectedFiles.splice(index, 1);
         this.renderFileList();
@@ -185,6 +236,23 @@ export class WordConvertTool {
         try {
             this.uiController.updateUIState('processing');
             
+            // Check the layout once up front, rather than failing every file on it
+            const options = this.getConversionOptions();
+            this.wordConverter.getPageLayout(options);
+            
+            if (options.combine && this.selectedFiles.length > 1) {
+                const { pdfBytes, warnings } = await this.wordConverter.combineWordToPDF(this.selectedFiles, options);
+                
+                this.showConversionResults([{
+                    filename: 'Combined-Documents.pdf',
+                    data: pdfBytes,
+                    originalName: `${this.selectedFiles.length} Word documents`,
+                    size: pdfBytes.length,
+                    warnings: warnings
+                }], this.selectedFiles.length);
+                return;
+            }
+            
             const results = [];
             
             for (let i = 0; i < this.selectedFiles.length; i++) {
@@ -195,16 +263,21 @@ export class WordConvertTool {
                 this.uiController.updateProgress(fileProgress, `Converting ${file.name}...`);
                 
                 try {
-                    const pdfBytes = await this.wordConverter.convertWordToPDF(file);
+                    const { pdfBytes, warnings } = await this.wordConverter.convertWordToPDF(file, options);
                     const filename = this.wordConverter.generatePDFFilename(file.name);
                     
                     results.push({
                         filename: filename,
                         data: pdfBytes,
                         originalName: file.name,
-                        size: pdfBytes.length
+                        size: pdfBytes.length,
+                        warnings: warnings
                     });
                 } catch (error) {
+                    // Cancelling stops the whole batch, not just this file
+                    if (isCancelledError(error)) {
+                        throw error;
+                    }
                     console.error(`Failed to convert ${file.name}:`, error);
                     // Continue with other files, but log the error
                     this.uiController.showNotification(`Failed to convert ${file.name}: ${error.message}`, 'error');
@@ -218,16 +291,60 @@ export class WordConvertTool {
             }
             
         } catch (error) {
+            if (isCancelledError(error)) {
+                this.uiController.showCancelled();
+                return;
+            }
             this.errorHandler.handleProcessingError(error);
             this.uiController.showError(error.message, true);
         }
     }
 
-    showConversionResults(results) {
+    // Page layout options from the form, with lengths in points
+    getConversionOptions() {
+        const readLength = (inputId, unitId, label) => {
+            const value = parseFloat(document.getElementById(inputId)?.value);
+            const unit = document.getElementById(unitId)?.value || 'mm';
+
+            if (isNaN(value) || value < 0) {
+                throw new Error(`Please enter a valid ${label}`);
+            }
+
+            return value * POINTS_PER_UNIT[unit];
+        };
+
+        const pageSize = document.getElementById('word-page-size')?.value || 'letter';
+        const fontSize = parseFloat(document.getElementById('word-font-size')?.value);
+
+        if (isNaN(fontSize)) {
+            throw new Error('Please enter a font size');
+        }
+
+        return {
+            pageSize: pageSize,
+            customSize: pageSize === 'custom' ? {
+                width: readLength('word-page-width', 'word-page-size-unit', 'page width'),
+                height: readLength('word-page-height', 'word-page-size-unit', 'page height')
+            } : null,
+            orientation: document.getElementById('word-orientation')?.value || 'portrait',
+            margin: readLength('word-margin', 'word-margin-unit', 'margin'),
+            fontSize: fontSize,
+            lineSpacing: parseFloat(document.getElementById('word-line-spacing')?.value) || 1,
+            includeTitle: document.getElementById('word-include-title')?.checked !== false,
+            header: document.getElementById('word-header')?.value || '',
+            footer: document.getElementById('word-footer')?.value || '',
+            documentHeaders: document.getElementById('word-document-headers')?.checked !== false,
+            combine: Boolean(document.getElementById('word-combine')?.checked),
+            fileBookmarks: document.getElementById('word-file-bookmarks')?.checked !== false
+        };
+    }
+
+    // fileCount can be more than the number of results when files were combined
+    showConversionResults(results, fileCount = results.length) {
         // Update result title
         const resultTitle = document.getElementById('result-title');
         if (resultTitle) {
-            resultTitle.textContent = `Word to PDF Conversion Complete! (${results.length} files converted)`;
+            resultTitle.textContent = `Word to PDF Conversion Complete! (${fileCount} files converted)`;
         }
 
         // Create download items
@@ -252,7 +369,11 @@ export class WordConvertTool {
         }
 
         this.uiController.sections.result.style.display = 'block';
-        this.uiController.showNotification('Word documents converted successfully!', 'success');
+        if (results.some(result => result.warnings && result.warnings.length > 0)) {
+            this.uiController.showNotification('Word documents converted with warnings - see the report for each file', 'warning');
+        } else {
+            this.uiController.showNotification('Word documents converted successfully!', 'success');
+        }
     }
 
     createDownloadItem(result, index) {
@@ -272,9 +393,35 @@ export class WordConvertTool {
             this.downloadFile(result);
         });
         
+        if (result.warnings && result.warnings.length > 0) {
+            item.querySelector('.download-info').appendChild(this.createFidelityReport(result.warnings));
+        }
+        
         return item;
     }
 
+    // What the conversion couldn't carry over, so the PDF can be checked by hand
+    createFidelityReport(warnings) {
+        const report = document.createElement('details');
+        report.className = 'fidelity-report';
+        
+        const summary = document.createElement('summary');
+        summary.textContent = warnings.length === 1 ?
+            '1 conversion warning - check this PDF' :
+            `${warnings.length} conversion warnings - check this PDF`;
+        report.appendChild(summary);
+        
+        const list = document.createElement('ul');
+        warnings.forEach(warning => {
+            const entry = document.createElement('li');
+            entry.textContent = warning;
+            list.appendChild(entry);
+        });
+        report.appendChild(list);
+        
+        return report;
+    }
+
     downloadFile(result) {
         const blob = new Blob([result.data], { type: 'application/pdf' });
         const url = URL.createObjectURL(blob);
@@ -346,6 +493,10 @@ export class WordConvertTool {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     }
 
+    cancel() {
+        this.wordConverter.cancel();
+    }
+
     reset() {
         this.handleClear();
     }
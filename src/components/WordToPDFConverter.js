@@ -1,112 +1,508 @@
 /**
  * WordToPDFConverter - Handles Word to PDF conversion
  */
-import { createPDFDocument } from '../utils/pdfLibLoader.js';
+import { createPDFDocument, loadPDFLib } from '../utils/pdfLibLoader.js';
+import { isCancelledError, throwIfCancelled } from '../utils/cancellation.js';
+import { embedUnicodeFont, getAvailableVariant } from '../utils/fontLoader.js';
+import { isRTLText, getVisualRuns, prepareRTLText } from '../utils/bidi.js';
+import { openDocx, readDocxXml, getImageSizes, getTableColumnWidths, getHeaderFooterLines } from '../utils/docxReader.js';
+import { dataUriToBytes, embedImage } from '../utils/imageEmbedder.js';
+import { isLinkableURI, addLinkAnnotations } from '../utils/pdfLinks.js';
+import { setOutline } from '../utils/pdfOutline.js';
 
-// Import rgb function for PDF-lib colors
-let rgb;
-async function loadRgb() {
-    if (!rgb) {
-        const pdfLib = await import('pdf-lib');
-        rgb = pdfLib.rgb;
+const SOFT_HYPHEN = '\u00AD';
+const REPLACEMENT_CHARACTER = '\uFFFD';
+
+// Table cell padding and border, in points
+const CELL_PADDING = 4;
+const CELL_BORDER_WIDTH = 0.5;
+
+// Page sizes in points, portrait
+const PAGE_SIZES = {
+    a4: [595.28, 841.89],
+    letter: [612, 792],
+    legal: [612, 1008]
+};
+
+// Custom pages from 1 inch to the 200 inches PDF viewers allow
+const MIN_PAGE_SIZE = 72;
+const MAX_PAGE_SIZE = 14400;
+
+// The text area left inside the margins must be at least an inch each way
+const MIN_TEXT_AREA = 72;
+
+// Headers and footers are set small and grey, like Word's
+const HEADER_FONT_SIZE = 9;
+const HEADER_LINE_HEIGHT = HEADER_FONT_SIZE + 3;
+
+const ELLIPSIS = '\u2026';
+
+// How far each list level is indented, with the marker hanging in the indent
+const LIST_INDENT = 24;
+
+// Word's default markers for the first three levels, repeating below that
+const BULLETS = ['\u2022', '\u25E6', '\u25AA'];
+
+// The fonts embedded in each PDF, by family and variant, so the documents of a
+// combined PDF share them rather than each carrying its own copy
+const embeddedFonts = new WeakMap();
+
+// Text is kept as runs of { text, bold, italic, underline, strike, link }
+// from extraction through to drawing
+
+function runsToText(runs) {
+    return runs.map(run => run.text).join('');
+}
+
+function getFormatKey(run) {
+    const styles = `${run.bold ? 'b' : ''}${run.italic ? 'i' : ''}${run.underline ? 'u' : ''}${run.strike ? 's' : ''}`;
+    return run.link ? `${styles}|${run.link}` : styles;
+}
+
+function toRoman(number) {
+    const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+        [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+    let roman = '';
+    for (const [value, numeral] of numerals) {
+        while (number >= value) {
+            roman += numeral;
+            number -= value;
+        }
+    }
+    return roman;
+}
+
+// a, b, ... z, aa, ab, ...
+function toLetters(number) {
+    let letters = '';
+    for (; number > 0; number = Math.floor((number - 1) / 26)) {
+        letters = String.fromCharCode(97 + (number - 1) % 26) + letters;
+    }
+    return letters;
+}
+
+// Numbered lists go 1, a, i down the levels, as in Word's default multilevel list
+function formatListNumber(number, level) {
+    switch ((level - 1) % 3) {
+        case 1:
+            return toLetters(number);
+        case 2:
+            return toRoman(number);
+        default:
+            return String(number);
+    }
+}
+
+// How to refer to an image in a warning
+function getImageName(item) {
+    return item.alt ? `Image "${item.alt}"` : 'An image';
+}
+
+function getFontVariant(run) {
+    if (run.bold && run.italic) return 'boldItalic';
+    if (run.bold) return 'bold';
+    if (run.italic) return 'italic';
+    return 'regular';
+}
+
+// Add text to the end of some runs, extending the last run if its formatting matches
+function appendText(runs, text, format) {
+    const last = runs[runs.length - 1];
+    if (last && getFormatKey(last) === getFormatKey(format)) {
+        last.text += text;
+    } else {
+        runs.push({ ...format, text });
+    }
+}
+
+// The parts of some runs between two offsets into their joined text
+function sliceRuns(runs, start, end) {
+    const slice = [];
+    let offset = 0;
+    
+    for (const run of runs) {
+        const runEnd = offset + run.text.length;
+        if (runEnd > start && offset < end) {
+            slice.push({ ...run, text: run.text.slice(Math.max(0, start - offset), end - offset) });
+        }
+        offset = runEnd;
     }
-    return rgb;
+    
+    return slice;
 }
 
 export class WordToPDFConverter {
     constructor(onProgress) {
         this.onProgress = onProgress || (() => {});
         this.isProcessing = false;
+        this.abortController = new AbortController();
+        this.warnings = []; // what the current document lost in conversion
     }
 
-    async convertWordToPDF(file) {
+    /**
+     * Convert a .docx file to PDF
+     * @param {File} file
+     * @param {Object} [options] - page and text layout, see getPageLayout
+     * @returns {Promise<{pdfBytes: Uint8Array, warnings: string[]}>} the PDF,
+     *   and what couldn't be converted faithfully
+     */
+    async convertWordToPDF(file, options = {}) {
         if (this.isProcessing) {
             throw new Error('Word conversion is already in progress');
         }
 
         this.isProcessing = true;
+        const signal = this.abortController.signal;
         
         try {
-            this.updateProgress(0, 'Loading Word document...');
+            const pageLayout = this.getPageLayout(options);
+            this.warnings = [];
             
-            // Load mammoth.js dynamically
-            const mammoth = await import('mammoth');
+            this.updateProgress(0, 'Loading Word document...');
             
             // Read the Word file
             const arrayBuffer = await this.fileToArrayBuffer(file);
             
+            throwIfCancelled(signal);
             this.updateProgress(20, 'Extracting content from Word document...');
             
-            // Convert Word to HTML
-            const result = await mammoth.convertToHtml({ arrayBuffer });
-            const htmlContent = result.value;
-            const messages = result.messages;
-            
-            // Log any conversion messages
-            if (messages.length > 0) {
-                console.log('Mammoth conversion messages:', messages);
-            }
+            const { htmlContent, documentLayout } = await this.readWordDocument(arrayBuffer, pageLayout);
             
+            throwIfCancelled(signal);
             this.updateProgress(50, 'Converting to PDF format...');
             
             // Create PDF from HTML content
-            const pdfBytes = await this.createPDFFromHTML(htmlContent, file.name);
+            const pdfBytes = await this.createPDFFromHTML(htmlContent, file.name, signal, documentLayout, pageLayout);
             
             this.updateProgress(100, 'Conversion completed!');
             
-            return pdfBytes;
+            return { pdfBytes, warnings: this.warnings };
             
         } catch (error) {
+            if (isCancelledError(error)) {
+                throw error;
+            }
             throw new Error(`Word to PDF conversion failed: ${error.message}`);
         } finally {
             this.isProcessing = false;
         }
     }
 
-    async createPDFFromHTML(htmlContent, fileName) {
+    /**
+     * Convert several .docx files into one PDF, each starting on a new page
+     * @param {File[]} files - in the order they should appear
+     * @param {Object} [options] - page and text layout, see getPageLayout
+     * @param {boolean} [options.fileBookmarks=true] - add a bookmark for each
+     *   file, with its headings nested underneath
+     * @returns {Promise<{pdfBytes: Uint8Array, warnings: string[]}>} the PDF,
+     *   and what couldn't be converted faithfully, by file name
+     */
+    async combineWordToPDF(files, options = {}) {
+        if (this.isProcessing) {
+            throw new Error('Word conversion is already in progress');
+        }
+
+        this.isProcessing = true;
+        const signal = this.abortController.signal;
+        
+        try {
+            const pageLayout = this.getPageLayout(options);
+            const { fileBookmarks = true } = options;
+            
+            const pdfDoc = await createPDFDocument();
+            const converted = [];
+            const warnings = [];
+            
+            for (let i = 0; i < files.length; i++) {
+                const file = files[i];
+                this.updateProgress((i / files.length) * 90, `Converting ${file.name} (${i + 1} of ${files.length})...`);
+                
+                this.warnings = [];
+                
+                try {
+                    const arrayBuffer = await this.fileToArrayBuffer(file);
+                    throwIfCancelled(signal);
+                    
+                    const { htmlContent, documentLayout } = await this.readWordDocument(arrayBuffer, pageLayout);
+                    throwIfCancelled(signal);
+                    
+                    const textContent = this.extractTextFromHTML(htmlContent, documentLayout);
+                    const drawn = await this.addTextToPDF(pdfDoc, textContent, file.name, signal, pageLayout, documentLayout);
+                    converted.push({ file, ...drawn });
+                    warnings.push(...this.warnings.map(warning => `${file.name}: ${warning}`));
+                } catch (error) {
+                    if (isCancelledError(error)) {
+                        throw error;
+                    }
+                    throw new Error(`${file.name}: ${error.message}`);
+                }
+            }
+            
+            // Number pages through the whole PDF rather than per document
+            const totalPages = pdfDoc.getPageCount();
+            let firstPageNumber = 1;
+            const outline = [];
+            
+            converted.forEach(({ file, pages, headings, drawHeadersAndFooters }) => {
+                drawHeadersAndFooters({ firstPageNumber, totalPages });
+                firstPageNumber += pages.length;
+                
+                if (fileBookmarks) {
+                    outline.push({ title: file.name.replace(/\.(docx?)$/i, ''), level: 1, page: pages[0], top: pageLayout.pageHeight });
+                    outline.push(...headings.map(heading => ({ ...heading, level: heading.level + 1 })));
+                } else {
+                    outline.push(...headings);
+                }
+            });
+            
+            await setOutline(pdfDoc, outline);
+            
+            throwIfCancelled(signal);
+            this.updateProgress(95, 'Saving combined PDF...');
+            
+            const pdfBytes = await pdfDoc.save();
+            
+            this.updateProgress(100, 'Conversion completed!');
+            
+            return { pdfBytes, warnings };
+            
+        } catch (error) {
+            if (isCancelledError(error)) {
+                throw error;
+            }
+            throw new Error(`Word to PDF conversion failed: ${error.message}`);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    // Note something the PDF doesn't show as in Word, once per document
+    addWarning(message) {
+        if (!this.warnings.includes(message)) {
+            this.warnings.push(message);
+        }
+    }
+
+    /**
+     * Resolve conversion options into a page layout, in points
+     * @param {Object} [options]
+     * @param {'a4'|'letter'|'legal'|'custom'} [options.pageSize='letter']
+     * @param {{width: number, height: number}} [options.customSize] - in points,
+     *   for a custom page size
+     * @param {'portrait'|'landscape'} [options.orientation='portrait']
+     * @param {number} [options.margin=50] - in points, on every side
+     * @param {number} [options.fontSize=12] - body text size; headings, lists
+     *   and tables are sized relative to it
+     * @param {number} [options.lineSpacing=1] - multiplies the normal line height
+     * @param {boolean} [options.includeTitle=true] - start with the file name as a title
+     * @param {string} [options.header=''] - text for the top of every page
+     * @param {string} [options.footer=''] - text for the bottom of every page.
+     *   Both may use {page}, {total}, {filename} and {date}. They sit in the
+     *   margins, which grow to make room for more lines than fit.
+     * @param {boolean} [options.documentHeaders=true] - also show the
+     *   document's own header and footer
+     */
+    getPageLayout(options = {}) {
+        const {
+            pageSize = 'letter',
+            customSize = null,
+            orientation = 'portrait',
+            margin = 50,
+            fontSize = 12,
+            lineSpacing = 1,
+            includeTitle = true,
+            header = '',
+            footer = '',
+            documentHeaders = true
+        } = options;
+        
+        let size = PAGE_SIZES[pageSize];
+        if (pageSize === 'custom') {
+            const isValid = (value) => value >= MIN_PAGE_SIZE && value <= MAX_PAGE_SIZE;
+            if (!customSize || !isValid(customSize.width) || !isValid(customSize.height)) {
+                throw new Error('Custom page size must be between 1 and 200 inches on each side');
+            }
+            size = [customSize.width, customSize.height];
+        } else if (!size) {
+            throw new Error(`Unknown page size: ${pageSize}`);
+        }
+        
+        // Landscape turns the long side across the page
+        const shortSide = Math.min(...size);
+        const longSide = Math.max(...size);
+        const [pageWidth, pageHeight] = orientation === 'landscape' ?
+            [longSide, shortSide] :
+            [shortSide, longSide];
+        
+        if (!(margin >= 0) || Math.min(pageWidth, pageHeight) - margin * 2 < MIN_TEXT_AREA) {
+            throw new Error('Margins are too wide for the page size');
+        }
+        if (!(fontSize >= 6 && fontSize <= 72)) {
+            throw new Error('Font size must be between 6 and 72 points');
+        }
+        if (!(lineSpacing >= 0.5 && lineSpacing <= 3)) {
+            throw new Error('Line spacing must be between 0.5 and 3');
+        }
+        
+        return {
+            pageWidth,
+            pageHeight,
+            margin,
+            fontSize,
+            lineSpacing,
+            includeTitle: Boolean(includeTitle),
+            header: header.trim(),
+            footer: footer.trim(),
+            documentHeaders: Boolean(documentHeaders)
+        };
+    }
+
+    // Read a .docx as HTML, along with the layout details mammoth leaves out
+    async readWordDocument(arrayBuffer, pageLayout) {
+        // Load mammoth.js dynamically
+        const mammoth = await import('mammoth');
+        
+        // Convert Word to HTML. mammoth drops underlining unless it's mapped to an element.
+        const result = await mammoth.convertToHtml({ arrayBuffer }, { styleMap: ['u => u'] });
+        const htmlContent = result.value;
+        
+        // mammoth reports the styles and elements it couldn't convert
+        result.messages.forEach(message => this.addWarning(message.message));
+        
+        // mammoth leaves out image sizes, table column widths, headers and
+        // footers, so look them up in the document
+        const documentLayout = /<(img|table)\b/.test(htmlContent) || pageLayout.documentHeaders ?
+            await this.readDocumentLayout(arrayBuffer) :
+            { imageSizes: [], tableColumnWidths: [], header: [], footer: [] };
+        
+        return { htmlContent, documentLayout };
+    }
+
+    async readDocumentLayout(arrayBuffer) {
+        try {
+            const zip = await openDocx(arrayBuffer);
+            const documentXml = await readDocxXml(zip, 'word/document.xml');
+            if (documentXml) {
+                return {
+                    imageSizes: getImageSizes(documentXml),
+                    tableColumnWidths: getTableColumnWidths(documentXml),
+                    ...await getHeaderFooterLines(zip, documentXml)
+                };
+            }
+        } catch (error) {
+            // Images still convert at their pixel size, and tables size their columns to fit
+            this.addWarning(`Could not read image sizes, table widths, headers and footers: ${error.message}`);
+        }
+        
+        return { imageSizes: [], tableColumnWidths: [], header: [], footer: [] };
+    }
+
+    async createPDFFromHTML(htmlContent, fileName, signal, documentLayout = {}, pageLayout = this.getPageLayout()) {
         try {
             // Create a new PDF document
             const pdfDoc = await createPDFDocument();
             
-            // Parse HTML content and extract text
-            const textContent = this.extractTextFromHTML(htmlContent);
+            // Parse HTML content and extract text, images and tables
+            const textContent = this.extractTextFromHTML(htmlContent, documentLayout);
+            
+            // Add pages with text, image and table content
+            const { headings, drawHeadersAndFooters } =
+                await this.addTextToPDF(pdfDoc, textContent, fileName, signal, pageLayout, documentLayout);
+            drawHeadersAndFooters();
+            
+            // Bookmarks for the headings, nested by level
+            await setOutline(pdfDoc, headings);
             
-            // Add pages with text content
-            await this.addTextToPDF(pdfDoc, textContent, fileName);
+            throwIfCancelled(signal);
             
             // Save and return PDF bytes
             return await pdfDoc.save();
             
         } catch (error) {
+            if (isCancelledError(error)) {
+                throw error;
+            }
             throw new Error(`Failed to create PDF: ${error.message}`);
         }
     }
 
-    extractTextFromHTML(html) {
+    extractTextFromHTML(html, { imageSizes = [], tableColumnWidths = [] } = {}) {
         // Create a temporary DOM element to parse HTML
         const tempDiv = document.createElement('div');
         tempDiv.innerHTML = html;
         
         // Extract text content while preserving some structure
         const textContent = [];
-        const elements = tempDiv.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, div');
+        const elements = tempDiv.querySelectorAll('p, h1, h2, h3, h4, h5, h6, li, div, img, table');
+        const tables = Array.from(tempDiv.querySelectorAll('table'));
+        let imageIndex = 0;
         
         elements.forEach(element => {
-            const text = element.textContent.trim();
-            if (text) {
-                // Determine text style based on element type
-                let style = 'normal';
-                if (element.tagName.match(/^H[1-6]$/)) {
-                    style = 'heading';
-                } else if (element.tagName === 'LI') {
-                    style = 'list';
+            if (element.tagName === 'IMG') {
+                // Images inside tables still count, to keep the sizes lined up
+                const size = imageSizes[imageIndex++];
+                if (element.closest('table')) {
+                    this.addWarning('Images inside tables were left out');
+                    return;
                 }
-                
                 textContent.push({
-                    text: text,
+                    tag: 'img',
+                    src: element.getAttribute('src'),
+                    alt: element.getAttribute('alt') || '',
+                    width: size ? size.width : null,
+                    height: size ? size.height : null
+                });
+                return;
+            }
+            
+            // Everything inside a table is laid out with the table
+            if (element.parentElement && element.parentElement.closest('table')) {
+                return;
+            }
+            
+            if (element.tagName === 'TABLE') {
+                if (element.querySelector('table')) {
+                    this.addWarning('Tables inside tables were flattened into their cells');
+                }
+                
+                // Widths are in points, in the same order as mammoth's tables
+                const table = this.extractTable(element, tableColumnWidths[tables.indexOf(element)]);
+                table.anchors = this.getAnchorIds(element);
+                textContent.push(table);
+                return;
+            }
+            
+            // Paragraphs inside list items (footnotes, say) are part of the item
+            if (element.tagName !== 'LI' && element.parentElement && element.parentElement.closest('li')) {
+                return;
+            }
+            
+            // Determine text style based on element type
+            let style = 'normal';
+            if (element.tagName.match(/^H[1-6]$/)) {
+                style = 'heading';
+            } else if (element.tagName === 'LI') {
+                style = 'list';
+            }
+            
+            // Headings are bold, like Word's built-in heading styles
+            const format = style === 'heading' ? { bold: true } : {};
+            const runs = this.getParagraphRuns(element, format, false)[0];
+            
+            if (runs) {
+                const item = {
+                    text: runsToText(runs),
+                    runs: runs,
+                    anchors: this.getAnchorIds(element),
                     style: style,
                     tag: element.tagName.toLowerCase()
-                });
+                };
+                
+                if (element.tagName === 'LI') {
+                    item.list = { level: this.getListLevel(element), marker: this.getListMarker(element) };
+                }
+                
+                textContent.push(item);
             }
         });
         
@@ -116,6 +512,7 @@ export class WordToPDFConverter {
             if (plainText) {
                 textContent.push({
                     text: plainText,
+                    runs: [{ text: plainText }],
                     style: 'normal',
                     tag: 'p'
                 });
@@ -125,114 +522,1159 @@ export class WordToPDFConverter {
         return textContent;
     }
 
-    async addTextToPDF(pdfDoc, textContent, fileName) {
-        // Load rgb function
-        const rgbColor = await loadRgb();
+    extractTable(tableElement, columnWidths) {
+        // Skip the rows of nested tables, which are flattened into their cell
+        const rows = Array.from(tableElement.querySelectorAll('tr'))
+            .filter(row => row.closest('table') === tableElement)
+            .map(row => {
+                // mammoth puts rows marked to repeat as header rows in <thead>
+                const headerRow = row.parentElement.tagName === 'THEAD';
+                
+                return {
+                    header: headerRow,
+                    cells: Array.from(row.children)
+                        .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+                        .map(cell => {
+                            const header = cell.tagName === 'TH';
+                            return {
+                                // Header cells are bold, like the headings
+                                paragraphs: this.getParagraphRuns(cell, header || headerRow ? { bold: true } : {}),
+                                colSpan: parseInt(cell.getAttribute('colspan')) || 1,
+                                rowSpan: parseInt(cell.getAttribute('rowspan')) || 1,
+                                header: header
+                            };
+                        })
+                };
+            })
+            .filter(row => row.cells.length > 0);
         
-        if (textContent.length === 0) {
-            // Add a page with a message if no content
-            const page = pdfDoc.addPage([612, 792]); // Standard letter size
-            page.drawText('No readable content found in the Word document.', {
-                x: 50,
-                y: 750,
-                size: 12,
-                color: rgbColor(0, 0, 0)
-            });
-            return;
+        return {
+            tag: 'table',
+            rows: rows,
+            columnWidths: columnWidths || null
+        };
+    }
+
+    // The text runs of an element, split into paragraphs at block elements
+    // and line breaks, or kept as one paragraph without the nested blocks
+    // that are items of their own
+    getParagraphRuns(element, baseFormat = {}, splitBlocks = true) {
+        const paragraphs = [];
+        let current = [];
+        
+        // A list item keeps the paragraphs inside it, but not its sublists
+        const ownItems = element.tagName === 'LI' ?
+            /^(UL|OL|TABLE)$/ :
+            /^(P|H[1-6]|LI|UL|OL|DIV|TABLE)$/;
+        
+        const flush = () => {
+            if (runsToText(current).trim()) {
+                paragraphs.push(this.trimRuns(current));
+            }
+            current = [];
+        };
+        
+        const separate = (format) => {
+            if (/\S$/.test(runsToText(current))) {
+                appendText(current, ' ', format);
+            }
+        };
+        
+        const walk = (node, format) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                appendText(current, node.textContent, format);
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return;
+            }
+            
+            if (!splitBlocks && ownItems.test(node.tagName)) {
+                return;
+            }
+            
+            const isBlock = splitBlocks && /^(P|H[1-6]|LI|UL|OL|DIV|TABLE|TR|TD|TH|BR)$/.test(node.tagName);
+            // Kept in one paragraph, line breaks and the paragraphs of a list
+            // item are set apart by a space so their words don't run together
+            const isBreak = !splitBlocks && /^(P|H[1-6]|DIV|BR)$/.test(node.tagName);
+            const childFormat = this.getInlineFormat(node, format);
+            
+            if (isBlock) flush();
+            if (isBreak) separate(format);
+            if (splitBlocks && node.tagName === 'LI') {
+                // Lists in table cells keep their markers, without the indents
+                appendText(current, `${this.getListMarker(node)} `, format);
+            }
+            node.childNodes.forEach(child => walk(child, childFormat));
+            if (isBlock) flush();
+            if (isBreak) separate(format);
+        };
+        
+        element.childNodes.forEach(child => walk(child, baseFormat));
+        flush();
+        
+        return paragraphs;
+    }
+
+    // The formatting mammoth marks with inline elements
+    getInlineFormat(element, format) {
+        switch (element.tagName) {
+            case 'STRONG':
+            case 'B':
+                return { ...format, bold: true };
+            case 'EM':
+            case 'I':
+                return { ...format, italic: true };
+            case 'U':
+                return { ...format, underline: true };
+            case 'S':
+            case 'DEL':
+            case 'STRIKE':
+                return { ...format, strike: true };
+            case 'A': {
+                // Web links and links to bookmarks ("#name"); anchors with
+                // only an id mark the bookmarks themselves
+                const href = element.getAttribute('href');
+                return href && (href.startsWith('#') || isLinkableURI(href)) ? { ...format, link: href } : format;
+            }
+            default:
+                return format;
+        }
+    }
+
+    // How many lists deep an item is, from 1
+    getListLevel(listItem) {
+        let level = 0;
+        for (let parent = listItem.parentElement; parent; parent = parent.parentElement) {
+            if (parent.tagName === 'UL' || parent.tagName === 'OL') {
+                level++;
+            }
+        }
+        return Math.max(1, level);
+    }
+
+    // The bullet or number of a list item, counted among its siblings
+    getListMarker(listItem) {
+        const list = listItem.parentElement;
+        const level = this.getListLevel(listItem);
+        
+        if (!list || list.tagName !== 'OL') {
+            return BULLETS[(level - 1) % BULLETS.length];
         }
+        
+        const start = parseInt(list.getAttribute('start')) || 1;
+        const index = Array.from(list.children)
+            .filter(child => child.tagName === 'LI')
+            .indexOf(listItem);
+        
+        return `${formatListNumber(start + index, level)}.`;
+    }
+
+    // Bookmark names that link to an element: its own id and those inside it.
+    // mammoth gives bookmarks, footnotes and their references ids.
+    getAnchorIds(element) {
+        return [element, ...element.querySelectorAll('[id]')]
+            .map(node => node.getAttribute('id'))
+            .filter(Boolean);
+    }
+
+    // Strip the whitespace at either end of a paragraph's runs
+    trimRuns(runs) {
+        let start = 0;
+        let end = runs.length - 1;
+        while (start < end && !runs[start].text.trim()) start++;
+        while (end > start && !runs[end].text.trim()) end--;
+        
+        const trimmed = runs.slice(start, end + 1).map(run => ({ ...run }));
+        trimmed[0].text = trimmed[0].text.trimStart();
+        trimmed[trimmed.length - 1].text = trimmed[trimmed.length - 1].text.trimEnd();
+        return trimmed;
+    }
+
+    // Every run of text an item draws
+    getItemRuns(item) {
+        if (item.tag === 'img') {
+            return [];
+        }
+        if (item.tag === 'table') {
+            return item.rows.flatMap(row => row.cells.flatMap(cell => cell.paragraphs.flat()));
+        }
+        // List markers need glyphs like any other text
+        return item.list ? [{ text: item.list.marker }, ...item.runs] : item.runs;
+    }
 
-        // Page settings
-        const pageWidth = 612;
-        const pageHeight = 792;
-        const margin = 50;
+    /**
+     * Lay out extracted content on new pages at the end of a PDF
+     * @returns {Promise<{pages: PDFPage[], headings: Array, drawHeadersAndFooters: Function}>}
+     *   the new pages and their headings; the caller draws headers and
+     *   footers once the page count is known
+     */
+    async addTextToPDF(pdfDoc, textContent, fileName, signal, pageLayout = this.getPageLayout(), documentLayout = {}) {
+        const { rgb } = await loadPDFLib();
+        const black = rgb(0, 0, 0);
+        const linkColor = rgb(0.02, 0.39, 0.76); // Word's hyperlink blue
+        const headerTextColor = rgb(0.35, 0.35, 0.35);
+        const borderColor = rgb(0.4, 0.4, 0.4);
+        const headerFill = rgb(0.92, 0.92, 0.92);
+        
+        const { pageWidth, pageHeight, margin, fontSize: baseFontSize, lineSpacing, includeTitle } = pageLayout;
+        const documentName = fileName.replace(/\.(docx?)$/i, '');
+        
+        // Header and footer lines, filled in page by page once the page count is known
+        const headerLines = this.getRunningLines(pageLayout.header, documentLayout.header, pageLayout.documentHeaders);
+        const footerLines = this.getRunningLines(pageLayout.footer, documentLayout.footer, pageLayout.documentHeaders);
+        const date = new Date().toLocaleDateString();
+        const sampleValues = { page: '0123456789', total: '', filename: documentName, date };
+        const runningRuns = [...headerLines, ...footerLines].map(line => ({ text: this.fillTemplate(line, sampleValues) }));
+        if (runningRuns.length > 0) {
+            runningRuns.push({ text: ELLIPSIS });
+        }
+        
+        const title = includeTitle ? [{ text: documentName, bold: true }] : [];
+        const runs = textContent.flatMap(item => this.getItemRuns(item));
+        const fonts = await this.embedFonts(pdfDoc, [...title, ...runs, ...runningRuns]);
+        throwIfCancelled(signal);
+        
+        // Headers and footers taller than the margin push the text in, with
+        // half a line of space on either side
+        const getRunningSpace = (lines) => lines.length > 0 ? (lines.length + 1) * HEADER_LINE_HEIGHT : 0;
+        const topMargin = Math.max(margin, getRunningSpace(headerLines));
+        const bottomMargin = Math.max(margin, getRunningSpace(footerLines));
+        
         const maxWidth = pageWidth - (margin * 2);
+        const maxHeight = pageHeight - topMargin - bottomMargin;
+        if (maxHeight < MIN_TEXT_AREA) {
+            throw new Error('Headers and footers leave too little room for the text');
+        }
         
         let currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
-        let yPosition = pageHeight - margin;
+        let yPosition = pageHeight - topMargin; // top of the next line
+        const pages = [currentPage];
         
-        // Add title
-        const title = fileName.replace(/\.(docx?)$/i, '');
-        currentPage.drawText(title, {
-            x: margin,
-            y: yPosition,
-            size: 16,
-            color: rgbColor(0, 0, 0)
-        });
-        yPosition -= 40;
+        const startNewPage = () => {
+            currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
+            yPosition = pageHeight - topMargin;
+            pages.push(currentPage);
+        };
         
-        // Add content
-        for (const item of textContent) {
-            const fontSize = this.getFontSize(item.style);
-            const lineHeight = fontSize + 4;
-            
-            // Split text into lines that fit the page width
-            const lines = this.wrapText(item.text, maxWidth, fontSize);
-            
-            for (const line of lines) {
-                // Check if we need a new page
-                if (yPosition < margin + lineHeight) {
-                    currentPage = pdfDoc.addPage([pageWidth, pageHeight]);
-                    yPosition = pageHeight - margin;
+        const getLineHeight = (fontSize) => (fontSize + 4) * lineSpacing;
+        
+        // Start a new page unless there's room for the given height
+        const ensureSpace = (height) => {
+            if (yPosition - height < bottomMargin) {
+                startNewPage();
+            }
+        };
+        
+        // Most words repeat through a document, so measure each one once
+        const widthCache = new Map();
+        
+        const getMeasure = (fontSize, rtl) => (runs) => runs.reduce((total, run) => {
+            const key = `${fontSize}|${rtl}|${getFontVariant(run)}|${run.text}`;
+            if (!widthCache.has(key)) {
+                widthCache.set(key, this.measureText([run], rtl, fonts, fontSize));
+            }
+            return total + widthCache.get(key);
+        }, 0);
+        
+        // Underlines and strikethroughs, drawn from x along the given height
+        const drawRule = (x, y, width, fontSize, color) => {
+            currentPage.drawLine({
+                start: { x, y },
+                end: { x: x + width, y },
+                thickness: fontSize * 0.06,
+                color: color
+            });
+        };
+        
+        // Where each bookmark and heading landed, and the areas of each link.
+        // Links are added at the end, once bookmarks later in the document are placed.
+        const destinations = new Map();
+        const headings = [];
+        const links = [];
+        let pendingAnchors = [];
+        let pendingHeading = null;
+        
+        // Place the bookmarks and heading of the next item at whatever it draws first
+        const placeAnchors = (top) => {
+            pendingAnchors.forEach(id => {
+                if (!destinations.has(id)) {
+                    destinations.set(id, { page: currentPage, top: top });
                 }
+            });
+            pendingAnchors = [];
+            
+            if (pendingHeading) {
+                headings.push({ ...pendingHeading, page: currentPage, top: top });
+                pendingHeading = null;
+            }
+        };
+        
+        // Grow the last link area when a link continues along the same line
+        const addLinkArea = (href, rect) => {
+            const last = links[links.length - 1];
+            if (last && last.href === href && last.page === currentPage &&
+                last.rect.y === rect.y && Math.abs(last.rect.x + last.rect.width - rect.x) < 0.01) {
+                last.rect.width += rect.width;
+                return;
+            }
+            links.push({ href, page: currentPage, rect });
+        };
+        
+        // Draw one wrapped line with its top at y, within a box starting at x
+        const drawLine = (line, { x, y, width, fontSize, rtl, color: textColor = black }) => {
+            // Right-to-left lines are aligned to the right of the box
+            let lineX = rtl ? x + width - getMeasure(fontSize, rtl)(line) : x;
+            
+            // drawText positions the baseline, so drop it by the font's ascent
+            const baseline = y - fonts.main.heightAtSize(fontSize, { descender: false });
+            const lineBottom = y - fonts.main.heightAtSize(fontSize);
+            
+            placeAnchors(y);
+            
+            const segments = this.getLineSegments(line, rtl, fonts);
+            segments.forEach((segment, index) => {
+                // Links look the way Word shows them, blue and underlined
+                const color = segment.link ? linkColor : textColor;
                 
-                // Draw the line
-                currentPage.drawText(line, {
-                    x: margin,
-                    y: yPosition,
+                currentPage.drawText(segment.text, {
+                    x: lineX,
+                    y: baseline,
                     size: fontSize,
-                    color: rgbColor(0, 0, 0)
+                    font: segment.font,
+                    color: color
                 });
                 
+                // Laying out text with a custom font is slow, so skip it after
+                // the last segment unless it has a line or link to draw
+                const decorated = segment.underline || segment.strike || segment.link;
+                if (index === segments.length - 1 && !decorated) {
+                    return;
+                }
+                
+                const segmentWidth = segment.font.widthOfTextAtSize(segment.text, fontSize);
+                if (segment.underline || segment.link) {
+                    drawRule(lineX, baseline - fontSize * 0.12, segmentWidth, fontSize, color);
+                }
+                if (segment.strike) {
+                    drawRule(lineX, baseline + fontSize * 0.28, segmentWidth, fontSize, color);
+                }
+                if (segment.link) {
+                    addLinkArea(segment.link, { x: lineX, y: lineBottom, width: segmentWidth, height: y - lineBottom });
+                }
+                lineX += segmentWidth;
+            });
+        };
+        
+        // Wrap and draw one block of text runs, starting new pages as needed.
+        // A list marker hangs in the indent beside the first line.
+        const drawBlock = (runs, fontSize, lineHeight, { indent = 0, marker = null } = {}) => {
+            const rtl = isRTLText(runsToText(runs));
+            const width = maxWidth - indent;
+            const x = rtl ? margin : margin + indent;
+            const lines = this.wrapText(runs, width, getMeasure(fontSize, rtl));
+            
+            lines.forEach((line, index) => {
+                ensureSpace(lineHeight);
+                
+                if (index === 0 && marker) {
+                    drawLine([{ text: marker }], {
+                        x: rtl ? x + width : x - LIST_INDENT,
+                        y: yPosition,
+                        width: LIST_INDENT,
+                        fontSize,
+                        rtl
+                    });
+                }
+                
+                drawLine(line, { x, y: yPosition, width, fontSize, rtl });
                 yPosition -= lineHeight;
+            });
+        };
+        
+        // The same image (a logo, say) is often repeated, so embed it once
+        const embeddedImages = new Map();
+        
+        const drawImage = async (item) => {
+            let image = embeddedImages.get(item.src);
+            if (!image) {
+                const { bytes, contentType } = dataUriToBytes(item.src);
+                image = await embedImage(pdfDoc, bytes, contentType);
+                embeddedImages.set(item.src, image);
+            }
+            
+            // Use the size set in Word, or the pixel size at 96 dpi
+            let width = item.width || image.width * 0.75;
+            let height = item.height || image.height * 0.75;
+            
+            // Scale down to fit inside the margins
+            const scale = Math.min(1, maxWidth / width, maxHeight / height);
+            if (scale < 1) {
+                this.addWarning(`${getImageName(item)} was scaled down to ${Math.round(scale * 100)}% to fit the page`);
+            }
+            width *= scale;
+            height *= scale;
+            
+            ensureSpace(height);
+            placeAnchors(yPosition);
+            
+            currentPage.drawImage(image, {
+                x: margin,
+                y: yPosition - height,
+                width: width,
+                height: height
+            });
+            
+            yPosition -= height;
+        };
+        
+        // Draw the part of a band of rows between two offsets from its top,
+        // with the slice's top at yPosition
+        const drawTableSlice = (layout, band, from, to, continued) => {
+            // A slice that continues a split row gets its own top padding
+            const offsetY = yPosition - (continued ? CELL_PADDING : 0);
+            const sliceBottom = yPosition - (to - from) - (continued ? CELL_PADDING : 0);
+            
+            placeAnchors(yPosition);
+            
+            for (const cell of layout.cells) {
+                if (cell.row < band.start || cell.row > band.end) continue;
+                
+                const cellTop = layout.rowTops[cell.row] - layout.rowTops[band.start];
+                const cellBottom = cellTop + cell.height;
+                if (cellBottom <= from || cellTop >= to) continue;
+                
+                const boxTop = cellTop <= from ? yPosition : offsetY - (cellTop - from);
+                const boxBottom = cellBottom >= to ? sliceBottom : offsetY - (cellBottom - from);
+                
+                currentPage.drawRectangle({
+                    x: margin + cell.x,
+                    y: boxBottom,
+                    width: cell.width,
+                    height: boxTop - boxBottom,
+                    color: cell.header ? headerFill : undefined,
+                    borderColor: borderColor,
+                    borderWidth: CELL_BORDER_WIDTH
+                });
+                
+                for (const line of cell.lines) {
+                    const lineTop = cellTop + line.top;
+                    if (lineTop < from || lineTop + layout.lineHeight > to) continue;
+                    
+                    drawLine(line.runs, {
+                        x: margin + cell.x + CELL_PADDING,
+                        y: offsetY - (lineTop - from),
+                        width: cell.width - CELL_PADDING * 2,
+                        fontSize: layout.fontSize,
+                        rtl: line.rtl
+                    });
+                }
+            }
+            
+            yPosition = sliceBottom;
+        };
+        
+        const drawTable = async (table) => {
+            const fontSize = this.getFontSize('table', baseFontSize);
+            const layout = this.layoutTable(table, maxWidth, fontSize, getLineHeight(fontSize), getMeasure);
+            const bandHeight = (band) => layout.rowTops[band.end + 1] - layout.rowTops[band.start];
+            
+            const headerBands = layout.bands.filter(band => band.end < layout.headerRowCount);
+            const headerHeight = layout.rowTops[layout.headerRowCount];
+            
+            // Header rows repeat on each page, unless they'd crowd out the body
+            const repeatHeader = headerBands.length > 0 && headerHeight <= maxHeight / 2;
+            const drawHeader = () => {
+                headerBands.forEach(band => drawTableSlice(layout, band, 0, bandHeight(band), false));
+            };
+            
+            for (let i = 0; i < layout.bands.length; i++) {
+                if (i > 0 && i % 50 === 0) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+                throwIfCancelled(signal);
+                
+                const band = layout.bands[i];
+                const isHeader = band.end < layout.headerRowCount;
+                const height = bandHeight(band);
+                
+                // Keep the header with the first body rows
+                let neededHeight = height;
+                if (isHeader && i === headerBands.length - 1 && i + 1 < layout.bands.length) {
+                    neededHeight += Math.min(bandHeight(layout.bands[i + 1]), maxHeight - headerHeight);
+                }
+                
+                const atPageTop = yPosition >= pageHeight - topMargin;
+                if (yPosition - neededHeight >= bottomMargin || (atPageTop && height <= maxHeight)) {
+                    drawTableSlice(layout, band, 0, height, false);
+                    continue;
+                }
+                
+                // Move rows that fit on a page of their own to the next page whole
+                const available = maxHeight - (repeatHeader && !isHeader ? headerHeight : 0);
+                if (height <= available) {
+                    startNewPage();
+                    if (repeatHeader && !isHeader) drawHeader();
+                    drawTableSlice(layout, band, 0, height, false);
+                    continue;
+                }
+                
+                // Taller than a page, so split between lines of text
+                let from = 0;
+                while (from < height) {
+                    const continued = from > 0;
+                    const space = yPosition - bottomMargin - (continued ? CELL_PADDING : 0);
+                    
+                    if (space < layout.lineHeight + CELL_PADDING * 2) {
+                        startNewPage();
+                        if (repeatHeader && !isHeader) drawHeader();
+                        continue;
+                    }
+                    
+                    const to = this.findTableBreak(layout, band, from, from + space);
+                    drawTableSlice(layout, band, from, to, continued);
+                    from = to;
+                    
+                    if (from < height) {
+                        startNewPage();
+                        if (repeatHeader && !isHeader) drawHeader();
+                    }
+                }
+            }
+        };
+        
+        // Lines split at tabs into left, centre and right parts, like the tab
+        // stops of Word's header style, and centred vertically on middle.
+        // Parts share the width, a third each when there's a centre part,
+        // and are cut short with an ellipsis when they don't fit their share.
+        const drawRunningLines = (lines, middle) => {
+            let y = middle + (lines.length * HEADER_LINE_HEIGHT) / 2;
+            
+            lines.forEach(line => {
+                const parts = line.split('\t').map(part => part.trim());
+                const slots = (parts.length === 1 ?
+                    [{ text: parts[0], align: 'center' }] :
+                    [
+                        { text: parts[0], align: 'left' },
+                        { text: parts.slice(1, -1).filter(Boolean).join(' '), align: 'center' },
+                        { text: parts[parts.length - 1], align: 'right' }
+                    ]).filter(slot => slot.text);
+                
+                const hasCentre = slots.length > 1 && slots.some(slot => slot.align === 'center');
+                const share = hasCentre ? maxWidth / 3 : maxWidth / slots.length;
+                
+                slots.forEach(slot => {
+                    const rtl = isRTLText(slot.text);
+                    const measure = getMeasure(HEADER_FONT_SIZE, rtl);
+                    const slotRuns = [{ text: this.truncateText(slot.text, share, measure) }];
+                    const width = measure(slotRuns);
+                    
+                    let x = margin;
+                    if (slot.align === 'center') x += (maxWidth - width) / 2;
+                    if (slot.align === 'right') x += maxWidth - width;
+                    
+                    drawLine(slotRuns, { x, y, width, fontSize: HEADER_FONT_SIZE, rtl, color: headerTextColor });
+                });
+                
+                y -= HEADER_LINE_HEIGHT;
+            });
+        };
+        
+        // Second pass over the finished pages, centred in the top and bottom margins.
+        // Page numbers can carry on from earlier documents in a combined PDF.
+        const drawHeadersAndFooters = ({ firstPageNumber = 1, totalPages = pages.length } = {}) => {
+            // Nothing left to place bookmarks for
+            pendingAnchors = [];
+            pendingHeading = null;
+            
+            pages.forEach((page, index) => {
+                currentPage = page;
+                const values = { page: firstPageNumber + index, total: totalPages, filename: documentName, date };
+                drawRunningLines(headerLines.map(line => this.fillTemplate(line, values)), pageHeight - topMargin / 2);
+                drawRunningLines(footerLines.map(line => this.fillTemplate(line, values)), bottomMargin / 2);
+            });
+        };
+        
+        if (textContent.length === 0) {
+            // Add a message if no content
+            drawBlock([{ text: 'No readable content found in the Word document.' }], baseFontSize, getLineHeight(baseFontSize));
+            this.addWarning('No readable content found in the document');
+            return { pages, headings, drawHeadersAndFooters };
+        }
+        
+        // Add title
+        if (includeTitle) {
+            const titleSize = this.getFontSize('title', baseFontSize);
+            drawBlock(title, titleSize, getLineHeight(titleSize));
+            yPosition -= 20;
+        }
+        
+        // Add content
+        for (let i = 0; i < textContent.length; i++) {
+            // Layout is synchronous, so yield now and then to let a cancel click through
+            if (i > 0 && i % 50 === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            throwIfCancelled(signal);
+            
+            const item = textContent[i];
+            pendingAnchors = item.anchors || [];
+            pendingHeading = item.style === 'heading' ?
+                { title: item.text.replace(/\s+/g, ' '), level: parseInt(item.tag.slice(1)) } :
+                null;
+            
+            if (item.tag === 'img') {
+                try {
+                    await drawImage(item);
+                } catch (error) {
+                    // Leave out images that can't be decoded rather than failing the whole document
+                    this.addWarning(`${getImageName(item)} was left out: ${error.message || error}`);
+                    continue;
+                }
+            } else if (item.tag === 'table') {
+                await drawTable(item);
+            } else {
+                const fontSize = this.getFontSize(item.style, baseFontSize);
+                drawBlock(item.runs, fontSize, getLineHeight(fontSize), item.list ? {
+                    // Deep nesting can't squeeze the text into nothing
+                    indent: Math.min(item.list.level * LIST_INDENT, maxWidth / 2),
+                    marker: item.list.marker
+                } : {});
             }
             
             // Add extra spacing after paragraphs
             yPosition -= 5;
         }
+        
+        // Bookmark links go to the top of the line they point at
+        const annotations = [];
+        links.forEach(({ href, page, rect }) => {
+            if (!href.startsWith('#')) {
+                annotations.push({ page, rect, uri: href });
+                return;
+            }
+            
+            const destination = destinations.get(href.slice(1));
+            if (destination) {
+                annotations.push({ page, rect, destination });
+            } else {
+                this.addWarning(`Link to missing bookmark ${href} was left as plain text`);
+            }
+        });
+        
+        await addLinkAnnotations(pdfDoc, annotations);
+        
+        return { pages, headings, drawHeadersAndFooters };
+    }
+
+    // The document's own header or footer lines, if wanted, then the template
+    getRunningLines(template, documentLines = [], useDocumentLines = true) {
+        return [...(useDocumentLines ? documentLines : []), ...(template ? [template] : [])];
+    }
+
+    // The longest start of some text that fits a width with an ellipsis after
+    // it, or the whole text if it fits as it is
+    truncateText(text, maxWidth, measure) {
+        if (measure([{ text }]) <= maxWidth) {
+            return text;
+        }
+        
+        // Search by character, so surrogate pairs stay whole
+        const chars = Array.from(text);
+        const shortened = (length) => `${chars.slice(0, length).join('').trimEnd()}${ELLIPSIS}`;
+        let low = 0;
+        let high = chars.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (measure([{ text: shortened(mid) }]) <= maxWidth) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        
+        return low > 0 ? shortened(low) : '';
+    }
+
+    // Fill in {page}, {total}, {filename} and {date}, leaving other braces alone
+    fillTemplate(template, values) {
+        return template.replace(/\{(page|total|filename|date)\}/g, (match, token) => String(values[token]));
+    }
+
+    /**
+     * Work out column widths, wrapped cell text and row heights for a table
+     * Rows joined by cells that span them form bands, which are kept
+     * together on a page where possible.
+     */
+    layoutTable(table, maxWidth, fontSize, lineHeight, getMeasure) {
+        // Place cells on a grid, skipping slots taken by cells spanning from rows above
+        const cells = [];
+        const occupied = table.rows.map(() => []);
+        let columnCount = 0;
+        
+        table.rows.forEach((row, rowIndex) => {
+            let column = 0;
+            
+            row.cells.forEach(cell => {
+                while (occupied[rowIndex][column]) column++;
+                
+                const rowSpan = Math.max(1, Math.min(cell.rowSpan, table.rows.length - rowIndex));
+                for (let r = rowIndex; r < rowIndex + rowSpan; r++) {
+                    for (let c = column; c < column + cell.colSpan; c++) {
+                        occupied[r][c] = true;
+                    }
+                }
+                
+                cells.push({
+                    paragraphs: cell.paragraphs,
+                    header: cell.header || row.header,
+                    row: rowIndex,
+                    column: column,
+                    rowSpan: rowSpan,
+                    colSpan: cell.colSpan
+                });
+                
+                column += cell.colSpan;
+                columnCount = Math.max(columnCount, column);
+            });
+        });
+        
+        const columnWidths = this.getColumnWidths(cells, columnCount, table.columnWidths, maxWidth, fontSize, getMeasure);
+        const columnLefts = [0];
+        columnWidths.forEach((width, index) => columnLefts.push(columnLefts[index] + width));
+        
+        // Wrap each cell's paragraphs to its width
+        cells.forEach(cell => {
+            cell.x = columnLefts[cell.column];
+            cell.width = columnLefts[cell.column + cell.colSpan] - cell.x;
+            cell.lines = [];
+            
+            const innerWidth = Math.max(1, cell.width - CELL_PADDING * 2);
+            cell.paragraphs.forEach(paragraph => {
+                const rtl = isRTLText(runsToText(paragraph));
+                this.wrapText(paragraph, innerWidth, getMeasure(fontSize, rtl)).forEach(runs => {
+                    cell.lines.push({ runs, rtl, top: CELL_PADDING + cell.lines.length * lineHeight });
+                });
+            });
+            
+            cell.contentHeight = Math.max(1, cell.lines.length) * lineHeight + CELL_PADDING * 2;
+        });
+        
+        // Rows fit their tallest cell; cells spanning rows stretch the last row they cover
+        const rowHeights = table.rows.map(() => lineHeight + CELL_PADDING * 2);
+        cells.filter(cell => cell.rowSpan === 1).forEach(cell => {
+            rowHeights[cell.row] = Math.max(rowHeights[cell.row], cell.contentHeight);
+        });
+        cells.filter(cell => cell.rowSpan > 1)
+            .sort((a, b) => a.rowSpan - b.rowSpan)
+            .forEach(cell => {
+                const lastRow = cell.row + cell.rowSpan - 1;
+                let spanned = 0;
+                for (let r = cell.row; r <= lastRow; r++) spanned += rowHeights[r];
+                if (cell.contentHeight > spanned) {
+                    rowHeights[lastRow] += cell.contentHeight - spanned;
+                }
+            });
+        
+        const rowTops = [0];
+        rowHeights.forEach((height, index) => rowTops.push(rowTops[index] + height));
+        
+        cells.forEach(cell => {
+            cell.height = rowTops[cell.row + cell.rowSpan] - rowTops[cell.row];
+        });
+        
+        // Group rows that spanning cells tie together
+        const bands = [];
+        table.rows.forEach((row, rowIndex) => {
+            const last = bands[bands.length - 1];
+            if (last && rowIndex <= last.end) return;
+            
+            const band = { start: rowIndex, end: rowIndex };
+            for (let r = rowIndex; r <= band.end; r++) {
+                cells.filter(cell => cell.row === r).forEach(cell => {
+                    band.end = Math.max(band.end, cell.row + cell.rowSpan - 1);
+                });
+            }
+            bands.push(band);
+        });
+        
+        // Leading header rows, as long as a band doesn't tie them to body rows
+        let headerRowCount = 0;
+        for (const band of bands) {
+            const rows = table.rows.slice(band.start, band.end + 1);
+            if (!rows.every(row => row.header)) break;
+            headerRowCount = band.end + 1;
+        }
+        
+        return { cells, rowTops, bands, headerRowCount, fontSize, lineHeight };
     }
 
-    getFontSize(style) {
+    // Word's own column widths when the document has them, otherwise widths
+    // shared out by how much text each column holds
+    getColumnWidths(cells, columnCount, documentWidths, maxWidth, fontSize, getMeasure) {
+        if (documentWidths && documentWidths.length === columnCount) {
+            const total = documentWidths.reduce((sum, width) => sum + width, 0);
+            const scale = Math.min(1, maxWidth / total);
+            return documentWidths.map(width => width * scale);
+        }
+        
+        const minimum = new Array(columnCount).fill(CELL_PADDING * 2);
+        const desired = new Array(columnCount).fill(CELL_PADDING * 2);
+        
+        cells.filter(cell => cell.colSpan === 1).forEach(cell => {
+            cell.paragraphs.forEach(paragraph => {
+                const measure = getMeasure(fontSize, isRTLText(runsToText(paragraph)));
+                const pieces = this.getBreakablePieces(paragraph);
+                const longestWord = Math.max(0, ...pieces.map(piece => measure(piece.runs)));
+                
+                minimum[cell.column] = Math.max(minimum[cell.column], longestWord + CELL_PADDING * 2);
+                desired[cell.column] = Math.max(desired[cell.column], measure(paragraph) + CELL_PADDING * 2);
+            });
+        });
+        
+        const sum = (widths) => widths.reduce((total, width) => total + width, 0);
+        const totalDesired = sum(desired);
+        const totalMinimum = sum(minimum);
+        
+        // Like Word's default tables, fill the width between the margins
+        if (totalDesired <= maxWidth) {
+            return desired.map(width => width * maxWidth / totalDesired);
+        }
+        
+        if (totalMinimum <= maxWidth) {
+            const share = (maxWidth - totalMinimum) / (totalDesired - totalMinimum);
+            return minimum.map((width, index) => width + (desired[index] - width) * share);
+        }
+        
+        // Even the longest words don't fit, so they'll break inside the cells
+        return minimum.map(width => width * maxWidth / totalMinimum);
+    }
+
+    // The offset to end a slice of a band at: the limit, or higher up so no
+    // line of text is cut in half
+    findTableBreak(layout, band, from, limit) {
+        const bandStart = layout.rowTops[band.start];
+        const bandHeight = layout.rowTops[band.end + 1] - bandStart;
+        if (limit >= bandHeight) {
+            return bandHeight;
+        }
+        
+        let breakAt = limit;
+        for (const cell of layout.cells) {
+            if (cell.row < band.start || cell.row > band.end) continue;
+            
+            const cellTop = layout.rowTops[cell.row] - bandStart;
+            for (const line of cell.lines) {
+                const lineTop = cellTop + line.top;
+                if (lineTop < limit && lineTop + layout.lineHeight > limit && lineTop > from) {
+                    breakAt = Math.min(breakAt, lineTop);
+                }
+            }
+        }
+        
+        return breakAt;
+    }
+
+    // Sizes for each style, relative to the body text size
+    getFontSize(style, baseSize = 12) {
         switch (style) {
+            case 'title':
+                return baseSize + 4;
             case 'heading':
-                return 14;
+                return baseSize + 2;
             case 'list':
-                return 11;
+                return baseSize - 1;
+            case 'table':
+                return baseSize - 2;
             default:
-                return 12;
+                return baseSize;
+        }
+    }
+
+    /**
+     * Embed the Unicode fonts the given runs need
+     * Bold and italic variants are only embedded if some run uses them, and
+     * the fallback only when the main font is missing a character. Fonts
+     * already in the PDF are reused. Returns the fonts to try for each
+     * variant, in order.
+     */
+    async embedFonts(pdfDoc, runs) {
+        if (!embeddedFonts.has(pdfDoc)) {
+            embeddedFonts.set(pdfDoc, new Map());
+        }
+        const embedded = embeddedFonts.get(pdfDoc);
+        const embed = async (family, variant) => {
+            const key = `${family}:${getAvailableVariant(family, variant)}`;
+            if (!embedded.has(key)) {
+                const font = await embedUnicodeFont(pdfDoc, family, variant);
+                embedded.set(key, { font, chars: new Set(font.getCharacterSet()) });
+            }
+            return embedded.get(key);
+        };
+        
+        const mainRegular = await embed('main', 'regular');
+        const main = {};
+        for (const variant of new Set(runs.map(getFontVariant))) {
+            main[variant] = await embed('main', variant);
+        }
+        
+        // A character the main font lacks in the run's variant can still come
+        // from its regular variant before reaching for the fallback
+        const fallbackVariants = new Set();
+        runs.forEach(run => {
+            const variantChars = main[getFontVariant(run)].chars;
+            for (const char of run.text) {
+                const codePoint = char.codePointAt(0);
+                if (!/\s/.test(char) && !variantChars.has(codePoint) && !mainRegular.chars.has(codePoint)) {
+                    fallbackVariants.add(run.bold ? 'bold' : 'regular');
+                    break;
+                }
+            }
+        });
+        
+        const fallback = {};
+        if (fallbackVariants.size > 0) {
+            this.updateProgress(60, 'Loading fonts for other scripts...');
+            for (const variant of fallbackVariants) {
+                fallback[variant] = await embed('fallback', variant);
+            }
+        }
+        
+        const candidates = {};
+        ['regular', 'bold', 'italic', 'boldItalic'].forEach(variant => {
+            const fallbackVariant = variant === 'bold' || variant === 'boldItalic' ? 'bold' : 'regular';
+            candidates[variant] = [main[variant], fallback[fallbackVariant], mainRegular, fallback.regular]
+                .filter((candidate, index, list) => candidate && list.indexOf(candidate) === index);
+        });
+        
+        return { main: mainRegular.font, candidates };
+    }
+
+    /**
+     * Split a run's text into pieces that each use one font
+     * Characters no font has become the replacement character, or are
+     * dropped if they're joiners, combining marks or skin tone modifiers.
+     */
+    splitByFont(text, run, fonts) {
+        const candidates = fonts.candidates[getFontVariant(run)];
+        const segments = [];
+        
+        for (let char of text) {
+            const codePoint = char.codePointAt(0);
+            const candidate = candidates.find(option => option.chars.has(codePoint));
+            let font;
+            
+            if (candidate) {
+                font = candidate.font;
+            } else if (/[\p{Cf}\p{M}\p{Emoji_Modifier}]/u.test(char)) {
+                continue;
+            } else {
+                font = fonts.main;
+                this.addWarning(`No font has the character U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}, shown as ${REPLACEMENT_CHARACTER}`);
+                char = REPLACEMENT_CHARACTER;
+            }
+            
+            const last = segments[segments.length - 1];
+            if (last && last.font === font) {
+                last.text += char;
+            } else {
+                segments.push({ text: char, font });
+            }
         }
+        
+        return segments;
+    }
+
+    // Measured run by run, as drawn: fontkit only shapes Arabic in a run of its own
+    measureText(runs, rtl, fonts, fontSize) {
+        return this.getLineSegments(runs, rtl, fonts).reduce(
+            (width, segment) => width + segment.font.widthOfTextAtSize(segment.text, fontSize),
+            0
+        );
     }
 
-    wrapText(text, maxWidth, fontSize) {
-        // Simple text wrapping - estimate character width
-        const avgCharWidth = fontSize * 0.6; // Rough estimate
-        const maxCharsPerLine = Math.floor(maxWidth / avgCharWidth);
+    // A wrapped line's runs as font segments in the order they're drawn, left to right
+    getLineSegments(line, rtl, fonts) {
+        const segments = [];
+        
+        for (const visualRun of getVisualRuns(runsToText(line), rtl)) {
+            const runSegments = [];
+            
+            for (const run of sliceRuns(line, visualRun.start, visualRun.end)) {
+                this.splitByFont(run.text, run, fonts).forEach(segment => {
+                    runSegments.push({
+                        text: visualRun.rtl ? prepareRTLText(segment.text) : segment.text,
+                        font: segment.font,
+                        underline: Boolean(run.underline),
+                        strike: Boolean(run.strike),
+                        link: run.link || null
+                    });
+                });
+            }
+            
+            // fontkit reverses each segment of a right-to-left run as it lays
+            // it out, so the segments themselves go in reverse
+            segments.push(...(visualRun.rtl ? runSegments.reverse() : runSegments));
+        }
         
-        const words = text.split(' ');
+        return segments;
+    }
+
+    /**
+     * Split text runs into lines no wider than maxWidth
+     * Lines break at spaces first. Words that don't fit also break after
+     * hyphens and slashes and at soft hyphens, and a token still wider than a
+     * whole line (a long URL or ID) breaks between characters.
+     * @param {Array<Object>} runs - { text, bold, italic, underline, strike }
+     * @param {number} maxWidth
+     * @param {Function} measure - returns the drawn width of a list of runs
+     * @returns {Array<Array<Object>>} the runs of each line
+     */
+    wrapText(runs, maxWidth, measure) {
         const lines = [];
-        let currentLine = '';
+        let currentLine = [];
+        let lineWidth = 0;
+        let lineHyphen = null; // shown if the line breaks at a soft hyphen
         
-        for (const word of words) {
-            const testLine = currentLine ? `${currentLine} ${word}` : word;
+        // Lines are measured piece by piece, so each word is only laid out once
+        for (const piece of this.getBreakablePieces(runs)) {
+            // Reserve room for the hyphen shown if the line ends here
+            const hyphenWidth = piece.hyphen ? measure([piece.hyphen]) : 0;
+            const separator = currentLine.length > 0 && piece.space ? [piece.space] : [];
+            const separatorWidth = separator.length > 0 ? measure(separator) : 0;
+            const pieceWidth = measure(piece.runs);
+            
+            if (lineWidth + separatorWidth + pieceWidth + hyphenWidth <= maxWidth) {
+                currentLine.push(...separator, ...piece.runs);
+                lineWidth += separatorWidth + pieceWidth;
+                lineHyphen = piece.hyphen;
+                continue;
+            }
             
-            if (testLine.length <= maxCharsPerLine) {
-                currentLine = testLine;
+            if (pieceWidth + hyphenWidth > maxWidth) {
+                // Too wide for any line, so start it on this one and break mid-token
+                const prefix = { runs: currentLine, width: lineWidth, separator, separatorWidth, hyphen: lineHyphen };
+                const chunks = this.breakLongToken(piece.runs, prefix, maxWidth, measure);
+                const last = chunks.pop();
+                lines.push(...chunks.map(chunk => chunk.runs));
+                currentLine = last.runs;
+                lineWidth = last.width;
             } else {
-                if (currentLine) {
-                    lines.push(currentLine);
-                    currentLine = word;
-                } else {
-                    // Word is too long, split it
-                    lines.push(word.substring(0, maxCharsPerLine));
-                    currentLine = word.substring(maxCharsPerLine);
+                if (currentLine.length > 0) {
+                    lines.push(lineHyphen ? [...currentLine, lineHyphen] : currentLine);
                 }
+                currentLine = [...piece.runs];
+                lineWidth = pieceWidth;
             }
+            lineHyphen = piece.hyphen;
         }
         
-        if (currentLine) {
+        if (currentLine.length > 0) {
             lines.push(currentLine);
         }
         
-        return lines;
+        // Join neighbouring runs that share formatting, so they're laid out together
+        return lines.map(line => line.reduce((merged, run) => {
+            appendText(merged, run.text, run);
+            return merged;
+        }, []));
+    }
+
+    // Words split into the pieces a line may break between. Each piece keeps
+    // the space before it and the hyphen to show if a line breaks after it,
+    // formatted like the text they came from so underlining carries across.
+    getBreakablePieces(runs) {
+        const pieces = [];
+        let piece = null;
+        let lastChar = '';
+        let space = null;
+        
+        const finishPiece = () => {
+            if (piece) {
+                pieces.push(piece);
+            }
+            piece = null;
+        };
+        
+        for (const run of runs) {
+            for (const char of run.text) {
+                if (/[ \t\r\n]/.test(char)) {
+                    finishPiece();
+                    if (pieces.length > 0 && !space) {
+                        space = { ...run, text: ' ' };
+                    }
+                    continue;
+                }
+                
+                if (char === SOFT_HYPHEN) {
+                    // A soft hyphen only shows when the line breaks at it
+                    if (piece) {
+                        piece.hyphen = { ...run, text: '-' };
+                    }
+                    finishPiece();
+                    continue;
+                }
+                
+                // Break after runs of hyphens or slashes, e.g. "well-/known" or "example.com/"
+                if (piece && /[\/-]/.test(lastChar) && !/[\/-]/.test(char)) {
+                    finishPiece();
+                }
+                
+                if (!piece) {
+                    piece = { runs: [], space: space, hyphen: null };
+                    space = null;
+                }
+                appendText(piece.runs, char, run);
+                lastChar = char;
+            }
+        }
+        finishPiece();
+        
+        return pieces;
+    }
+
+    // Break a token between characters, filling the rest of the current line
+    // first. Returns { runs, width } chunks; the last one is left unfinished.
+    breakLongToken(runs, prefix, maxWidth, measure) {
+        // Plain words get a hyphen at the break; URLs, codes and scripts
+        // written without hyphenation, such as Chinese, don't
+        const useHyphen = /^[\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}]+$/u.test(runsToText(runs));
+        const chunks = [];
+        let chunk = [...prefix.runs, ...prefix.separator];
+        let chunkWidth = prefix.width + prefix.separatorWidth;
+        let chunkHasChars = false;
+        
+        for (const run of runs) {
+            const hyphen = useHyphen ? [{ ...run, text: '-' }] : [];
+            const hyphenWidth = useHyphen ? measure(hyphen) : 0;
+            
+            // for...of walks code points, so surrogate pairs stay together
+            for (const char of run.text) {
+                const charRun = { ...run, text: char };
+                const charWidth = measure([charRun]);
+                
+                if (chunk.length > 0 && chunkWidth + charWidth + hyphenWidth > maxWidth) {
+                    // If not even one character fits after the prefix, the line ends before the token
+                    if (chunkHasChars) {
+                        chunks.push({ runs: [...chunk, ...hyphen], width: chunkWidth + hyphenWidth });
+                    } else {
+                        chunks.push({
+                            runs: prefix.hyphen ? [...prefix.runs, prefix.hyphen] : prefix.runs,
+                            width: prefix.width
+                        });
+                    }
+                    chunk = [];
+                    chunkWidth = 0;
+                }
+                
+                chunk.push(charRun);
+                chunkWidth += charWidth;
+                chunkHasChars = true;
+            }
+        }
+        
+        chunks.push({ runs: chunk, width: chunkWidth });
+        return chunks;
     }
 
     async validateWordFile(file) {
@@ -287,8 +1729,10 @@ export class WordToPDFConverter {
         return this.isProcessing;
     }
 
+    // The running conversion rejects with a cancellation error
     cancel() {
-        this.isProcessing = false;
+        this.abortController.abort();
+        this.abortController = new AbortController();
     }
 
     generatePDFFilename(wordFileName) {
@@ -0,0 +1,148 @@
+/**
+ * Bidirectional text helpers
+ * A simplified take on the Unicode bidi algorithm, enough to show Hebrew and
+ * Arabic paragraphs, and the numbers and Latin words inside them, in the
+ * right order. fontkit already reverses and shapes right-to-left scripts when
+ * it lays out a run, so runs here stay in logical order.
+ */
+
+// Hebrew, Arabic, Syriac, Thaana, NKo and friends, plus their presentation forms
+const RTL_LETTER = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFC]/u;
+const LETTER_OR_DIGIT = /[\p{L}\p{Nd}]/u;
+
+// Brackets point the other way inside right-to-left text
+const MIRRORED = {
+    '(': ')', ')': '(',
+    '[': ']', ']': '[',
+    '{': '}', '}': '{',
+    '<': '>', '>': '<',
+    '«': '»', '»': '«'
+};
+
+// 'R' for right-to-left letters, 'L' for other letters and all digits, null for neutrals
+function getDirection(char) {
+    // Digits read left to right, even Arabic-Indic ones inside Arabic text
+    if (/\p{Nd}/u.test(char)) return 'L';
+    if (RTL_LETTER.test(char)) return 'R';
+    if (LETTER_OR_DIGIT.test(char)) return 'L';
+    return null;
+}
+
+// Give a matched bracket pair one direction so "(text)" stays together:
+// the paragraph's if the text inside has any, otherwise the direction of
+// the text inside when the text before the pair agrees with it
+function resolveBrackets(chars, directions, paragraphDirection) {
+    const openers = [];
+
+    chars.forEach((char, index) => {
+        if ('([{'.includes(char)) {
+            openers.push(index);
+            return;
+        }
+
+        const closerIndex = ')]}'.indexOf(char);
+        if (closerIndex === -1 || openers.length === 0) return;
+
+        const open = openers.pop();
+        if (chars[open] !== '([{'[closerIndex]) {
+            openers.length = 0;
+            return;
+        }
+
+        const inside = directions.slice(open + 1, index);
+        let direction = null;
+
+        if (inside.includes(paragraphDirection)) {
+            direction = paragraphDirection;
+        } else {
+            const other = paragraphDirection === 'R' ? 'L' : 'R';
+            const before = directions.slice(0, open).reverse().find(Boolean) || paragraphDirection;
+            if (inside.includes(other)) {
+                direction = before === other ? other : paragraphDirection;
+            }
+        }
+
+        if (direction) {
+            directions[open] = direction;
+            directions[index] = direction;
+        }
+    });
+}
+
+/**
+ * Whether a paragraph reads right to left, decided by its first letter
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isRTLText(text) {
+    for (const char of text) {
+        if (/\p{Nd}/u.test(char)) continue;
+        const direction = getDirection(char);
+        if (direction) {
+            return direction === 'R';
+        }
+    }
+    return false;
+}
+
+/**
+ * Split a line into directional runs in display order, left to right
+ * @param {string} line - one wrapped line in logical order
+ * @param {boolean} rtl - the paragraph direction
+ * @returns {Array<{start: number, end: number, rtl: boolean}>} runs as
+ *   offsets into the line; pass right-to-left text through prepareRTLText
+ *   before drawing it
+ */
+export function getVisualRuns(line, rtl) {
+    const chars = Array.from(line);
+    const directions = chars.map(getDirection);
+    const paragraphDirection = rtl ? 'R' : 'L';
+
+    resolveBrackets(chars, directions, paragraphDirection);
+
+    // Neutrals between two runs of the same direction join them, otherwise
+    // they follow the paragraph
+    for (let i = 0; i < chars.length; i++) {
+        if (directions[i]) continue;
+
+        let end = i;
+        while (end < chars.length && !directions[end]) end++;
+
+        const before = i > 0 ? directions[i - 1] : paragraphDirection;
+        const after = end < chars.length ? directions[end] : paragraphDirection;
+        const resolved = before === after ? before : paragraphDirection;
+
+        for (let j = i; j < end; j++) {
+            directions[j] = resolved;
+        }
+        i = end - 1;
+    }
+
+    const runs = [];
+    let offset = 0;
+    chars.forEach((char, index) => {
+        const runRtl = directions[index] === 'R';
+        const last = runs[runs.length - 1];
+
+        if (last && last.rtl === runRtl) {
+            last.end += char.length;
+        } else {
+            runs.push({ start: offset, end: offset + char.length, rtl: runRtl });
+        }
+        offset += char.length;
+    });
+
+    return rtl ? runs.reverse() : runs;
+}
+
+/**
+ * Get right-to-left text ready for fontkit, which reverses it when laying it out
+ * @param {string} text - part of a right-to-left run, in logical order
+ * @returns {string}
+ */
+export function prepareRTLText(text) {
+    const mirrored = Array.from(text).map(char => MIRRORED[char] || char);
+
+    // fontkit only reverses text it recognises as a right-to-left script
+    return RTL_LETTER.test(text) ? mirrored.join('') : mirrored.reverse().join('');
+}
@@ -0,0 +1,23 @@
+/**
+ * Cancellation helpers
+ * Long-running operations take an AbortSignal and check it between files and
+ * pages. Cancelled work rejects with an error whose code is CANCELLED, so
+ * callers can tell the user's choice apart from a real failure.
+ */
+export const CANCELLED = 'CANCELLED';
+
+export function createCancelledError() {
+    const error = new Error('Operation cancelled');
+    error.code = CANCELLED;
+    return error;
+}
+
+export function isCancelledError(error) {
+    return !!error && error.code === CANCELLED;
+}
+
+export function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+        throw createCancelledError();
+    }
+}
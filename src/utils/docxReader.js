@@ -0,0 +1,260 @@
+/**
+ * .docx reader utility
+ * mammoth leaves out some layout details, such as image sizes, so these
+ * helpers read them straight from the document's XML parts.
+ */
+
+// English Metric Units, used for drawing sizes in Word XML
+const EMUS_PER_POINT = 12700;
+
+// Table and page measurements are in twentieths of a point
+const TWIPS_PER_POINT = 20;
+
+const CSS_UNITS_IN_POINTS = {
+    pt: 1,
+    px: 0.75,
+    in: 72,
+    cm: 72 / 2.54,
+    mm: 72 / 25.4
+};
+
+let jszipPromise = null;
+
+async function loadJSZip() {
+    if (!jszipPromise) {
+        jszipPromise = import('jszip').then(module => module.default);
+    }
+
+    return jszipPromise;
+}
+
+/**
+ * Open a .docx file's ZIP container
+ * @param {ArrayBuffer} arrayBuffer
+ */
+export async function openDocx(arrayBuffer) {
+    const JSZip = await loadJSZip();
+    return JSZip.loadAsync(arrayBuffer);
+}
+
+/**
+ * Parse one XML part of an opened .docx
+ * @returns {Promise<Document|null>} null if the part doesn't exist
+ */
+export async function readDocxXml(zip, path) {
+    const file = zip.file(path);
+    if (!file) {
+        return null;
+    }
+
+    const xml = await file.async('string');
+    return new DOMParser().parseFromString(xml, 'application/xml');
+}
+
+// mammoth reads the fallback of alternate content and skips deleted runs,
+// so images in those places never reach its output
+function isSkippedByMammoth(element) {
+    for (let parent = element.parentNode; parent && parent.nodeType === 1; parent = parent.parentNode) {
+        if (parent.nodeName === 'mc:Choice' || parent.nodeName === 'w:del') {
+            return true;
+        }
+    }
+    return false;
+}
+
+function getVMLSize(style) {
+    const size = {};
+
+    (style || '').split(';').forEach(declaration => {
+        const match = declaration.trim().match(/^(width|height)\s*:\s*([\d.]+)\s*(pt|px|in|cm|mm)?$/);
+        if (match) {
+            size[match[1]] = parseFloat(match[2]) * CSS_UNITS_IN_POINTS[match[3] || 'px'];
+        }
+    });
+
+    return size.width && size.height ? size : null;
+}
+
+/**
+ * Sizes of the body's images, in the order mammoth outputs them
+ * @param {Document} documentXml - the parsed word/document.xml
+ * @returns {Array<{width: number, height: number}|null>} sizes in points,
+ *   null where the document doesn't give one
+ */
+export function getImageSizes(documentXml) {
+    const sizes = [];
+
+    for (const element of Array.from(documentXml.getElementsByTagName('*'))) {
+        if (element.nodeName !== 'wp:inline' && element.nodeName !== 'wp:anchor' &&
+            element.nodeName !== 'v:imagedata') {
+            continue;
+        }
+        if (isSkippedByMammoth(element)) {
+            continue;
+        }
+
+        if (element.nodeName === 'v:imagedata') {
+            // mammoth drops VML images that don't point at an embedded file
+            if (!element.getAttribute('r:id')) {
+                continue;
+            }
+            const shape = element.parentNode;
+            sizes.push(shape ? getVMLSize(shape.getAttribute('style')) : null);
+            continue;
+        }
+
+        const extent = Array.from(element.childNodes).find(child => child.nodeName === 'wp:extent');
+        const cx = extent ? parseInt(extent.getAttribute('cx')) : NaN;
+        const cy = extent ? parseInt(extent.getAttribute('cy')) : NaN;
+        const size = cx > 0 && cy > 0 ? { width: cx / EMUS_PER_POINT, height: cy / EMUS_PER_POINT } : null;
+
+        // mammoth outputs one image per picture in the drawing
+        const pictureCount = element.getElementsByTagName('pic:blipFill').length;
+        for (let i = 0; i < pictureCount; i++) {
+            sizes.push(size);
+        }
+    }
+
+    return sizes;
+}
+
+/**
+ * Column widths of the document's tables, in the order mammoth outputs them
+ * @param {Document} documentXml - the parsed word/document.xml
+ * @returns {Array<number[]|null>} widths in points, null where the table
+ *   has no usable grid
+ */
+export function getTableColumnWidths(documentXml) {
+    return Array.from(documentXml.getElementsByTagName('w:tbl'))
+        .filter(table => !isSkippedByMammoth(table))
+        .map(table => {
+            const grid = Array.from(table.childNodes).find(child => child.nodeName === 'w:tblGrid');
+            if (!grid) {
+                return null;
+            }
+
+            const widths = Array.from(grid.childNodes)
+                .filter(child => child.nodeName === 'w:gridCol')
+                .map(column => parseInt(column.getAttribute('w:w')) / TWIPS_PER_POINT);
+
+            return widths.length > 0 && widths.every(width => width > 0) ? widths : null;
+        });
+}
+
+// Field codes for the current page and page count, as template tokens
+function getFieldToken(instruction) {
+    const field = instruction.trim().split(/\s+/)[0].toUpperCase();
+    if (field === 'PAGE') return '{page}';
+    if (field === 'NUMPAGES' || field === 'SECTIONPAGES') return '{total}';
+    return null;
+}
+
+// The lines of a header or footer part, with tabs kept so the caller can
+// lay out left, centre and right parts
+function getPartLines(partXml) {
+    const lines = [];
+
+    for (const paragraph of Array.from(partXml.getElementsByTagName('w:p'))) {
+        if (isSkippedByMammoth(paragraph)) {
+            continue;
+        }
+
+        let line = '';
+        let instruction = '';
+        let inFieldResult = false; // showing a cached page number to replace
+
+        const walk = (node) => {
+            switch (node.nodeName) {
+                case 'w:t':
+                    if (!inFieldResult) line += node.textContent;
+                    return;
+                case 'w:tab':
+                    line += '\t';
+                    return;
+                case 'w:br':
+                case 'w:cr':
+                    lines.push(line);
+                    line = '';
+                    return;
+                case 'w:instrText':
+                    instruction += node.textContent;
+                    return;
+                case 'w:fldSimple': {
+                    const token = getFieldToken(node.getAttribute('w:instr') || '');
+                    if (token) {
+                        line += token;
+                        return;
+                    }
+                    break;
+                }
+                case 'w:fldChar': {
+                    const type = node.getAttribute('w:fldCharType');
+                    if (type === 'begin') {
+                        instruction = '';
+                    } else if (type === 'separate') {
+                        const token = getFieldToken(instruction);
+                        if (token) {
+                            line += token;
+                            inFieldResult = true;
+                        }
+                    } else if (type === 'end') {
+                        inFieldResult = false;
+                    }
+                    return;
+                }
+                case 'w:p':
+                    // Paragraphs in text boxes are read as paragraphs of their own
+                    if (node !== paragraph) return;
+                    break;
+                case 'mc:Choice':
+                case 'w:del':
+                    return;
+            }
+            Array.from(node.childNodes).forEach(walk);
+        };
+
+        walk(paragraph);
+        lines.push(line);
+    }
+
+    return lines.filter(line => line.trim());
+}
+
+/**
+ * Text of the document's default header and footer, from its last section
+ * Page number fields become {page} and {total} tokens.
+ * @param {JSZip} zip - the opened .docx
+ * @param {Document} documentXml - the parsed word/document.xml
+ * @returns {Promise<{header: string[], footer: string[]}>} lines of each,
+ *   empty where the document has none
+ */
+export async function getHeaderFooterLines(zip, documentXml) {
+    const result = { header: [], footer: [] };
+
+    const body = documentXml.getElementsByTagName('w:body')[0];
+    const sectionProperties = body && Array.from(body.childNodes).find(child => child.nodeName === 'w:sectPr');
+    const relsXml = await readDocxXml(zip, 'word/_rels/document.xml.rels');
+    if (!sectionProperties || !relsXml) {
+        return result;
+    }
+
+    const targets = new Map(Array.from(relsXml.getElementsByTagName('Relationship'))
+        .map(relationship => [relationship.getAttribute('Id'), relationship.getAttribute('Target')]));
+
+    for (const kind of ['header', 'footer']) {
+        const reference = Array.from(sectionProperties.childNodes).find(child =>
+            child.nodeName === `w:${kind}Reference` && child.getAttribute('w:type') === 'default');
+        const target = reference && targets.get(reference.getAttribute('r:id'));
+        if (!target) {
+            continue;
+        }
+
+        // Targets are relative to the word/ folder
+        const partXml = await readDocxXml(zip, target.startsWith('/') ? target.slice(1) : `word/${target}`);
+        if (partXml) {
+            result[kind] = getPartLines(partXml);
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,78 @@
+/**
+ * Drag and drop reordering shared by the file lists
+ * Each list item carries its position in data-index. Dropping an item on the
+ * top or bottom half of another moves it before or after that item.
+ */
+
+/**
+ * Make a list's items reorderable by dragging
+ * @param {Function} onReorder - called with (oldIndex, newIndex) after a drop
+ * @returns {Function} call with each item element to make it draggable
+ */
+export function createDragReorder(onReorder) {
+    let draggedElement = null;
+    let draggedIndex = null;
+
+    return function setupDragAndDrop(element) {
+        element.addEventListener('dragstart', (e) => {
+            draggedElement = element;
+            draggedIndex = parseInt(element.dataset.index);
+            element.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/html', element.outerHTML);
+        });
+
+        element.addEventListener('dragend', (e) => {
+            element.classList.remove('dragging');
+            draggedElement = null;
+            draggedIndex = null;
+        });
+
+        element.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+
+            if (draggedElement && draggedElement !== element) {
+                const rect = element.getBoundingClientRect();
+                const midY = rect.top + rect.height / 2;
+
+                if (e.clientY < midY) {
+                    element.style.borderTop = '2px solid #3b82f6';
+                    element.style.borderBottom = '';
+                } else {
+                    element.style.borderBottom = '2px solid #3b82f6';
+                    element.style.borderTop = '';
+                }
+            }
+        });
+
+        element.addEventListener('dragleave', (e) => {
+            element.style.borderTop = '';
+            element.style.borderBottom = '';
+        });
+
+        element.addEventListener('drop', (e) => {
+            e.preventDefault();
+            element.style.borderTop = '';
+            element.style.borderBottom = '';
+
+            if (draggedElement && draggedElement !== element) {
+                const targetIndex = parseInt(element.dataset.index);
+                const rect = element.getBoundingClientRect();
+                const midY = rect.top + rect.height / 2;
+
+                let newIndex = targetIndex;
+                if (e.clientY > midY) {
+                    newIndex = targetIndex + 1;
+                }
+
+                // Adjust for the fact that we're removing the dragged element first
+                if (draggedIndex < newIndex) {
+                    newIndex--;
+                }
+
+                onReorder(draggedIndex, newIndex);
+            }
+        });
+    };
+}
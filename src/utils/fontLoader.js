@@ -0,0 +1,109 @@
+/**
+ * Font loader utility
+ * Loads the bundled Unicode fonts used by Word conversion and watermarks, for
+ * PDFs and for canvas previews. DejaVu Sans covers Latin, Greek, Cyrillic,
+ * Hebrew, Arabic and most symbols; Noto Sans SC is the fallback for Chinese
+ * and Japanese. Each fallback file is over 10 MB, so
+ * fonts are only fetched when a document uses them.
+ */
+import dejaVuSansUrl from 'dejavu-fonts-ttf/ttf/DejaVuSans.ttf?url';
+import dejaVuSansBoldUrl from 'dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf?url';
+import dejaVuSansObliqueUrl from 'dejavu-fonts-ttf/ttf/DejaVuSans-Oblique.ttf?url';
+import dejaVuSansBoldObliqueUrl from 'dejavu-fonts-ttf/ttf/DejaVuSans-BoldOblique.ttf?url';
+import notoSansSCUrl from '@expo-google-fonts/noto-sans-sc/400Regular/NotoSansSC_400Regular.ttf?url';
+import notoSansSCBoldUrl from '@expo-google-fonts/noto-sans-sc/700Bold/NotoSansSC_700Bold.ttf?url';
+
+// Noto Sans SC has no italics, so the fallback only comes in two variants
+const FONT_URLS = {
+    main: {
+        regular: dejaVuSansUrl,
+        bold: dejaVuSansBoldUrl,
+        italic: dejaVuSansObliqueUrl,
+        boldItalic: dejaVuSansBoldObliqueUrl
+    },
+    fallback: {
+        regular: notoSansSCUrl,
+        bold: notoSansSCBoldUrl
+    }
+};
+
+let fontkitPromise = null;
+const fontBytesPromises = new Map();
+const fontFacePromises = new Map();
+
+async function loadFontkit() {
+    if (!fontkitPromise) {
+        fontkitPromise = import('@pdf-lib/fontkit').then(module => module.default);
+    }
+
+    return fontkitPromise;
+}
+
+async function loadFontBytes(url) {
+    if (!fontBytesPromises.has(url)) {
+        const promise = fetch(url).then(response => {
+            if (!response.ok) {
+                throw new Error(`Failed to load font (${response.status})`);
+            }
+            return response.arrayBuffer();
+        });
+
+        // Let a failed download be retried by the next conversion
+        promise.catch(() => fontBytesPromises.delete(url));
+        fontBytesPromises.set(url, promise);
+    }
+
+    return fontBytesPromises.get(url);
+}
+
+/**
+ * The variant to use for a family, falling back to the nearest one it has
+ * @param {'main'|'fallback'} family
+ * @param {'regular'|'bold'|'italic'|'boldItalic'} variant
+ */
+export function getAvailableVariant(family, variant) {
+    if (FONT_URLS[family][variant]) {
+        return variant;
+    }
+    return variant === 'boldItalic' && FONT_URLS[family].bold ? 'bold' : 'regular';
+}
+
+/**
+ * Embed one of the bundled fonts, subset so the PDF only carries the glyphs it uses
+ * @param {PDFDocument} pdfDoc
+ * @param {'main'|'fallback'} family
+ * @param {'regular'|'bold'|'italic'|'boldItalic'} [variant] - see getAvailableVariant
+ * @returns {Promise<PDFFont>}
+ */
+export async function embedUnicodeFont(pdfDoc, family, variant = 'regular') {
+    const url = FONT_URLS[family][getAvailableVariant(family, variant)];
+    const [fontkit, fontBytes] = await Promise.all([loadFontkit(), loadFontBytes(url)]);
+
+    pdfDoc.registerFontkit(fontkit);
+    return pdfDoc.embedFont(fontBytes, { subset: true });
+}
+
+/**
+ * Load one of the bundled fonts for drawing on a canvas, so a preview shows
+ * the glyphs the PDF will have
+ * @param {'main'|'fallback'} family
+ * @param {'regular'|'bold'|'italic'|'boldItalic'} [variant] - see getAvailableVariant
+ * @returns {Promise<string>} the CSS font family to draw with
+ */
+export async function loadUnicodeFontFace(family, variant = 'regular') {
+    const available = getAvailableVariant(family, variant);
+    const name = `PDF Utilities ${family} ${available}`;
+
+    if (!fontFacePromises.has(name)) {
+        const promise = loadFontBytes(FONT_URLS[family][available]).then(async fontBytes => {
+            const fontFace = new FontFace(name, fontBytes);
+            document.fonts.add(await fontFace.load());
+            return `"${name}"`;
+        });
+
+        promise.catch(() => fontFacePromises.delete(name));
+        fontFacePromises.set(name, promise);
+    }
+
+    return fontFacePromises.get(name);
+}
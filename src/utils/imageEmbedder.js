@@ -0,0 +1,74 @@
+/**
+ * Image embedding utility
+ * pdf-lib can only embed PNG and JPEG, so other formats the browser can
+ * decode (GIF, BMP, WebP, SVG...) are redrawn on a canvas and embedded as PNG.
+ */
+
+/**
+ * Decode a base64 data URI
+ * @param {string} dataUri
+ * @returns {{bytes: Uint8Array, contentType: string}}
+ */
+export function dataUriToBytes(dataUri) {
+    const match = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(dataUri || '');
+    if (!match) {
+        throw new Error('Image data is not embedded in the document');
+    }
+
+    const binary = atob(match[2]);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+
+    return { bytes, contentType: (match[1] || '').toLowerCase() };
+}
+
+async function convertToPng(bytes, contentType) {
+    const url = URL.createObjectURL(new Blob([bytes], { type: contentType }));
+
+    try {
+        const img = new Image();
+        img.src = url;
+        await img.decode();
+
+        if (!img.naturalWidth || !img.naturalHeight) {
+            throw new Error('Image has no size');
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        canvas.getContext('2d').drawImage(img, 0, 0);
+
+        const pngBlob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!pngBlob) {
+            throw new Error('Image could not be converted');
+        }
+
+        return new Uint8Array(await pngBlob.arrayBuffer());
+    } catch (error) {
+        throw new Error(`Unsupported image format (${contentType || 'unknown'}): ${error.message}`);
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Embed an image in a PDF, converting formats pdf-lib can't read
+ * @param {PDFDocument} pdfDoc
+ * @param {Uint8Array} bytes
+ * @param {string} contentType - e.g. 'image/png'
+ * @returns {Promise<PDFImage>}
+ */
+export async function embedImage(pdfDoc, bytes, contentType) {
+    if (contentType === 'image/png') {
+        return pdfDoc.embedPng(bytes);
+    }
+
+    if (contentType === 'image/jpeg' || contentType === 'image/jpg') {
+        return pdfDoc.embedJpg(bytes);
+    }
+
+    return pdfDoc.embedPng(await convertToPng(bytes, contentType));
+}
@@ -0,0 +1,253 @@
+/**
+ * Image to PDF utility
+ * Adds one page per image to a PDF. JPEG and PNG files are embedded as they
+ * are; other formats the browser can decode (WebP, GIF, BMP, and HEIC in
+ * Safari) are converted to JPEG through a canvas first. JPEG photos are
+ * turned upright from their EXIF orientation with the image's placement on
+ * the page, so their pixels are never re-encoded.
+ */
+
+// Page sizes in points, portrait
+export const IMAGE_PAGE_SIZES = {
+    a4: [595.28, 841.89],
+    letter: [612, 792]
+};
+
+// Pages sized to an image treat each pixel as 1/96 inch, as browsers do
+const POINTS_PER_PIXEL = 72 / 96;
+
+// The largest page PDF viewers allow, 200 inches
+const MAX_PAGE_SIZE = 14400;
+
+// Larger images would need hundreds of megabytes of canvas memory
+const MAX_CANVAS_PIXELS = 40000000;
+
+const CANVAS_JPEG_QUALITY = 0.92;
+
+// ---- Formats ----
+
+function detectImageFormat(bytes) {
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) {
+        return 'jpeg';
+    }
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+        return 'png';
+    }
+    return null;
+}
+
+function isHEIC(source) {
+    return /^image\/hei[cf]/.test(source.type) || /\.hei[cf]$/i.test(source.name);
+}
+
+/**
+ * The EXIF orientation of a JPEG, from 1 (upright) to 8
+ * @param {Uint8Array} bytes
+ * @returns {number} 1 when the file has none
+ */
+export function readJpegOrientation(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 2;
+
+    // Walk the segments before the image data looking for APP1 "Exif"
+    while (offset + 4 <= view.byteLength) {
+        if (view.getUint8(offset) !== 0xFF) break;
+
+        const marker = view.getUint8(offset + 1);
+        const length = view.getUint16(offset + 2);
+        if (marker === 0xDA || length < 2) break;
+
+        const isExif = marker === 0xE1 && offset + 10 <= view.byteLength &&
+            view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0;
+        if (isExif) {
+            return readTiffOrientation(view, offset + 10, Math.min(offset + 2 + length, view.byteLength));
+        }
+
+        offset += 2 + length;
+    }
+
+    return 1;
+}
+
+function readTiffOrientation(view, tiffStart, end) {
+    if (tiffStart + 8 > end) return 1;
+
+    const byteOrder = view.getUint16(tiffStart);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return 1;
+    const littleEndian = byteOrder === 0x4949;
+
+    const ifdStart = tiffStart + view.getUint32(tiffStart + 4, littleEndian);
+    if (ifdStart + 2 > end) return 1;
+
+    const entryCount = view.getUint16(ifdStart, littleEndian);
+    for (let i = 0; i < entryCount; i++) {
+        const entry = ifdStart + 2 + i * 12;
+        if (entry + 12 > end) break;
+
+        if (view.getUint16(entry, littleEndian) === 0x0112) {
+            const orientation = view.getUint16(entry + 8, littleEndian);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+    }
+
+    return 1;
+}
+
+// Orientations 5-8 swap the image's width and height
+function isSideways(orientation) {
+    return orientation >= 5;
+}
+
+async function convertThroughCanvas(bytes, source, options) {
+    if (typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap !== 'function') {
+        throw new Error('this browser can only convert JPG and PNG images');
+    }
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(new Blob([bytes], { type: source.type }), {
+            imageOrientation: options.exifRotation ? 'from-image' : 'none'
+        });
+    } catch (error) {
+        throw new Error(isHEIC(source) ?
+            'this browser can\'t read HEIC photos; open the app in Safari or export them as JPG' :
+            'the image couldn\'t be read');
+    }
+
+    try {
+        const scale = Math.min(1, Math.sqrt(MAX_CANVAS_PIXELS / (bitmap.width * bitmap.height)));
+        const width = Math.max(1, Math.round(bitmap.width * scale));
+        const height = Math.max(1, Math.round(bitmap.height * scale));
+
+        // Transparent areas become the white of the page
+        const canvas = new OffscreenCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(bitmap, 0, 0, width, height);
+
+        const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: CANVAS_JPEG_QUALITY });
+        return new Uint8Array(await blob.arrayBuffer());
+    } finally {
+        bitmap.close();
+    }
+}
+
+// ---- Layout ----
+
+/**
+ * Where an image goes on its page
+ * @param {number} imageWidth - as displayed, in pixels
+ * @param {number} imageHeight
+ * @param {Object} options - see addImagePage
+ * @returns {{pageWidth: number, pageHeight: number, x: number, y: number, width: number, height: number}}
+ *   in points, with the image box measured from the page's bottom-left corner
+ */
+export function getImagePageLayout(imageWidth, imageHeight, { layout, pageSize, orientation, margin }) {
+    if (layout === 'image') {
+        const scale = Math.min(
+            POINTS_PER_PIXEL,
+            (MAX_PAGE_SIZE - margin * 2) / imageWidth,
+            (MAX_PAGE_SIZE - margin * 2) / imageHeight
+        );
+        const width = imageWidth * scale;
+        const height = imageHeight * scale;
+        return { pageWidth: width + margin * 2, pageHeight: height + margin * 2, x: margin, y: margin, width, height };
+    }
+
+    const [portraitWidth, portraitHeight] = IMAGE_PAGE_SIZES[pageSize];
+    const landscape = orientation === 'landscape' || (orientation === 'auto' && imageWidth > imageHeight);
+    const pageWidth = landscape ? portraitHeight : portraitWidth;
+    const pageHeight = landscape ? portraitWidth : portraitHeight;
+
+    // Fit inside the margins, keeping the image's shape, and centre it
+    const availableWidth = Math.max(1, pageWidth - margin * 2);
+    const availableHeight = Math.max(1, pageHeight - margin * 2);
+    const scale = Math.min(availableWidth / imageWidth, availableHeight / imageHeight);
+    const width = imageWidth * scale;
+    const height = imageHeight * scale;
+
+    return {
+        pageWidth,
+        pageHeight,
+        x: (pageWidth - width) / 2,
+        y: (pageHeight - height) / 2,
+        width,
+        height
+    };
+}
+
+/**
+ * The transformation that draws an image's stored pixels upright in a box
+ * @param {number} orientation - EXIF orientation, 1 to 8
+ * @param {{x: number, y: number, width: number, height: number}} box - as displayed
+ * @returns {number[]} the a, b, c, d, e and f of a PDF matrix
+ */
+export function getOrientationMatrix(orientation, { x, y, width, height }) {
+    // Displayed position from the top-left, as fractions of the box, for
+    // image space coordinates (u, v): [u, v, constant] for X and for Y
+    const mappings = {
+        1: [[1, 0, 0], [0, -1, 1]],
+        2: [[-1, 0, 1], [0, -1, 1]],
+        3: [[-1, 0, 1], [0, 1, 0]],
+        4: [[1, 0, 0], [0, 1, 0]],
+        5: [[0, -1, 1], [1, 0, 0]],
+        6: [[0, 1, 0], [1, 0, 0]],
+        7: [[0, 1, 0], [-1, 0, 1]],
+        8: [[0, -1, 1], [-1, 0, 1]]
+    };
+    const [[xu, xv, x0], [yu, yv, y0]] = mappings[orientation] || mappings[1];
+
+    // PDF y runs up the page, so flip the displayed Y
+    return [width * xu, -height * yu, width * xv, -height * yv, x + width * x0, y + height * (1 - y0)];
+}
+
+// ---- Pages ----
+
+/**
+ * Add a page showing an image
+ * @param {PDFDocument} pdfDoc
+ * @param {{buffer: ArrayBuffer, name: string, type: string}} source
+ * @param {Object} options
+ * @param {'fit'|'image'} options.layout - fit to a standard page, or make the page the image's size
+ * @param {'a4'|'letter'} options.pageSize - for the fit layout
+ * @param {'auto'|'portrait'|'landscape'} options.orientation - auto follows each image's shape
+ * @param {number} options.margin - in points
+ * @param {boolean} options.exifRotation - turn JPEG photos upright
+ */
+export async function addImagePage(pdfDoc, source, options) {
+    const { pushGraphicsState, popGraphicsState, concatTransformationMatrix, drawObject } = await import('pdf-lib');
+
+    const bytes = new Uint8Array(source.buffer);
+    const format = detectImageFormat(bytes);
+
+    let image;
+    let orientation = 1;
+    if (format === 'jpeg') {
+        image = await pdfDoc.embedJpg(bytes);
+        if (options.exifRotation) {
+            orientation = readJpegOrientation(bytes);
+        }
+    } else if (format === 'png') {
+        image = await pdfDoc.embedPng(bytes);
+    } else {
+        image = await pdfDoc.embedJpg(await convertThroughCanvas(bytes, source, options));
+    }
+
+    const sideways = isSideways(orientation);
+    const displayWidth = sideways ? image.height : image.width;
+    const displayHeight = sideways ? image.width : image.height;
+
+    const layout = getImagePageLayout(displayWidth, displayHeight, options);
+    const page = pdfDoc.addPage([layout.pageWidth, layout.pageHeight]);
+
+    const name = page.node.newXObject('Image', image.ref);
+    page.pushOperators(
+        pushGraphicsState(),
+        concatTransformationMatrix(...getOrientationMatrix(orientation, layout)),
+        drawObject(name),
+        popGraphicsState()
+    );
+
+    return page;
+}
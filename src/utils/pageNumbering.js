@@ -0,0 +1,95 @@
+/**
+ * Page number and Bates label layout shared by the PDF worker and the numbering tool
+ */
+import { parsePageRanges } from './pageRanges.js';
+
+export const NUMBER_POSITIONS = [
+    'top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right'
+];
+
+// pdf-lib's StandardFonts names, which need no font file
+export const NUMBER_FONTS = [
+    'Helvetica', 'Helvetica-Bold', 'Times-Roman', 'Times-Bold', 'Courier', 'Courier-Bold'
+];
+
+export const DEFAULT_TEMPLATES = {
+    page: 'Page {page} of {total}',
+    bates: '{bates}'
+};
+
+/**
+ * "ABC" + 42 + "-CONF" with 6 digits -> "ABC000042-CONF"
+ * @param {number} number
+ * @param {{prefix?: string, digits?: number, suffix?: string}} bates
+ */
+export function formatBatesNumber(number, { prefix = '', digits = 6, suffix = '' } = {}) {
+    return `${prefix}${String(number).padStart(digits, '0')}${suffix}`;
+}
+
+/**
+ * The first number too long for the set digits, when a run of Bates numbers
+ * reaches it; from there on the numbers are longer than the rest
+ * @param {number} lastNumber
+ * @param {number} digits
+ * @returns {number|null}
+ */
+export function getBatesOverflow(lastNumber, digits) {
+    const firstTooLong = 10 ** digits;
+    return lastNumber >= firstTooLong ? firstTooLong : null;
+}
+
+// Fill in {page}, {total}, {last}, {bates}, {filename} and {date}, leaving other braces alone
+export function fillNumberTemplate(template, values) {
+    return template.replace(/\{(page|total|last|bates|filename|date)\}/g, (match, token) => String(values[token]));
+}
+
+/**
+ * The pages of a document that get a number, in order
+ * @param {number} pageCount
+ * @param {string} [skip] - page ranges to leave unnumbered, such as "1" for a cover
+ * @returns {number[]} 1-based page numbers
+ */
+export function getNumberedPages(pageCount, skip = '') {
+    const skipped = new Set();
+    if (skip && skip.trim()) {
+        try {
+            parsePageRanges(skip, pageCount).forEach(({ start, end }) => {
+                for (let pageNum = start; pageNum <= end; pageNum++) skipped.add(pageNum);
+            });
+        } catch (error) {
+            throw new Error(`Pages to skip: ${error.message}`);
+        }
+    }
+
+    const pages = [];
+    for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+        if (!skipped.has(pageNum)) pages.push(pageNum);
+    }
+    return pages;
+}
+
+/**
+ * Centre of a label on the page as displayed, in points from its bottom-left
+ * corner. The label's baseline sits on the bottom margin, or its top on the
+ * top margin.
+ * @param {number} pageWidth
+ * @param {number} pageHeight
+ * @param {number} labelWidth
+ * @param {number} labelHeight - from the baseline to the top of the tallest letters
+ * @param {string} position - one of NUMBER_POSITIONS
+ * @param {number} margin - in points
+ * @returns {{x: number, y: number, angle: number}}
+ */
+export function getLabelPlacement(pageWidth, pageHeight, labelWidth, labelHeight, position, margin) {
+    const [vertical, horizontal] = position.split('-');
+
+    let x = pageWidth / 2;
+    if (horizontal === 'left') x = margin + labelWidth / 2;
+    if (horizontal === 'right') x = pageWidth - margin - labelWidth / 2;
+
+    const y = vertical === 'top' ?
+        pageHeight - margin - labelHeight / 2 :
+        margin + labelHeight / 2;
+
+    return { x, y, angle: 0 };
+}
@@ -0,0 +1,65 @@
+/**
+ * Page range parsing shared by the split tool and the PDF worker
+ */
+
+/**
+ * Parse a range string such as "1-5, 8, 10-12"
+ * @param {string} rangesString
+ * @param {number} totalPages
+ * @returns {Array<{start: number, end: number}>} ranges sorted by start page
+ */
+export function parsePageRanges(rangesString, totalPages) {
+    if (!rangesString || rangesString.trim() === '') {
+        throw new Error('Please enter page ranges');
+    }
+
+    const ranges = [];
+    const parts = rangesString.split(',').map(part => part.trim());
+    
+    for (const part of parts) {
+        if (part === '') continue;
+        
+        if (part.includes('-')) {
+            // Range like "1-5"
+            const [startStr, endStr] = part.split('-').map(s => s.trim());
+            const start = parseInt(startStr);
+            const end = parseInt(endStr);
+            
+            if (isNaN(start) || isNaN(end)) {
+                throw new Error(`Invalid range: ${part}`);
+            }
+            
+            if (start < 1 || end < 1 || start > totalPages || end > totalPages) {
+                throw new Error(`Range ${part} is outside document bounds (1-${totalPages})`);
+            }
+            
+            if (start > end) {
+                throw new Error(`Invalid range ${part}: start page must be less than or equal to end page`);
+            }
+            
+            ranges.push({ start, end });
+        } else {
+            // Single page like "5"
+            const pageNum = parseInt(part);
+            
+            if (isNaN(pageNum)) {
+                throw new Error(`Invalid page number: ${part}`);
+            }
+            
+            if (pageNum < 1 || pageNum > totalPages) {
+                throw new Error(`Page ${pageNum} is outside document bounds (1-${totalPages})`);
+            }
+            
+            ranges.push({ start: pageNum, end: pageNum });
+        }
+    }
+    
+    if (ranges.length === 0) {
+        throw new Error('No valid page ranges found');
+    }
+    
+    // Sort ranges by start page
+    ranges.sort((a, b) => a.start - b.start);
+    
+    return ranges;
+}
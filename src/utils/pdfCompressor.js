@@ -0,0 +1,470 @@
+/**
+ * PDF compression utility
+ * Shrinks a loaded PDF in place: identical fonts and images are merged into
+ * one copy, objects nothing refers to are dropped, uncompressed streams are
+ * deflated and, for the lossy presets, large raster images are downsampled
+ * and re-encoded as JPEG through a canvas. Saving with object streams then
+ * packs the remaining small objects together. Streams with DecodeParms, such
+ * as Flate images with PNG predictors, are kept as they are, since pdf-lib
+ * can't undo the predictor.
+ */
+
+/**
+ * Compression presets. dpi caps an image at the pixels it would need to fill
+ * the largest page at that resolution; null leaves images untouched.
+ */
+export const COMPRESSION_PRESETS = {
+    lossless: { dpi: null, quality: null },
+    balanced: { dpi: 150, quality: 0.75 },
+    aggressive: { dpi: 96, quality: 0.5 }
+};
+
+// Dictionaries that are safe to share once their contents match
+const DEDUPLICATED_TYPES = ['Font', 'FontDescriptor', 'Encoding'];
+
+// Fonts point at descriptors, which point at font files, so each pass can
+// expose duplicates one level up
+const MAX_DEDUPLICATION_PASSES = 5;
+
+// Filters that pdf-lib can decode and that deflate usually beats
+const REENCODED_FILTERS = ['ASCIIHexDecode', 'ASCII85Decode', 'LZWDecode', 'RunLengthDecode'];
+
+// Streams smaller than this aren't worth compressing
+const MIN_DEFLATE_BYTES = 256;
+
+// Images smaller than this are mostly icons and rules that JPEG would blur
+const MIN_IMAGE_BYTES = 16 * 1024;
+
+// Larger images would need hundreds of megabytes of canvas memory
+const MAX_IMAGE_PIXELS = 40000000;
+
+// ---- Byte helpers ----
+
+// FNV-1a, enough to group streams before comparing them byte by byte
+function hashBytes(bytes) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < bytes.length; i++) {
+        hash ^= bytes[i];
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function bytesEqual(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+// ---- Object graph ----
+
+function getFilterNames(dict, pdfLib) {
+    const { PDFName, PDFArray } = pdfLib;
+    const filter = dict.lookup(PDFName.of('Filter'));
+
+    if (filter instanceof PDFName) {
+        return [filter.decodeText()];
+    }
+    if (filter instanceof PDFArray) {
+        return filter.asArray().map(entry => dict.context.lookup(entry).decodeText());
+    }
+    return [];
+}
+
+// The references directly inside an object, without following them
+function getChildRefs(value, pdfLib) {
+    const { PDFRef, PDFDict, PDFArray, PDFStream } = pdfLib;
+    const refs = [];
+    const pending = [value];
+
+    while (pending.length > 0) {
+        const current = pending.pop();
+        if (current instanceof PDFRef) {
+            refs.push(current);
+        } else if (current instanceof PDFStream) {
+            pending.push(current.dict);
+        } else if (current instanceof PDFDict) {
+            current.values().forEach(entry => pending.push(entry));
+        } else if (current instanceof PDFArray) {
+            current.asArray().forEach(entry => pending.push(entry));
+        }
+    }
+
+    return refs;
+}
+
+// Point references at their replacements, inside direct objects too
+function replaceRefs(value, replacements, pdfLib) {
+    const { PDFRef, PDFDict, PDFArray, PDFStream } = pdfLib;
+
+    if (value instanceof PDFStream) {
+        replaceRefs(value.dict, replacements, pdfLib);
+    } else if (value instanceof PDFDict) {
+        for (const [key, entry] of value.entries()) {
+            if (entry instanceof PDFRef) {
+                if (replacements.has(entry)) value.set(key, replacements.get(entry));
+            } else {
+                replaceRefs(entry, replacements, pdfLib);
+            }
+        }
+    } else if (value instanceof PDFArray) {
+        for (let i = 0; i < value.size(); i++) {
+            const entry = value.get(i);
+            if (entry instanceof PDFRef) {
+                if (replacements.has(entry)) value.set(i, replacements.get(entry));
+            } else {
+                replaceRefs(entry, replacements, pdfLib);
+            }
+        }
+    }
+}
+
+// ---- Duplicate objects ----
+
+// Objects with the same key are duplicates, streams once their bytes match too
+function getDuplicateKey(object, hashes, pdfLib) {
+    const { PDFRawStream, PDFDict, PDFName } = pdfLib;
+
+    if (object instanceof PDFRawStream) {
+        if (!hashes.has(object)) {
+            hashes.set(object, hashBytes(object.contents));
+        }
+        return `stream ${hashes.get(object)} ${object.dict.toString()}`;
+    }
+
+    if (object instanceof PDFDict) {
+        const type = object.get(PDFName.of('Type'));
+        if (type instanceof PDFName && DEDUPLICATED_TYPES.includes(type.decodeText())) {
+            return `dict ${object.toString()}`;
+        }
+    }
+
+    return null;
+}
+
+async function removeDuplicateObjects(context, pdfLib, task) {
+    const { PDFRawStream } = pdfLib;
+    const hashes = new Map();
+    let removed = 0;
+
+    for (let pass = 0; pass < MAX_DEDUPLICATION_PASSES; pass++) {
+        const originals = new Map(); // key -> [{ ref, object }]
+        const replacements = new Map(); // duplicate ref -> original ref
+
+        for (const [ref, object] of context.enumerateIndirectObjects()) {
+            const key = getDuplicateKey(object, hashes, pdfLib);
+            if (!key) continue;
+
+            const candidates = originals.get(key) || [];
+            const original = candidates.find(candidate =>
+                !(object instanceof PDFRawStream) || bytesEqual(candidate.object.contents, object.contents));
+
+            if (original) {
+                replacements.set(ref, original.ref);
+            } else {
+                candidates.push({ ref, object });
+                originals.set(key, candidates);
+            }
+        }
+
+        if (replacements.size === 0) {
+            break;
+        }
+
+        await task.checkCancelled();
+
+        for (const [, object] of context.enumerateIndirectObjects()) {
+            replaceRefs(object, replacements, pdfLib);
+        }
+        replacements.forEach((original, ref) => context.delete(ref));
+        removed += replacements.size;
+    }
+
+    return removed;
+}
+
+// ---- Unused objects ----
+
+function removeUnusedObjects(context, pdfLib) {
+    const { PDFRef } = pdfLib;
+    const reachable = new Set();
+    const pending = [context.trailerInfo.Root, context.trailerInfo.Info].filter(Boolean);
+
+    while (pending.length > 0) {
+        const value = pending.pop();
+        if (value instanceof PDFRef) {
+            if (reachable.has(value)) continue;
+            reachable.add(value);
+            pending.push(context.lookup(value));
+        } else {
+            getChildRefs(value, pdfLib).forEach(ref => pending.push(ref));
+        }
+    }
+
+    let removed = 0;
+    for (const [ref] of context.enumerateIndirectObjects()) {
+        if (!reachable.has(ref)) {
+            context.delete(ref);
+            removed++;
+        }
+    }
+
+    return removed;
+}
+
+// ---- Lossless stream compression ----
+
+async function deflateStreams(context, pdfLib, task) {
+    const { PDFRawStream, PDFName, decodePDFRawStream } = pdfLib;
+    let compressed = 0;
+
+    for (const [, object] of context.enumerateIndirectObjects()) {
+        if (!(object instanceof PDFRawStream) || object.contents.length < MIN_DEFLATE_BYTES) {
+            continue;
+        }
+
+        // XMP metadata stays readable to tools that don't inflate streams
+        const { dict } = object;
+        const filters = getFilterNames(dict, pdfLib);
+        if (dict.get(PDFName.of('Type')) === PDFName.of('Metadata') || dict.has(PDFName.of('DecodeParms')) ||
+            !filters.every(filter => REENCODED_FILTERS.includes(filter))) {
+            continue;
+        }
+
+        await task.checkCancelled();
+
+        try {
+            const decoded = filters.length > 0 ? decodePDFRawStream(object).decode() : object.contents;
+            const deflated = context.flateStream(decoded).contents;
+
+            if (deflated.length < object.contents.length) {
+                object.contents = deflated;
+                dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+                compressed++;
+            }
+        } catch (error) {
+            // Leave streams with broken data as they are
+        }
+    }
+
+    return compressed;
+}
+
+// ---- Images ----
+
+// Colour components of the colour spaces JPEG can stand in for, or null
+function getComponentCount(colorSpace, context, pdfLib) {
+    const { PDFName, PDFArray, PDFRawStream, PDFNumber } = pdfLib;
+
+    if (colorSpace === PDFName.of('DeviceGray')) return 1;
+    if (colorSpace === PDFName.of('DeviceRGB')) return 3;
+
+    if (colorSpace instanceof PDFArray && colorSpace.size() > 1) {
+        const family = context.lookup(colorSpace.get(0));
+        if (family === PDFName.of('CalGray')) return 1;
+        if (family === PDFName.of('CalRGB')) return 3;
+
+        if (family === PDFName.of('ICCBased')) {
+            const profile = context.lookup(colorSpace.get(1));
+            const components = profile instanceof PDFRawStream ? profile.dict.lookup(PDFName.of('N')) : null;
+            const count = components instanceof PDFNumber ? components.asNumber() : null;
+            return count === 1 || count === 3 ? count : null;
+        }
+    }
+
+    return null;
+}
+
+// Images used as soft masks or stencil masks of other images
+function getMaskRefs(context, pdfLib) {
+    const { PDFRawStream, PDFName, PDFRef } = pdfLib;
+    const masks = new Set();
+
+    for (const [, object] of context.enumerateIndirectObjects()) {
+        if (!(object instanceof PDFRawStream)) continue;
+
+        for (const key of ['SMask', 'Mask']) {
+            const mask = object.dict.get(PDFName.of(key));
+            if (mask instanceof PDFRef) {
+                masks.add(mask);
+            }
+        }
+    }
+
+    return masks;
+}
+
+// Decode an image the browser can draw, or return null to leave it alone
+async function decodeImage(image, width, height, components, pdfLib) {
+    const { PDFName, decodePDFRawStream } = pdfLib;
+    const filters = getFilterNames(image.dict, pdfLib);
+
+    if (filters.length === 1 && filters[0] === 'DCTDecode') {
+        return createImageBitmap(new Blob([image.contents], { type: 'image/jpeg' }));
+    }
+
+    const decodable = filters.every(filter => filter === 'FlateDecode' || REENCODED_FILTERS.includes(filter));
+    if (!decodable || image.dict.has(PDFName.of('DecodeParms'))) {
+        return null;
+    }
+
+    const samples = decodePDFRawStream(image).decode();
+    if (samples.length < width * height * components) {
+        return null;
+    }
+
+    const pixels = new ImageData(width, height);
+    for (let i = 0, j = 0; i < width * height; i++, j += components) {
+        pixels.data[i * 4] = samples[j];
+        pixels.data[i * 4 + 1] = samples[components === 3 ? j + 1 : j];
+        pixels.data[i * 4 + 2] = samples[components === 3 ? j + 2 : j];
+        pixels.data[i * 4 + 3] = 255;
+    }
+
+    return createImageBitmap(pixels);
+}
+
+async function recompressImage(image, maxSide, quality, context, pdfLib) {
+    const { PDFName, PDFNumber, PDFBool, PDFArray } = pdfLib;
+    const { dict } = image;
+
+    const width = dict.lookup(PDFName.of('Width'));
+    const height = dict.lookup(PDFName.of('Height'));
+    const bitsPerComponent = dict.lookup(PDFName.of('BitsPerComponent'));
+    const components = getComponentCount(dict.lookup(PDFName.of('ColorSpace')), context, pdfLib);
+
+    // Stencil masks, colour key masks and remapped colours depend on exact samples
+    if (image.contents.length < MIN_IMAGE_BYTES || dict.lookup(PDFName.of('ImageMask')) === PDFBool.True ||
+        dict.lookup(PDFName.of('Mask')) instanceof PDFArray || dict.has(PDFName.of('Decode')) ||
+        !(width instanceof PDFNumber) || !(height instanceof PDFNumber) ||
+        !(bitsPerComponent instanceof PDFNumber) || bitsPerComponent.asNumber() !== 8 || !components) {
+        return false;
+    }
+
+    const sourceWidth = width.asNumber();
+    const sourceHeight = height.asNumber();
+    if (sourceWidth * sourceHeight > MAX_IMAGE_PIXELS) {
+        return false;
+    }
+
+    const bitmap = await decodeImage(image, sourceWidth, sourceHeight, components, pdfLib);
+    if (!bitmap) {
+        return false;
+    }
+
+    try {
+        const scale = Math.min(1, maxSide / Math.max(sourceWidth, sourceHeight));
+        const targetWidth = Math.max(1, Math.round(sourceWidth * scale));
+        const targetHeight = Math.max(1, Math.round(sourceHeight * scale));
+
+        const canvas = new OffscreenCanvas(targetWidth, targetHeight);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0, targetWidth, targetHeight);
+
+        const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+        const jpeg = new Uint8Array(await blob.arrayBuffer());
+        if (jpeg.length >= image.contents.length) {
+            return false;
+        }
+
+        image.contents = jpeg;
+        dict.set(PDFName.of('Filter'), PDFName.of('DCTDecode'));
+        dict.delete(PDFName.of('DecodeParms'));
+        dict.set(PDFName.of('Width'), PDFNumber.of(targetWidth));
+        dict.set(PDFName.of('Height'), PDFNumber.of(targetHeight));
+
+        // The canvas always writes colour JPEGs
+        if (components === 1) {
+            dict.set(PDFName.of('ColorSpace'), PDFName.of('DeviceRGB'));
+        }
+
+        return true;
+    } finally {
+        bitmap.close();
+    }
+}
+
+async function recompressImages(pdfDoc, preset, pdfLib, task) {
+    const { PDFRawStream, PDFName } = pdfLib;
+    const { context } = pdfDoc;
+
+    // An image never needs more pixels than it takes to fill the largest page
+    const largestSide = Math.max(...pdfDoc.getPages().map(page => {
+        const { width, height } = page.getSize();
+        return Math.max(width, height);
+    }));
+    const maxSide = Math.ceil((largestSide / 72) * preset.dpi);
+    const masks = getMaskRefs(context, pdfLib);
+
+    const images = context.enumerateIndirectObjects().filter(([ref, object]) =>
+        object instanceof PDFRawStream &&
+        object.dict.get(PDFName.of('Subtype')) === PDFName.of('Image') &&
+        !masks.has(ref));
+
+    let recompressed = 0;
+
+    for (let i = 0; i < images.length; i++) {
+        await task.checkCancelled();
+        task.updateProgress(30 + (i / images.length) * 40, `Re-encoding image ${i + 1} of ${images.length}...`);
+
+        try {
+            if (await recompressImage(images[i][1], maxSide, preset.quality, context, pdfLib)) {
+                recompressed++;
+            }
+        } catch (error) {
+            // Images the browser can't decode are kept as they are
+        }
+    }
+
+    return recompressed;
+}
+
+// ---- Entry point ----
+
+/**
+ * Whether lossy presets can re-encode images here; it needs a canvas that
+ * works off the main thread
+ */
+export function canRecompressImages() {
+    return typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap === 'function';
+}
+
+/**
+ * Shrink a loaded PDF in place, ready to be saved with object streams
+ * @param {PDFDocument} pdfDoc
+ * @param {'lossless'|'balanced'|'aggressive'} presetName - see COMPRESSION_PRESETS
+ * @param {Object} task - reports progress (20-80%) and stops when cancelled
+ * @param {Function} task.updateProgress - called with (percentage, message)
+ * @param {Function} task.checkCancelled - async, throws once cancelled
+ * @returns {Promise<{duplicatesRemoved: number, imagesRecompressed: number,
+ *   streamsCompressed: number, unusedRemoved: number, imagesSkipped: boolean}>}
+ *   imagesSkipped is set when a lossy preset couldn't re-encode images here
+ */
+export async function compressPDF(pdfDoc, presetName, task) {
+    const preset = COMPRESSION_PRESETS[presetName];
+    if (!preset) {
+        throw new Error(`Unknown compression preset: ${presetName}`);
+    }
+
+    const pdfLib = await import('pdf-lib');
+    const { context } = pdfDoc;
+
+    task.updateProgress(20, 'Removing duplicate fonts and images...');
+    const duplicatesRemoved = await removeDuplicateObjects(context, pdfLib, task);
+
+    const imagesSkipped = Boolean(preset.dpi) && !canRecompressImages();
+    const imagesRecompressed = preset.dpi && !imagesSkipped ?
+        await recompressImages(pdfDoc, preset, pdfLib, task) :
+        0;
+
+    task.updateProgress(70, 'Compressing streams...');
+    const streamsCompressed = await deflateStreams(context, pdfLib, task);
+
+    task.updateProgress(80, 'Removing unused objects...');
+    const unusedRemoved = removeUnusedObjects(context, pdfLib);
+
+    return { duplicatesRemoved, imagesRecompressed, streamsCompressed, unusedRemoved, imagesSkipped };
+}
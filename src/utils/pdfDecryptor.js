@@ -0,0 +1,612 @@
+/**
+ * PDF decryption utility
+ * Opens PDFs protected with the Standard security handler (RC4 40/128-bit,
+ * AES-128 and AES-256) entirely in the browser. pdf-lib can parse encrypted
+ * files but cannot decrypt them, so documents are parsed with their object
+ * streams held back, every string and stream is decrypted in place, and only
+ * then are the object streams unpacked into the document.
+ *
+ * Holding the object streams back means overriding PDFParser's
+ * parseIndirectObject and calling the PDFDocument constructor directly, which
+ * are not part of pdf-lib's public API. package.json pins pdf-lib to the
+ * exact version this was written against, and tests/pdfDecryptor.test.js
+ * opens a fixture for every supported cipher, so check both when upgrading.
+ */
+
+const PASSWORD_PADDING = new Uint8Array([
+    0x28, 0xBF, 0x4E, 0x5E, 0x4E, 0x75, 0x8A, 0x41, 0x64, 0x00, 0x4E, 0x56, 0xFF, 0xFA, 0x01, 0x08,
+    0x2E, 0x2E, 0x00, 0xB6, 0xD0, 0x68, 0x3E, 0x80, 0x2F, 0x0C, 0xA9, 0xFE, 0x64, 0x53, 0x69, 0x7A
+]);
+
+const AES_SALT = new Uint8Array([0x73, 0x41, 0x6C, 0x54]); // "sAlT"
+const ENDOBJ_KEYWORD = [0x65, 0x6E, 0x64, 0x6F, 0x62, 0x6A]; // "endobj"
+
+export const INCORRECT_PASSWORD = 'INCORRECT_PASSWORD';
+
+// ---- Byte helpers ----
+
+function concatBytes(...arrays) {
+    const length = arrays.reduce((sum, array) => sum + array.length, 0);
+    const result = new Uint8Array(length);
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+}
+
+function bytesEqual(a, b, length = b.length) {
+    if (a.length < length || b.length < length) {
+        return false;
+    }
+    for (let i = 0; i < length; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+function bytesToHex(bytes) {
+    let hex = '';
+    for (let i = 0; i < bytes.length; i++) {
+        hex += bytes[i].toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+// ---- MD5 (not available in WebCrypto) ----
+
+const MD5_SHIFTS = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0);
+
+function md5(data) {
+    const paddedLength = ((data.length + 72) >>> 6) << 6;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(data);
+    padded[data.length] = 0x80;
+    const bitLength = data.length * 8;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, bitLength >>> 0, true);
+    view.setUint32(paddedLength - 4, Math.floor(bitLength / 0x100000000), true);
+
+    let a0 = 0x67452301;
+    let b0 = 0xEFCDAB89 | 0;
+    let c0 = 0x98BADCFE | 0;
+    let d0 = 0x10325476;
+    const words = new Int32Array(16);
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            words[i] = view.getInt32(offset + i * 4, true);
+        }
+
+        let a = a0;
+        let b = b0;
+        let c = c0;
+        let d = d0;
+
+        for (let i = 0; i < 64; i++) {
+            let f;
+            let g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) & 15;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) & 15;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) & 15;
+            }
+
+            const temp = d;
+            d = c;
+            c = b;
+            const sum = (a + f + MD5_CONSTANTS[i] + words[g]) | 0;
+            b = (b + ((sum << MD5_SHIFTS[i]) | (sum >>> (32 - MD5_SHIFTS[i])))) | 0;
+            a = temp;
+        }
+
+        a0 = (a0 + a) | 0;
+        b0 = (b0 + b) | 0;
+        c0 = (c0 + c) | 0;
+        d0 = (d0 + d) | 0;
+    }
+
+    const digest = new Uint8Array(16);
+    const digestView = new DataView(digest.buffer);
+    digestView.setInt32(0, a0, true);
+    digestView.setInt32(4, b0, true);
+    digestView.setInt32(8, c0, true);
+    digestView.setInt32(12, d0, true);
+    return digest;
+}
+
+// ---- RC4 ----
+
+function rc4(key, data) {
+    const state = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) {
+        state[i] = i;
+    }
+
+    for (let i = 0, j = 0; i < 256; i++) {
+        j = (j + state[i] + key[i % key.length]) & 0xFF;
+        const temp = state[i];
+        state[i] = state[j];
+        state[j] = temp;
+    }
+
+    const output = new Uint8Array(data.length);
+    for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+        i = (i + 1) & 0xFF;
+        j = (j + state[i]) & 0xFF;
+        const temp = state[i];
+        state[i] = state[j];
+        state[j] = temp;
+        output[n] = data[n] ^ state[(state[i] + state[j]) & 0xFF];
+    }
+    return output;
+}
+
+// ---- AES through WebCrypto ----
+
+async function importAesKey(keyBytes) {
+    return crypto.subtle.importKey('raw', keyBytes, 'AES-CBC', false, ['encrypt', 'decrypt']);
+}
+
+// WebCrypto always pads, so drop the extra padding block from the output
+async function aesEncryptNoPadding(keyBytes, iv, data) {
+    const key = await importAesKey(keyBytes);
+    const encrypted = await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, key, data);
+    return new Uint8Array(encrypted, 0, data.length);
+}
+
+// WebCrypto rejects input without valid PKCS#7 padding. Appending one block
+// that decrypts to a full padding block lets us decrypt any ciphertext and
+// handle the PDF's own padding ourselves.
+async function aesDecryptNoPadding(keyBytes, iv, data) {
+    const key = await importAesKey(keyBytes);
+    const previousBlock = data.length >= 16 ? data.slice(data.length - 16) : iv;
+    const paddingBlock = new Uint8Array(16).fill(16);
+    const extraBlock = await crypto.subtle.encrypt({ name: 'AES-CBC', iv: previousBlock }, key, paddingBlock);
+    const extended = concatBytes(data, new Uint8Array(extraBlock, 0, 16));
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, key, extended));
+}
+
+// Decrypt a PDF AES payload: 16-byte IV followed by PKCS#7 padded ciphertext
+async function decryptAesPayload(keyBytes, data) {
+    if (data.length < 32) {
+        return new Uint8Array(0);
+    }
+
+    const iv = data.slice(0, 16);
+    const blockLength = Math.floor((data.length - 16) / 16) * 16;
+    const plain = await aesDecryptNoPadding(keyBytes, iv, data.slice(16, 16 + blockLength));
+
+    const padLength = plain[plain.length - 1];
+    if (padLength >= 1 && padLength <= 16 && padLength <= plain.length) {
+        return plain.subarray(0, plain.length - padLength);
+    }
+    return plain;
+}
+
+async function sha(algorithm, data) {
+    return new Uint8Array(await crypto.subtle.digest(algorithm, data));
+}
+
+// ---- Key derivation: revisions 2-4 (RC4 and AES-128) ----
+
+function padPassword(passwordBytes) {
+    const padded = new Uint8Array(32);
+    const length = Math.min(passwordBytes.length, 32);
+    padded.set(passwordBytes.subarray(0, length));
+    padded.set(PASSWORD_PADDING.subarray(0, 32 - length), length);
+    return padded;
+}
+
+function encodeLatin1(password) {
+    const bytes = new Uint8Array(password.length);
+    for (let i = 0; i < password.length; i++) {
+        bytes[i] = password.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+}
+
+function computeLegacyFileKey(passwordBytes, params) {
+    const permissions = new Uint8Array(4);
+    new DataView(permissions.buffer).setUint32(0, params.permissions >>> 0, true);
+
+    const parts = [padPassword(passwordBytes), params.ownerKey.subarray(0, 32), permissions, params.fileId];
+    if (params.revision >= 4 && !params.encryptMetadata) {
+        parts.push(new Uint8Array([0xFF, 0xFF, 0xFF, 0xFF]));
+    }
+
+    let hash = md5(concatBytes(...parts));
+    if (params.revision >= 3) {
+        for (let i = 0; i < 50; i++) {
+            hash = md5(hash.subarray(0, params.keyLength));
+        }
+    }
+    return hash.slice(0, params.keyLength);
+}
+
+function xorKey(key, value) {
+    return key.map(byte => byte ^ value);
+}
+
+function isUserKey(fileKey, params) {
+    if (params.revision === 2) {
+        return bytesEqual(rc4(fileKey, PASSWORD_PADDING), params.userKey, 32);
+    }
+
+    let check = rc4(fileKey, md5(concatBytes(PASSWORD_PADDING, params.fileId)));
+    for (let i = 1; i <= 19; i++) {
+        check = rc4(xorKey(fileKey, i), check);
+    }
+    return bytesEqual(check, params.userKey, 16);
+}
+
+// The owner password unlocks the user password stored in /O
+function recoverUserPassword(ownerPasswordBytes, params) {
+    let hash = md5(padPassword(ownerPasswordBytes));
+    if (params.revision >= 3) {
+        for (let i = 0; i < 50; i++) {
+            hash = md5(hash);
+        }
+    }
+    const key = hash.slice(0, params.keyLength);
+
+    if (params.revision === 2) {
+        return rc4(key, params.ownerKey.subarray(0, 32));
+    }
+
+    let userPassword = params.ownerKey.slice(0, 32);
+    for (let i = 19; i >= 0; i--) {
+        userPassword = rc4(xorKey(key, i), userPassword);
+    }
+    return userPassword;
+}
+
+function getLegacyFileKey(password, params) {
+    const passwordBytes = encodeLatin1(password);
+
+    const userFileKey = computeLegacyFileKey(passwordBytes, params);
+    if (isUserKey(userFileKey, params)) {
+        return userFileKey;
+    }
+
+    const ownerFileKey = computeLegacyFileKey(recoverUserPassword(passwordBytes, params), params);
+    if (isUserKey(ownerFileKey, params)) {
+        return ownerFileKey;
+    }
+
+    return null;
+}
+
+// ---- Key derivation: revisions 5-6 (AES-256) ----
+
+async function hardenedHash(passwordBytes, salt, userData) {
+    let key = await sha('SHA-256', concatBytes(passwordBytes, salt, userData));
+    let encrypted = null;
+
+    for (let round = 0; round < 64 || encrypted[encrypted.length - 1] > round - 32; round++) {
+        const block = concatBytes(passwordBytes, key, userData);
+        const repeated = new Uint8Array(block.length * 64);
+        for (let i = 0; i < 64; i++) {
+            repeated.set(block, i * block.length);
+        }
+
+        encrypted = await aesEncryptNoPadding(key.slice(0, 16), key.slice(16, 32), repeated);
+
+        let remainder = 0;
+        for (let i = 0; i < 16; i++) {
+            remainder += encrypted[i];
+        }
+        key = await sha(['SHA-256', 'SHA-384', 'SHA-512'][remainder % 3], encrypted);
+    }
+
+    return key.slice(0, 32);
+}
+
+async function getAes256FileKey(password, params) {
+    const passwordBytes = new TextEncoder().encode(password).slice(0, 127);
+    const hash = (salt, userData) => params.revision === 5 ?
+        sha('SHA-256', concatBytes(passwordBytes, salt, userData)) :
+        hardenedHash(passwordBytes, salt, userData);
+
+    const { ownerKey, userKey } = params;
+    const userData = userKey.slice(0, 48);
+    const zeroIv = new Uint8Array(16);
+
+    if (bytesEqual(await hash(userKey.slice(32, 40), new Uint8Array(0)), userKey, 32)) {
+        const intermediateKey = await hash(userKey.slice(40, 48), new Uint8Array(0));
+        return aesDecryptNoPadding(intermediateKey, zeroIv, params.userEncryption.slice(0, 32));
+    }
+
+    if (bytesEqual(await hash(ownerKey.slice(32, 40), userData), ownerKey, 32)) {
+        const intermediateKey = await hash(ownerKey.slice(40, 48), userData);
+        return aesDecryptNoPadding(intermediateKey, zeroIv, params.ownerEncryption.slice(0, 32));
+    }
+
+    return null;
+}
+
+// ---- Security handler ----
+
+function readEncryptionParams(encryptDict, fileId, pdfLib) {
+    const { PDFName, PDFNumber, PDFBool, PDFDict } = pdfLib;
+
+    const number = (key, fallback) => {
+        const value = encryptDict.lookup(PDFName.of(key));
+        return value instanceof PDFNumber ? value.asNumber() : fallback;
+    };
+    const bytes = (key) => {
+        const value = encryptDict.lookup(PDFName.of(key));
+        return value && value.asBytes ? value.asBytes() : new Uint8Array(0);
+    };
+
+    const filter = encryptDict.lookup(PDFName.of('Filter'));
+    if (filter !== PDFName.of('Standard')) {
+        throw new Error('This PDF uses an unsupported encryption method (certificate or custom security handler)');
+    }
+
+    const version = number('V', 0);
+    const revision = number('R', 2);
+    const cryptFilters = encryptDict.lookup(PDFName.of('CF'));
+
+    return {
+        version,
+        revision,
+        keyLength: revision === 2 ? 5 : number('Length', 40) / 8,
+        permissions: number('P', 0),
+        ownerKey: bytes('O'),
+        userKey: bytes('U'),
+        ownerEncryption: bytes('OE'),
+        userEncryption: bytes('UE'),
+        encryptMetadata: encryptDict.lookup(PDFName.of('EncryptMetadata')) !== PDFBool.False,
+        cryptFilters: cryptFilters instanceof PDFDict ? cryptFilters : null,
+        streamFilter: encryptDict.lookup(PDFName.of('StmF')),
+        stringFilter: encryptDict.lookup(PDFName.of('StrF')),
+        fileId
+    };
+}
+
+function resolveCryptMethod(filterName, params, pdfLib) {
+    const { PDFName, PDFDict } = pdfLib;
+
+    if (params.version < 4) {
+        return 'RC4';
+    }
+
+    if (!filterName || filterName === PDFName.of('Identity') || !params.cryptFilters) {
+        return 'None';
+    }
+
+    const filter = params.cryptFilters.lookup(filterName);
+    const method = filter instanceof PDFDict ? filter.lookup(PDFName.of('CFM')) : null;
+
+    if (method === PDFName.of('AESV2')) return 'AESV2';
+    if (method === PDFName.of('AESV3')) return 'AESV3';
+    if (method === PDFName.of('V2')) return 'RC4';
+    return 'None';
+}
+
+function createDecryptFunction(method, fileKey) {
+    const objectKey = (ref, useAes) => {
+        const objectNumber = ref.objectNumber;
+        const generation = ref.generationNumber;
+        const input = concatBytes(
+            fileKey,
+            new Uint8Array([
+                objectNumber & 0xFF, (objectNumber >> 8) & 0xFF, (objectNumber >> 16) & 0xFF,
+                generation & 0xFF, (generation >> 8) & 0xFF
+            ]),
+            useAes ? AES_SALT : new Uint8Array(0)
+        );
+        return md5(input).slice(0, Math.min(fileKey.length + 5, 16));
+    };
+
+    switch (method) {
+        case 'RC4':
+            return async (data, ref) => rc4(objectKey(ref, false), data);
+        case 'AESV2':
+            return (data, ref) => decryptAesPayload(objectKey(ref, true), data);
+        case 'AESV3':
+            return (data) => decryptAesPayload(fileKey, data);
+        default:
+            return async (data) => data;
+    }
+}
+
+async function createSecurityHandler(encryptDict, fileId, password, pdfLib) {
+    const params = readEncryptionParams(encryptDict, fileId, pdfLib);
+
+    let fileKey;
+    if (params.revision >= 5) {
+        fileKey = await getAes256FileKey(password, params);
+    } else if (params.revision >= 2) {
+        fileKey = getLegacyFileKey(password, params);
+    } else {
+        throw new Error(`Unsupported PDF encryption revision ${params.revision}`);
+    }
+
+    if (!fileKey) {
+        const error = new Error('Incorrect password for encrypted PDF');
+        error.code = INCORRECT_PASSWORD;
+        throw error;
+    }
+
+    return {
+        encryptMetadata: params.encryptMetadata,
+        decryptString: createDecryptFunction(resolveCryptMethod(params.stringFilter, params, pdfLib), fileKey),
+        decryptStream: createDecryptFunction(resolveCryptMethod(params.streamFilter, params, pdfLib), fileKey)
+    };
+}
+
+// ---- Document walking ----
+
+async function decryptValue(value, ref, handler, pdfLib) {
+    const { PDFString, PDFHexString, PDFDict, PDFArray, PDFRawStream, PDFName } = pdfLib;
+
+    if (value instanceof PDFString || value instanceof PDFHexString) {
+        const decrypted = await handler.decryptString(value.asBytes(), ref);
+        return PDFHexString.of(bytesToHex(decrypted));
+    }
+
+    if (value instanceof PDFDict) {
+        for (const [key, entry] of value.entries()) {
+            const decrypted = await decryptValue(entry, ref, handler, pdfLib);
+            if (decrypted !== entry) {
+                value.set(key, decrypted);
+            }
+        }
+        return value;
+    }
+
+    if (value instanceof PDFArray) {
+        for (let i = 0; i < value.size(); i++) {
+            const entry = value.get(i);
+            const decrypted = await decryptValue(entry, ref, handler, pdfLib);
+            if (decrypted !== entry) {
+                value.set(i, decrypted);
+            }
+        }
+        return value;
+    }
+
+    if (value instanceof PDFRawStream) {
+        await decryptValue(value.dict, ref, handler, pdfLib);
+
+        const type = value.dict.lookup(PDFName.of('Type'));
+        const filter = value.dict.lookup(PDFName.of('Filter'));
+        const usesCryptFilter = filter === PDFName.of('Crypt') ||
+            (filter instanceof PDFArray && filter.asArray().includes(PDFName.of('Crypt')));
+        const isPlainMetadata = type === PDFName.of('Metadata') && !handler.encryptMetadata;
+
+        if (!usesCryptFilter && !isPlainMetadata) {
+            value.contents = await handler.decryptStream(value.contents, ref);
+        }
+        return value;
+    }
+
+    return value;
+}
+
+/**
+ * Parse a PDF without unpacking its object streams, returning the context and
+ * the references of the held-back object streams
+ */
+async function parseWithDeferredObjectStreams(bytes, pdfLib) {
+    const { PDFParser, PDFRawStream, PDFName, PDFXRefStreamParser } = pdfLib;
+    const objectStreamRefs = [];
+
+    class DeferredObjectStreamParser extends PDFParser {
+        async parseIndirectObject() {
+            const ref = this.parseIndirectObjectHeader();
+            this.skipWhitespaceAndComments();
+            const object = this.parseObject();
+            this.skipWhitespaceAndComments();
+            this.matchKeyword(ENDOBJ_KEYWORD);
+
+            const type = object instanceof PDFRawStream ? object.dict.lookup(PDFName.of('Type')) : null;
+            if (type === PDFName.of('XRef')) {
+                PDFXRefStreamParser.forStream(object).parseIntoContext();
+            } else {
+                if (type === PDFName.of('ObjStm')) {
+                    objectStreamRefs.push(ref);
+                }
+                this.context.assign(ref, object);
+            }
+
+            return ref;
+        }
+    }
+
+    const context = await new DeferredObjectStreamParser(bytes, 100).parseDocument();
+    return { context, objectStreamRefs };
+}
+
+// Documents decryptPDF has loaded, which save without their encryption
+const decryptedDocuments = new WeakSet();
+
+/**
+ * Whether a document was loaded from an encrypted PDF by decryptPDF
+ * @param {PDFDocument} pdfDoc
+ * @returns {boolean}
+ */
+export function wasDecrypted(pdfDoc) {
+    return decryptedDocuments.has(pdfDoc);
+}
+
+/**
+ * Check whether an error thrown by PDFDocument.load was caused by encryption
+ */
+export function isEncryptedPDFError(error) {
+    return !!error && typeof error.message === 'string' && error.message.includes('is encrypted');
+}
+
+/**
+ * Decrypt a password-protected PDF and load it as an unencrypted PDFDocument.
+ * Either the user or the owner password is accepted.
+ * @param {Uint8Array} bytes - the encrypted PDF
+ * @param {string} password
+ * @param {Object} [options]
+ * @param {boolean} [options.updateMetadata] - as for PDFDocument.load
+ * @returns {Promise<PDFDocument>}
+ */
+export async function decryptPDF(bytes, password = '', { updateMetadata = true } = {}) {
+    const pdfLib = await import('pdf-lib');
+    const { PDFDocument, PDFDict, PDFArray, PDFRef, PDFObjectStreamParser } = pdfLib;
+
+    const { context, objectStreamRefs } = await parseWithDeferredObjectStreams(bytes, pdfLib);
+
+    const encryptRef = context.trailerInfo.Encrypt;
+    const encryptDict = context.lookup(encryptRef);
+    if (!(encryptDict instanceof PDFDict)) {
+        throw new Error('PDF is not encrypted');
+    }
+
+    const idArray = context.lookup(context.trailerInfo.ID);
+    const firstId = idArray instanceof PDFArray && idArray.size() > 0 ? context.lookup(idArray.get(0)) : null;
+    const fileId = firstId && firstId.asBytes ? firstId.asBytes() : new Uint8Array(0);
+
+    const handler = await createSecurityHandler(encryptDict, fileId, password, pdfLib);
+
+    // Objects packed inside object streams are not encrypted individually, so
+    // decrypt the top-level objects first and unpack the streams afterwards
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        if (ref === encryptRef || object === encryptDict) {
+            continue;
+        }
+
+        const decrypted = await decryptValue(object, ref, handler, pdfLib);
+        if (decrypted !== object) {
+            context.assign(ref, decrypted);
+        }
+    }
+
+    for (const ref of objectStreamRefs) {
+        const objectStream = context.lookup(ref);
+        context.delete(ref);
+        await PDFObjectStreamParser.forStream(objectStream).parseIntoContext();
+    }
+
+    if (encryptRef instanceof PDFRef) {
+        context.delete(encryptRef);
+    }
+    context.trailerInfo.Encrypt = undefined;
+
+    const pdfDoc = new PDFDocument(context, false, updateMetadata);
+    decryptedDocuments.add(pdfDoc);
+    return pdfDoc;
+}
@@ -11,7 +11,11 @@ export async function loadPDFLib() {
             return {
                 PDFDocument: module.PDFDocument,
                 degrees: module.degrees,
-                rgb: module.rgb
+                rgb: module.rgb,
+                StandardFonts: module.StandardFonts,
+                PDFString: module.PDFString,
+                PDFHexString: module.PDFHexString,
+                PDFName: module.PDFName
             };
         });
     }
@@ -24,7 +28,7 @@ export async function createPDFDocument() {
     return PDFDocument.create();
 }
 
-export async function loadPDFFromBytes(bytes) {
+export async function loadPDFFromBytes(bytes, options = {}) {
     const { PDFDocument } = await loadPDFLib();
-    return PDFDocument.load(bytes);
+    return PDFDocument.load(bytes, options);
 }
\ No newline at end of file
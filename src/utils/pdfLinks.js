@@ -0,0 +1,65 @@
+/**
+ * PDF link utility
+ * pdf-lib has no API for link annotations, so these are built as raw
+ * annotation dictionaries.
+ */
+import { loadPDFLib } from './pdfLibLoader.js';
+
+// Link targets PDF viewers can open; anything else (javascript:, relative
+// paths) is left as plain text
+const LINKABLE_URI = /^(https?|mailto|ftp|tel):/i;
+
+/**
+ * Whether an address can become a web link in a PDF
+ * @param {string} uri
+ * @returns {boolean}
+ */
+export function isLinkableURI(uri) {
+    return LINKABLE_URI.test(uri || '');
+}
+
+// URIs are 7-bit ASCII, so percent-encode anything else. pdf-lib writes
+// strings as they are, so escape what would end one early. Text with a lone
+// surrogate has no UTF-8 form and gives null, leaving it as plain text.
+function encodeLinkURI(uri) {
+    try {
+        return uri
+            .replace(/[^\x20-\x7E]/gu, char => encodeURIComponent(char))
+            .replace(/[\\()]/g, '\\$&');
+    } catch (error) {
+        if (error instanceof URIError) return null;
+        throw error;
+    }
+}
+
+/**
+ * Add clickable areas to pages
+ * @param {PDFDocument} pdfDoc
+ * @param {Array<Object>} links - { page, rect: { x, y, width, height } } with
+ *   either uri, a web address, or destination: { page, top }, a place in the
+ *   same document
+ */
+export async function addLinkAnnotations(pdfDoc, links) {
+    const { PDFString } = await loadPDFLib();
+
+    links.forEach(link => {
+        const { x, y, width, height } = link.rect;
+        const annotation = {
+            Type: 'Annot',
+            Subtype: 'Link',
+            Rect: [x, y, x + width, y + height],
+            // No border: the text itself shows where the link is
+            Border: [0, 0, 0]
+        };
+
+        if (link.destination) {
+            annotation.Dest = [link.destination.page.ref, 'XYZ', null, link.destination.top, null];
+        } else {
+            const uri = encodeLinkURI(link.uri);
+            if (uri === null) return;
+            annotation.A = { Type: 'Action', S: 'URI', URI: PDFString.of(uri) };
+        }
+
+        link.page.node.addAnnot(pdfDoc.context.register(pdfDoc.context.obj(annotation)));
+    });
+}
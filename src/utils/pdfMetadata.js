@@ -0,0 +1,183 @@
+/**
+ * PDF metadata utility
+ * Reads and writes the document information dictionary (title, author and so
+ * on). Readers such as Acrobat prefer the XMP metadata stream when a file has
+ * one, so writing also replaces that stream with one built from the same
+ * values, keeping any PDF/A identification it carried.
+ */
+
+// Metadata field -> document information dictionary key
+const INFO_KEYS = {
+    title: 'Title',
+    author: 'Author',
+    subject: 'Subject',
+    keywords: 'Keywords',
+    creator: 'Creator',
+    producer: 'Producer',
+    creationDate: 'CreationDate',
+    modificationDate: 'ModDate'
+};
+
+export const METADATA_FIELDS = Object.keys(INFO_KEYS);
+
+export const DATE_FIELDS = ['creationDate', 'modificationDate'];
+
+// ---- Reading ----
+
+// pdf-lib's getters throw on entries of the wrong type or badly formed dates
+function readSafely(getter) {
+    try {
+        return getter();
+    } catch (error) {
+        console.warn('Ignoring unreadable metadata entry:', error);
+        return undefined;
+    }
+}
+
+// pdf-lib gives an Invalid Date for date strings it can't make sense of
+function readDate(getter) {
+    const date = readSafely(getter);
+    return date && !isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * The document's metadata; load it with updateMetadata: false, or pdf-lib
+ * will already have replaced the producer and modification date
+ * @param {PDFDocument} pdfDoc
+ * @returns {Object} text fields as strings, empty when missing, and dates as
+ *   Date objects or null
+ */
+export function readMetadata(pdfDoc) {
+    return {
+        title: readSafely(() => pdfDoc.getTitle()) || '',
+        author: readSafely(() => pdfDoc.getAuthor()) || '',
+        subject: readSafely(() => pdfDoc.getSubject()) || '',
+        keywords: readSafely(() => pdfDoc.getKeywords()) || '',
+        creator: readSafely(() => pdfDoc.getCreator()) || '',
+        producer: readSafely(() => pdfDoc.getProducer()) || '',
+        creationDate: readDate(() => pdfDoc.getCreationDate()),
+        modificationDate: readDate(() => pdfDoc.getModificationDate())
+    };
+}
+
+// ---- XMP ----
+
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// PDF/A part and conformance level from an existing packet, e.g. { part: '2', conformance: 'B' }
+function readPDFAIdentification(pdfDoc, pdfLib) {
+    const { PDFName, PDFRawStream, decodePDFRawStream } = pdfLib;
+
+    const stream = pdfDoc.catalog.lookup(PDFName.of('Metadata'));
+    if (!(stream instanceof PDFRawStream)) {
+        return null;
+    }
+
+    try {
+        const bytes = stream.dict.has(PDFName.of('Filter')) ? decodePDFRawStream(stream).decode() : stream.contents;
+        const xml = new TextDecoder().decode(bytes);
+        const part = xml.match(/pdfaid:part(?:\s*=\s*["']|>)\s*(\d+)/);
+        const conformance = xml.match(/pdfaid:conformance(?:\s*=\s*["']|>)\s*([A-Za-z])/);
+        return part ? { part: part[1], conformance: conformance ? conformance[1] : null } : null;
+    } catch (error) {
+        console.warn('Could not read the existing XMP metadata:', error);
+        return null;
+    }
+}
+
+function buildXMPPacket(metadata, pdfaId) {
+    const properties = [];
+    const date = (value) => value.toISOString();
+
+    if (metadata.title) {
+        properties.push(`<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXML(metadata.title)}</rdf:li></rdf:Alt></dc:title>`);
+    }
+    if (metadata.author) {
+        properties.push(`<dc:creator><rdf:Seq><rdf:li>${escapeXML(metadata.author)}</rdf:li></rdf:Seq></dc:creator>`);
+    }
+    if (metadata.subject) {
+        properties.push(`<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXML(metadata.subject)}</rdf:li></rdf:Alt></dc:description>`);
+    }
+    properties.push('<dc:format>application/pdf</dc:format>');
+    if (metadata.keywords) {
+        properties.push(`<pdf:Keywords>${escapeXML(metadata.keywords)}</pdf:Keywords>`);
+    }
+    if (metadata.producer) {
+        properties.push(`<pdf:Producer>${escapeXML(metadata.producer)}</pdf:Producer>`);
+    }
+    if (metadata.creator) {
+        properties.push(`<xmp:CreatorTool>${escapeXML(metadata.creator)}</xmp:CreatorTool>`);
+    }
+    if (metadata.creationDate) {
+        properties.push(`<xmp:CreateDate>${date(metadata.creationDate)}</xmp:CreateDate>`);
+    }
+    if (metadata.modificationDate) {
+        properties.push(`<xmp:ModifyDate>${date(metadata.modificationDate)}</xmp:ModifyDate>`);
+    }
+    properties.push(`<xmp:MetadataDate>${date(new Date())}</xmp:MetadataDate>`);
+    if (pdfaId) {
+        properties.push(`<pdfaid:part>${pdfaId.part}</pdfaid:part>`);
+        if (pdfaId.conformance) {
+            properties.push(`<pdfaid:conformance>${pdfaId.conformance}</pdfaid:conformance>`);
+        }
+    }
+
+    return [
+        '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        '<rdf:Description rdf:about=""',
+        ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+        ' xmlns:pdf="http://ns.adobe.com/pdf/1.3/"',
+        ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+        ' xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">',
+        ...properties,
+        '</rdf:Description>',
+        '</rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>'
+    ].join('\n');
+}
+
+// ---- Writing ----
+
+/**
+ * Set a document's metadata. Empty text fields and null dates are removed.
+ * @param {PDFDocument} pdfDoc
+ * @param {Object} metadata - see readMetadata; fields left out are unchanged
+ */
+export async function writeMetadata(pdfDoc, metadata) {
+    const pdfLib = await import('pdf-lib');
+    const { PDFName, PDFHexString, PDFString, PDFRef } = pdfLib;
+
+    const info = pdfDoc.getInfoDict();
+    Object.entries(INFO_KEYS).forEach(([field, key]) => {
+        if (!(field in metadata)) return;
+
+        const value = metadata[field];
+        if (DATE_FIELDS.includes(field) ? !value : !value || !value.trim()) {
+            info.delete(PDFName.of(key));
+        } else {
+            info.set(PDFName.of(key), DATE_FIELDS.includes(field) ? PDFString.fromDate(value) : PDFHexString.fromText(value));
+        }
+    });
+
+    // Only files that already had XMP get it, so it can't disagree with the dictionary
+    const existingRef = pdfDoc.catalog.get(PDFName.of('Metadata'));
+    if (!existingRef) return;
+
+    const packet = buildXMPPacket(readMetadata(pdfDoc), readPDFAIdentification(pdfDoc, pdfLib));
+    const stream = pdfDoc.context.stream(new TextEncoder().encode(packet), { Type: 'Metadata', Subtype: 'XML' });
+
+    if (existingRef instanceof PDFRef) {
+        pdfDoc.context.assign(existingRef, stream);
+    } else {
+        pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(stream));
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * PDF outline utility
+ * pdf-lib can read but not create outlines (bookmarks), so the outline
+ * dictionaries are built by hand.
+ */
+import { loadPDFLib } from './pdfLibLoader.js';
+
+// Nest entries under the nearest earlier entry with a lower level
+function buildTree(entries) {
+    const root = { level: 0, children: [] };
+    const stack = [root];
+
+    entries.forEach(entry => {
+        while (stack[stack.length - 1].level >= entry.level) {
+            stack.pop();
+        }
+        const node = { ...entry, children: [] };
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+    });
+
+    return root;
+}
+
+/**
+ * Give a document an outline and open it with the bookmarks panel showing
+ * @param {PDFDocument} pdfDoc
+ * @param {Array<{title: string, level: number, page: PDFPage, top: number}>} entries -
+ *   in document order; an entry nests under the last one with a lower level,
+ *   so skipped levels don't leave gaps
+ */
+export async function setOutline(pdfDoc, entries) {
+    if (entries.length === 0) {
+        return;
+    }
+
+    const { PDFHexString, PDFName } = await loadPDFLib();
+    const context = pdfDoc.context;
+    const root = buildTree(entries);
+
+    // Entries point at their siblings and children, so give them all refs first
+    const assignRefs = (node) => {
+        node.ref = context.nextRef();
+        node.children.forEach(assignRefs);
+    };
+    root.ref = context.nextRef();
+    root.children.forEach(assignRefs);
+
+    // Writes the children of a node, all expanded, and returns how many
+    // entries they show in total
+    const writeChildren = (parent) => {
+        let shown = 0;
+
+        parent.children.forEach((node, index) => {
+            const descendants = writeChildren(node);
+            const item = {
+                Title: PDFHexString.fromText(node.title),
+                Parent: parent.ref,
+                Dest: [node.page.ref, 'XYZ', null, node.top, null]
+            };
+
+            if (index > 0) {
+                item.Prev = parent.children[index - 1].ref;
+            }
+            if (index < parent.children.length - 1) {
+                item.Next = parent.children[index + 1].ref;
+            }
+            if (node.children.length > 0) {
+                item.First = node.children[0].ref;
+                item.Last = node.children[node.children.length - 1].ref;
+                item.Count = descendants;
+            }
+
+            context.assign(node.ref, context.obj(item));
+            shown += 1 + descendants;
+        });
+
+        return shown;
+    };
+
+    const count = writeChildren(root);
+    context.assign(root.ref, context.obj({
+        Type: 'Outlines',
+        First: root.children[0].ref,
+        Last: root.children[root.children.length - 1].ref,
+        Count: count
+    }));
+
+    pdfDoc.catalog.set(PDFName.of('Outlines'), root.ref);
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
@@ -0,0 +1,97 @@
+/**
+ * PDF password store
+ * Remembers the password entered for each encrypted file for the rest of the
+ * session, so merging, splitting and previewing the same file only asks once.
+ * The prompt itself is provided by the UI through setPasswordPrompt().
+ */
+import { loadPDFFromBytes } from './pdfLibLoader.js';
+import { decryptPDF, isEncryptedPDFError, INCORRECT_PASSWORD } from './pdfDecryptor.js';
+
+export const PASSWORD_REQUIRED = 'PASSWORD_REQUIRED';
+
+const filePasswords = new WeakMap();
+let passwordPrompt = null;
+
+export function setPasswordPrompt(prompt) {
+    passwordPrompt = prompt;
+}
+
+export function getFilePassword(file) {
+    return filePasswords.get(file);
+}
+
+export function isPasswordRequiredError(error) {
+    return !!error && error.code === PASSWORD_REQUIRED;
+}
+
+/**
+ * Ask the user for a file's password and remember the answer
+ * @param {File} file
+ * @param {boolean} isRetry - the previous password was rejected
+ * @returns {Promise<string>}
+ */
+export async function requestFilePassword(file, isRetry = false) {
+    const password = passwordPrompt ? await passwordPrompt(file.name, isRetry) : null;
+
+    if (password === null || password === undefined) {
+        const error = new Error(`Password required to open ${file.name}`);
+        error.code = PASSWORD_REQUIRED;
+        throw error;
+    }
+
+    filePasswords.set(file, password);
+    return password;
+}
+
+/**
+ * Load a PDF with pdf-lib, decrypting it if needed
+ * Doesn't touch the DOM, so the PDF worker uses it too.
+ * @param {Uint8Array} bytes
+ * @param {string} [password] - password to try first, if one is known
+ * @param {Function} requestPassword - called with (isRetry) when the password
+ *   is missing or wrong, resolves to the next password to try
+ * @param {Object} [options]
+ * @param {boolean} [options.updateMetadata] - false keeps the producer and
+ *   modification date pdf-lib would otherwise overwrite on load
+ * @returns {Promise<PDFDocument>}
+ */
+export async function loadPDFWithPassword(bytes, password, requestPassword, { updateMetadata = true } = {}) {
+    try {
+        return await loadPDFFromBytes(bytes, { updateMetadata });
+    } catch (error) {
+        if (!isEncryptedPDFError(error)) {
+            throw error;
+        }
+    }
+
+    // Files that only restrict permissions open with an empty user password
+    let candidate = password !== undefined ? password : '';
+    let isRetry = password !== undefined;
+
+    while (true) {
+        try {
+            return await decryptPDF(bytes, candidate, { updateMetadata });
+        } catch (error) {
+            if (error.code !== INCORRECT_PASSWORD) {
+                throw error;
+            }
+        }
+
+        candidate = await requestPassword(isRetry);
+        isRetry = true;
+    }
+}
+
+/**
+ * Load a file's PDF with pdf-lib, asking for a password if it is encrypted
+ * @param {File} file
+ * @param {Uint8Array} bytes - the file's contents
+ * @returns {Promise<PDFDocument>}
+ */
+export async function loadPDFForFile(file, bytes) {
+    return loadPDFWithPassword(
+        bytes,
+        getFilePassword(file),
+        (isRetry) => requestFilePassword(file, isRetry)
+    );
+}
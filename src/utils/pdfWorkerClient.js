@@ -0,0 +1,143 @@
+/**
+ * PDF worker client
+ * Sends pdf-lib tasks to the PDF worker and turns its messages back into a
+ * promise, progress callbacks and password prompts. The worker is started on
+ * first use, reused for later tasks, and started again after a cancel or
+ * crash has stopped it.
+ */
+import { requestFilePassword } from './pdfPasswords.js';
+import { createCancelledError } from './cancellation.js';
+
+let worker = null;
+let nextTaskId = 1;
+const tasks = new Map();
+
+function getWorker() {
+    if (!worker) {
+        worker = new Worker(new URL('../workers/pdfWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = handleMessage;
+        worker.onerror = handleWorkerError;
+    }
+
+    return worker;
+}
+
+function handleMessage(event) {
+    const { id, type } = event.data;
+    const task = tasks.get(id);
+    if (!task) return;
+
+    switch (type) {
+        case 'progress':
+            task.onProgress(event.data.percentage, event.data.message);
+            break;
+        case 'password':
+            answerPasswordRequest(id, task, event.data);
+            break;
+        case 'result':
+            tasks.delete(id);
+            task.resolve(event.data.result);
+            break;
+        case 'error':
+            tasks.delete(id);
+            task.reject(toError(event.data.error));
+            break;
+    }
+}
+
+async function answerPasswordRequest(id, task, { sourceIndex, isRetry }) {
+    let reply;
+    try {
+        const password = await requestFilePassword(task.files[sourceIndex], isRetry);
+        reply = { id, type: 'password', password };
+    } catch (error) {
+        reply = { id, type: 'password', error: { message: error.message, code: error.code } };
+    }
+
+    // The task may have been cancelled while the prompt was open
+    if (tasks.has(id)) {
+        worker.postMessage(reply);
+    }
+}
+
+function cancelTask(id) {
+    const task = tasks.get(id);
+    if (!task) return;
+
+    tasks.delete(id);
+    task.reject(createCancelledError());
+
+    if (tasks.size === 0) {
+        // Nothing else is running, so drop the worker and everything it holds
+        // rather than waiting for the task to reach its next check
+        worker.terminate();
+        worker = null;
+    } else {
+        worker.postMessage({ id, type: 'cancel' });
+    }
+}
+
+// The worker failed to load or crashed, so nothing still running will finish
+function handleWorkerError(event) {
+    event.preventDefault();
+
+    const error = new Error(event.message || 'The PDF worker stopped unexpectedly');
+    tasks.forEach(task => task.reject(error));
+    tasks.clear();
+
+    worker.terminate();
+    worker = null;
+}
+
+function toError({ message, code }) {
+    const error = new Error(message);
+    if (code) {
+        error.code = code;
+    }
+    return error;
+}
+
+/**
+ * Run a task in the PDF worker
+ * @param {string} type - 'pageCount', 'metadata', 'merge', 'split', 'splitBySize',
+ *   'rotate', 'compress', 'watermark', 'number', 'editMetadata' or 'imagesToPDF'
+ * @param {Object} payload - task input; source buffers are transferred, so
+ *   they are unusable here once the task starts
+ * @param {Object} options
+ * @param {File[]} options.files - the files behind the payload's sources, in
+ *   the same order, used to ask for passwords
+ * @param {Function} [options.onProgress] - called with (percentage, message)
+ * @param {AbortSignal} [options.signal] - aborting rejects with a cancellation error
+ * @returns {Promise<*>} the task's result
+ */
+export function runPDFTask(type, payload, { files, onProgress, signal } = {}) {
+    if (signal && signal.aborted) {
+        return Promise.reject(createCancelledError());
+    }
+
+    const id = nextTaskId++;
+    const sources = payload.sources || [payload.source];
+    const transfer = sources.map(source => source.buffer);
+
+    const onAbort = () => cancelTask(id);
+    if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    const promise = new Promise((resolve, reject) => {
+        tasks.set(id, {
+            files: files || [],
+            onProgress: onProgress || (() => {}),
+            resolve,
+            reject
+        });
+
+        getWorker().postMessage({ id, type, payload }, transfer);
+    });
+
+    return promise.finally(() => {
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+    });
+}
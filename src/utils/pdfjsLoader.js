@@ -0,0 +1,58 @@
+/**
+ * PDF.js lazy loader utility
+ * Loads pdfjs-dist only when page rendering is needed. The worker script is
+ * bundled by Vite as a local asset so rendering works without a CDN.
+ */
+import pdfjsWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+let pdfjsPromise = null;
+
+export async function loadPDFJS() {
+    if (!pdfjsPromise) {
+        pdfjsPromise = import('pdfjs-dist').then(module => {
+            module.GlobalWorkerOptions.workerSrc = pdfjsWorkerUrl;
+            return module;
+        });
+    }
+
+    return pdfjsPromise;
+}
+
+/**
+ * Open a document with PDF.js
+ * @param {Uint8Array} bytes
+ * @param {Object} options
+ * @param {string} [options.password] - password to try first for encrypted files
+ * @param {Function} [options.onPassword] - called with (isRetry) when a password
+ *   is needed, resolves to the password to try next
+ */
+export async function loadPDFJSDocument(bytes, options = {}) {
+    const pdfjs = await loadPDFJS();
+
+    // PDF.js transfers the buffer to its worker, so give it a copy and
+    // leave the caller's bytes usable
+    const loadingTask = pdfjs.getDocument({
+        data: bytes.slice(0),
+        password: options.password,
+        isEvalSupported: false
+    });
+
+    let passwordError = null;
+    if (options.onPassword) {
+        loadingTask.onPassword = async (updatePassword, reason) => {
+            try {
+                const isRetry = reason === pdfjs.PasswordResponses.INCORRECT_PASSWORD;
+                updatePassword(await options.onPassword(isRetry));
+            } catch (error) {
+                passwordError = error;
+                loadingTask.destroy();
+            }
+        };
+    }
+
+    try {
+        return await loadingTask.promise;
+    } catch (error) {
+        throw passwordError || error;
+    }
+}
@@ -0,0 +1,137 @@
+/**
+ * Watermark layout shared by the PDF worker and the tool's live preview
+ * Stamps are placed on the page as it is displayed, in points from its
+ * bottom-left corner, so a rotated page gets its stamp the right way up.
+ */
+
+// Distance from the page edge for stamps in a corner
+const CORNER_MARGIN = 36;
+
+// Tiles are spread out further if there'd be more than this on a page
+const MAX_TILES = 200;
+
+export const WATERMARK_POSITIONS = [
+    'center', 'diagonal', 'tiled', 'top-left', 'top-right', 'bottom-left', 'bottom-right'
+];
+
+// Width and height of the box a stamp covers once rotated
+function getRotatedBounds(width, height, angle) {
+    const radians = angle * Math.PI / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+    return { width: width * cos + height * sin, height: width * sin + height * cos };
+}
+
+/**
+ * Where to put each copy of a stamp on a page
+ * @param {number} pageWidth - as displayed, in points
+ * @param {number} pageHeight
+ * @param {number} stampWidth - unrotated, in points
+ * @param {number} stampHeight
+ * @param {Object} options
+ * @param {string} options.position - one of WATERMARK_POSITIONS
+ * @param {number} options.rotation - counter-clockwise degrees; the diagonal
+ *   position sets its own
+ * @returns {Array<{x: number, y: number, angle: number}>} stamp centres and
+ *   counter-clockwise angles
+ */
+export function getStampPlacements(pageWidth, pageHeight, stampWidth, stampHeight, { position, rotation = 0 }) {
+    if (position === 'diagonal') {
+        const angle = Math.atan2(pageHeight, pageWidth) * 180 / Math.PI;
+        return [{ x: pageWidth / 2, y: pageHeight / 2, angle }];
+    }
+
+    const bounds = getRotatedBounds(stampWidth, stampHeight, rotation);
+
+    if (position === 'tiled') {
+        // Rows and columns out from the centre, far enough to cover the page
+        let gap = Math.max(bounds.width, bounds.height) / 2;
+        let stepX;
+        let stepY;
+        let columns;
+        let rows;
+        do {
+            stepX = bounds.width + gap;
+            stepY = bounds.height + gap;
+            columns = Math.ceil(pageWidth / 2 / stepX);
+            rows = Math.ceil(pageHeight / 2 / stepY);
+            gap *= 2;
+        } while ((columns * 2 + 1) * (rows * 2 + 1) > MAX_TILES);
+
+        const placements = [];
+        for (let row = -rows; row <= rows; row++) {
+            for (let column = -columns; column <= columns; column++) {
+                placements.push({
+                    x: pageWidth / 2 + column * stepX,
+                    y: pageHeight / 2 + row * stepY,
+                    angle: rotation
+                });
+            }
+        }
+        return placements;
+    }
+
+    const left = CORNER_MARGIN + bounds.width / 2;
+    const right = pageWidth - CORNER_MARGIN - bounds.width / 2;
+    const top = pageHeight - CORNER_MARGIN - bounds.height / 2;
+    const bottom = CORNER_MARGIN + bounds.height / 2;
+
+    switch (position) {
+        case 'top-left':
+            return [{ x: left, y: top, angle: rotation }];
+        case 'top-right':
+            return [{ x: right, y: top, angle: rotation }];
+        case 'bottom-left':
+            return [{ x: left, y: bottom, angle: rotation }];
+        case 'bottom-right':
+            return [{ x: right, y: bottom, angle: rotation }];
+        case 'center':
+            return [{ x: pageWidth / 2, y: pageHeight / 2, angle: rotation }];
+        default:
+            throw new Error(`Unknown watermark position: ${position}`);
+    }
+}
+
+/**
+ * The corner to draw a rotated stamp from so that it's centred on a point.
+ * pdf-lib rotates text and images around their bottom-left corner.
+ * @returns {{x: number, y: number}}
+ */
+export function getStampOrigin(center, stampWidth, stampHeight, angle) {
+    const radians = angle * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    return {
+        x: center.x - (stampWidth / 2) * cos + (stampHeight / 2) * sin,
+        y: center.y - (stampWidth / 2) * sin - (stampHeight / 2) * cos
+    };
+}
+
+/**
+ * Map a placement on the displayed page into the page's own coordinates
+ * @param {{x: number, y: number, angle: number}} placement
+ * @param {{x: number, y: number, width: number, height: number}} box - the
+ *   page's crop box
+ * @param {number} pageRotation - the page's clockwise /Rotate, a multiple of 90
+ * @returns {{x: number, y: number, angle: number}}
+ */
+export function toPageSpace({ x, y, angle }, box, pageRotation) {
+    const rotation = ((pageRotation % 360) + 360) % 360;
+    let point;
+
+    switch (rotation) {
+        case 90:
+            point = { x: box.width - y, y: x };
+            break;
+        case 180:
+            point = { x: box.width - x, y: box.height - y };
+            break;
+        case 270:
+            point = { x: y, y: box.height - x };
+            break;
+        default:
+            point = { x, y };
+    }
+
+    return { x: box.x + point.x, y: box.y + point.y, angle: angle + rotation };
+}
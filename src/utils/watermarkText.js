@@ -0,0 +1,96 @@
+/**
+ * Watermark text fonts shared by the PDF worker and the tool's live preview
+ * Helvetica Bold covers Western European text. Other text is drawn in DejaVu
+ * Sans Bold, with Noto Sans SC Bold for the characters it lacks (Chinese and
+ * Japanese), as Word conversion does. The preview measures with the same
+ * fonts so its stamp is the size the PDF's will be.
+ */
+import { loadPDFLib } from './pdfLibLoader.js';
+import { embedUnicodeFont } from './fontLoader.js';
+
+const REPLACEMENT_CHARACTER = '\uFFFD';
+
+// PDF document -> font name -> { name, font, chars }, so a document embeds each font once
+const embeddedFonts = new WeakMap();
+
+async function embedWatermarkFont(pdfDoc, name) {
+    if (!embeddedFonts.has(pdfDoc)) {
+        embeddedFonts.set(pdfDoc, new Map());
+    }
+    const embedded = embeddedFonts.get(pdfDoc);
+
+    if (!embedded.has(name)) {
+        let font;
+        if (name === 'helvetica') {
+            const { StandardFonts } = await loadPDFLib();
+            font = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+        } else {
+            font = await embedUnicodeFont(pdfDoc, name, 'bold');
+        }
+        embedded.set(name, { name, font, chars: name === 'helvetica' ? null : new Set(font.getCharacterSet()) });
+    }
+
+    return embedded.get(name);
+}
+
+/**
+ * Embed the fonts a watermark's text needs and split it into pieces that each use one font
+ * Characters no font has become the replacement character, or are dropped
+ * if they're joiners, combining marks or skin tone modifiers.
+ * @param {PDFDocument} pdfDoc
+ * @param {string} text
+ * @returns {Promise<Array<{text: string, font: PDFFont, fontName: 'helvetica'|'main'|'fallback'}>>}
+ *   in drawing order
+ */
+export async function getWatermarkSegments(pdfDoc, text) {
+    const helvetica = await embedWatermarkFont(pdfDoc, 'helvetica');
+    try {
+        helvetica.font.encodeText(text);
+        return [{ text, font: helvetica.font, fontName: helvetica.name }];
+    } catch (error) {
+        // Not all Western European; fall through to the Unicode fonts
+    }
+
+    const main = await embedWatermarkFont(pdfDoc, 'main');
+    const candidates = [main];
+    if ([...text].some(char => !/\s/.test(char) && !main.chars.has(char.codePointAt(0)))) {
+        candidates.push(await embedWatermarkFont(pdfDoc, 'fallback'));
+    }
+
+    const segments = [];
+    for (let char of text) {
+        const codePoint = char.codePointAt(0);
+        let candidate = candidates.find(option => option.chars.has(codePoint));
+
+        if (!candidate) {
+            if (/[\p{Cf}\p{M}\p{Emoji_Modifier}]/u.test(char)) continue;
+            candidate = main;
+            char = REPLACEMENT_CHARACTER;
+        }
+
+        const last = segments[segments.length - 1];
+        if (last && last.font === candidate.font) {
+            last.text += char;
+        } else {
+            segments.push({ text: char, font: candidate.font, fontName: candidate.name });
+        }
+    }
+
+    return segments;
+}
+
+/**
+ * The box a watermark's text covers, from its baseline up
+ * @param {Array<Object>} segments - from getWatermarkSegments
+ * @param {number} fontSize
+ * @returns {{width: number, height: number, widths: number[]}} in points,
+ *   with each segment's width
+ */
+export function measureWatermarkText(segments, fontSize) {
+    const widths = segments.map(segment => segment.font.widthOfTextAtSize(segment.text, fontSize));
+    return {
+        width: widths.reduce((total, width) => total + width, 0),
+        height: Math.max(0, ...segments.map(segment => segment.font.heightAtSize(fontSize, { descender: false }))),
+        widths
+    };
+}
@@ -0,0 +1,224 @@
+/**
+ * ZIP archive builder
+ * Writes a standard ZIP archive (stored entries, no compression) entirely in
+ * the browser. PDF content is already compressed, so storing keeps archiving
+ * fast without a measurable size penalty. The archive is assembled as a Blob
+ * from per-entry parts, so file data is never copied into one large buffer.
+ * Archives are plain ZIP, not ZIP64, so they are limited to 65,535 entries
+ * and 4 GB; larger ones are refused rather than written corrupt.
+ */
+import { throwIfCancelled } from './cancellation.js';
+
+// The largest entry count and byte offset plain ZIP headers can hold
+export const MAX_ZIP_ENTRIES = 0xFFFF;
+export const MAX_ZIP_SIZE = 0xFFFFFFFF;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function toDosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * Make a file name unique among the names used so far, adding _2, _3 and so
+ * on before the extension. Used for archive entries and for download names.
+ * @param {string} name
+ * @param {Set<string>} usedNames - updated with the name returned
+ * @returns {string}
+ */
+export function uniqueName(name, usedNames) {
+    if (!usedNames.has(name)) {
+        usedNames.add(name);
+        return name;
+    }
+
+    const dotIndex = name.lastIndexOf('.');
+    const base = dotIndex > 0 ? name.substring(0, dotIndex) : name;
+    const extension = dotIndex > 0 ? name.substring(dotIndex) : '';
+
+    let counter = 2;
+    while (usedNames.has(`${base}_${counter}${extension}`)) {
+        counter++;
+    }
+
+    const unique = `${base}_${counter}${extension}`;
+    usedNames.add(unique);
+    return unique;
+}
+
+/**
+ * Build a ZIP archive from a list of { filename, data } entries
+ * @param {Array<{filename: string, data: Uint8Array}>} entries
+ * @param {Function} onProgress - called with (percentage, message) after each entry
+ * @param {AbortSignal} [signal] - checked before each entry
+ * @returns {Promise<Blob>}
+ * @throws {Error} when the archive would need ZIP64: more than MAX_ZIP_ENTRIES
+ *   entries or more than MAX_ZIP_SIZE bytes
+ */
+export async function createZipBlob(entries, onProgress = () => {}, signal = null) {
+    const encoder = new TextEncoder();
+    const { time, day } = toDosDateTime(new Date());
+    const usedNames = new Set();
+
+    if (entries.length > MAX_ZIP_ENTRIES) {
+        throw new Error(`A ZIP archive can hold at most ${MAX_ZIP_ENTRIES.toLocaleString('en-US')} files, and there are ${entries.length.toLocaleString('en-US')}. Please download the files separately.`);
+    }
+
+    // Size everything up first so an oversized archive fails before any work
+    const names = entries.map(entry => encoder.encode(uniqueName(entry.filename, usedNames)));
+    const archiveSize = entries.reduce((sum, entry, i) => {
+        const dataSize = entry.data.byteLength !== undefined ? entry.data.byteLength : entry.data.length;
+        return sum + 30 + 46 + names[i].length * 2 + dataSize;
+    }, 22);
+    if (archiveSize > MAX_ZIP_SIZE) {
+        throw new Error('The files add up to more than 4 GB, which is too large for a ZIP archive. Please download them separately.');
+    }
+
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (let i = 0; i < entries.length; i++) {
+        throwIfCancelled(signal);
+
+        const entry = entries[i];
+        const data = entry.data instanceof Uint8Array ? entry.data : new Uint8Array(entry.data);
+        const nameBytes = names[i];
+        const crc = crc32(data);
+
+        // Local file header
+        const localHeader = new Uint8Array(30 + nameBytes.length);
+        const local = new DataView(localHeader.buffer);
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true); // version needed to extract
+        local.setUint16(6, 0x0800, true); // UTF-8 file names
+        local.setUint16(8, 0, true); // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        localHeader.set(nameBytes, 30);
+
+        // Central directory record
+        const centralHeader = new Uint8Array(46 + nameBytes.length);
+        const central = new DataView(centralHeader.buffer);
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true); // version made by
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, day, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+        centralHeader.set(nameBytes, 46);
+
+        parts.push(localHeader, data);
+        centralDirectory.push(centralHeader);
+        offset += localHeader.length + data.length;
+
+        onProgress(((i + 1) / entries.length) * 100, `Adding ${entry.filename} (${i + 1} of ${entries.length})...`);
+
+        // Yield so the progress bar can repaint between entries
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    const centralSize = centralDirectory.reduce((sum, header) => sum + header.length, 0);
+
+    // End of central directory record
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054B50, true);
+    endView.setUint16(8, entries.length, true);
+    endView.setUint16(10, entries.length, true);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+/**
+ * Archive and download a tool's results, with the progress bar showing in
+ * place of the download list until the archive is saved
+ * @param {UIController} uiController
+ * @param {ErrorHandler} errorHandler
+ * @returns {{download: Function, cancel: Function}} download(entries,
+ *   filename, button) builds and saves the archive, keeping the button
+ *   disabled meanwhile; cancel() stops an archive being built
+ */
+export function createZipDownloader(uiController, errorHandler) {
+    let abortController = null;
+
+    async function download(entries, filename, button = null) {
+        if (abortController) return;
+        abortController = new AbortController();
+        if (button) button.disabled = true;
+
+        try {
+            uiController.showProgress(0, 'Creating ZIP archive...');
+
+            const zipBlob = await createZipBlob(entries, (percentage, message) => {
+                uiController.updateProgress(percentage, message);
+            }, abortController.signal);
+
+            const url = URL.createObjectURL(zipBlob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.style.display = 'none';
+
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            // Clean up
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            uiController.showNotification(`ZIP archive with ${entries.length} files created`, 'success');
+
+        } catch (error) {
+            errorHandler.handleProcessingError(error);
+        } finally {
+            abortController = null;
+            if (button) button.disabled = false;
+
+            // Bring the download list back once the archive is done
+            uiController.hideSection('progress');
+            uiController.sections.result.style.display = 'block';
+        }
+    }
+
+    function cancel() {
+        if (abortController) {
+            abortController.abort();
+        }
+    }
+
+    return { download, cancel };
+}
@@ -0,0 +1,628 @@
+/**
+ * PDF Worker - Runs pdf-lib merges, splits, rotations, compression,
+ * watermarks, page numbering, metadata edits and image conversion off the
+ * main thread
+ *
+ * Messages in:  { id, type: 'pageCount' | 'merge' | 'split' | 'splitBySize' | 'rotate' | 'compress' |
+ *                     'watermark' | 'number' | 'metadata' | 'editMetadata' | 'imagesToPDF', payload }
+ *               { id, type: 'password', password } or { id, type: 'password', error }
+ *               { id, type: 'cancel' }
+ * Messages out: { id, type: 'progress', percentage, message }
+ *               { id, type: 'password', sourceIndex, isRetry }
+ *               { id, type: 'result', result } or { id, type: 'error', error }
+ *
+ * Sources arrive as { buffer, password } (images as { buffer, name, type })
+ * with the buffer transferred, and result bytes are transferred back the
+ * same way.
+ */
+import { loadPDFLib, createPDFDocument } from '../utils/pdfLibLoader.js';
+import { loadPDFWithPassword } from '../utils/pdfPasswords.js';
+import { wasDecrypted } from '../utils/pdfDecryptor.js';
+import { parsePageRanges } from '../utils/pageRanges.js';
+import { compressPDF } from '../utils/pdfCompressor.js';
+import { embedUnicodeFont } from '../utils/fontLoader.js';
+import { getStampPlacements, getStampOrigin, toPageSpace } from '../utils/watermarkLayout.js';
+import { getWatermarkSegments, measureWatermarkText } from '../utils/watermarkText.js';
+import { formatBatesNumber, fillNumberTemplate, getNumberedPages, getLabelPlacement } from '../utils/pageNumbering.js';
+import { readMetadata, writeMetadata } from '../utils/pdfMetadata.js';
+import { addImagePage } from '../utils/imageToPDF.js';
+import { createCancelledError, isCancelledError } from '../utils/cancellation.js';
+
+// Task id -> { resolve, reject } for password requests waiting on the page
+const pendingPasswords = new Map();
+
+// Ids of running tasks the page has cancelled
+const cancelledTasks = new Set();
+
+// Tasks run without awaiting anything slow, so cancel messages would wait for
+// the whole task. Checkpoints yield at least this often (ms) to let them in.
+const YIELD_INTERVAL = 50;
+let lastYield = Date.now();
+
+self.onmessage = (event) => {
+    const { id, type } = event.data;
+
+    if (type === 'password') {
+        answerPasswordRequest(id, event.data);
+        return;
+    }
+
+    if (type === 'cancel') {
+        cancelTask(id);
+        return;
+    }
+
+    runTask(id, type, event.data.payload);
+};
+
+async function runTask(id, type, payload) {
+    const task = {
+        updateProgress(percentage, message) {
+            self.postMessage({ id, type: 'progress', percentage: Math.round(percentage), message });
+        },
+        // Called between files and pages so a cancelled task stops at the next one
+        async checkCancelled() {
+            if (Date.now() - lastYield >= YIELD_INTERVAL) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+                lastYield = Date.now();
+            }
+            if (cancelledTasks.has(id)) {
+                throw createCancelledError();
+            }
+        },
+        // options are passed on to loadPDFWithPassword
+        loadSource(source, sourceIndex = 0, options = {}) {
+            return loadPDFWithPassword(
+                new Uint8Array(source.buffer),
+                source.password,
+                (isRetry) => requestPassword(id, sourceIndex, isRetry),
+                options
+            );
+        }
+    };
+
+    try {
+        const handler = handlers[type];
+        if (!handler) {
+            throw new Error(`Unknown PDF task: ${type}`);
+        }
+
+        const { result, transfer = [] } = await handler(payload, task);
+        self.postMessage({ id, type: 'result', result }, transfer);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: { message: error.message, code: error.code } });
+    } finally {
+        pendingPasswords.delete(id);
+        cancelledTasks.delete(id);
+    }
+}
+
+function cancelTask(id) {
+    cancelledTasks.add(id);
+
+    // A task waiting on a password prompt would otherwise wait forever
+    const pending = pendingPasswords.get(id);
+    if (pending) {
+        pendingPasswords.delete(id);
+        pending.reject(createCancelledError());
+    }
+}
+
+// Only the page can show the password prompt, so ask it and wait
+function requestPassword(id, sourceIndex, isRetry) {
+    return new Promise((resolve, reject) => {
+        pendingPasswords.set(id, { resolve, reject });
+        self.postMessage({ id, type: 'password', sourceIndex, isRetry });
+    });
+}
+
+function answerPasswordRequest(id, { password, error }) {
+    const pending = pendingPasswords.get(id);
+    if (!pending) return;
+
+    pendingPasswords.delete(id);
+
+    if (error) {
+        const passwordError = new Error(error.message);
+        passwordError.code = error.code;
+        pending.reject(passwordError);
+    } else {
+        pending.resolve(password);
+    }
+}
+
+const handlers = {
+    async pageCount({ source }, task) {
+        const pdf = await task.loadSource(source);
+        return { result: pdf.getPageCount() };
+    },
+
+    async metadata({ source }, task) {
+        const pdf = await task.loadSource(source, 0, { updateMetadata: false });
+        return { result: { ...readMetadata(pdf), pageCount: pdf.getPageCount() } };
+    },
+
+    // metadata: fields to set, see writeMetadata
+    async editMetadata({ source, metadata }, task) {
+        task.updateProgress(0, 'Loading PDF...');
+
+        const pdf = await task.loadSource(source, 0, { updateMetadata: false });
+
+        await task.checkCancelled();
+        task.updateProgress(50, 'Updating metadata...');
+
+        await writeMetadata(pdf, metadata);
+
+        task.updateProgress(80, 'Saving PDF...');
+
+        const pdfBytes = await pdf.save();
+
+        task.updateProgress(100, 'Metadata saved!');
+
+        return { result: pdfBytes, transfer: [pdfBytes.buffer] };
+    },
+
+    // sources: [{ buffer, password, name, pages }] where pages is a list of
+    // 1-based page numbers, or null for every page. metadata is 'first' to
+    // copy the first file's, an object of fields (see writeMetadata), or null
+    // for pdf-lib's defaults.
+    async merge({ sources, metadata = null }, task) {
+        task.updateProgress(0, 'Initializing PDF merger...');
+
+        const mergedPdf = await createPDFDocument();
+        let firstMetadata = null;
+
+        for (let i = 0; i < sources.length; i++) {
+            const source = sources[i];
+            const progress = ((i + 1) / sources.length) * 90; // Reserve 10% for final processing
+
+            await task.checkCancelled();
+            task.updateProgress(progress, `Processing ${source.name}...`);
+
+            try {
+                // Sources are only copied from, so their metadata can stay as it is
+                const pdf = await task.loadSource(source, i, { updateMetadata: false });
+                if (i === 0) {
+                    firstMetadata = readMetadata(pdf);
+                }
+
+                let pageIndices;
+                if (source.pages) {
+                    if (source.pages.length === 0) {
+                        console.warn(`No pages selected for ${source.name}, skipping`);
+                        continue;
+                    }
+                    pageIndices = source.pages.map(pageNum => pageNum - 1);
+                } else {
+                    pageIndices = pdf.getPageIndices();
+                }
+
+                const copiedPages = await mergedPdf.copyPages(pdf, pageIndices);
+                copiedPages.forEach(page => mergedPdf.addPage(page));
+
+            } catch (error) {
+                if (isCancelledError(error)) {
+                    throw error;
+                }
+                throw new Error(`Failed to process ${source.name}: ${error.message}`);
+            }
+        }
+
+        await task.checkCancelled();
+        task.updateProgress(95, 'Finalizing merged PDF...');
+
+        if (metadata === 'first') {
+            await writeMetadata(mergedPdf, { ...firstMetadata, modificationDate: new Date() });
+        } else if (metadata) {
+            await writeMetadata(mergedPdf, metadata);
+        }
+
+        const pdfBytes = await mergedPdf.save();
+
+        task.updateProgress(100, 'PDF merge completed!');
+
+        return { result: pdfBytes, transfer: [pdfBytes.buffer] };
+    },
+
+    // ranges: a range string such as "1-5, 8", a list of { start, end },
+    // or null to split every page into its own file
+    async split({ source, ranges }, task) {
+        task.updateProgress(0, 'Loading PDF...');
+
+        const sourcePdf = await task.loadSource(source);
+        const totalPages = sourcePdf.getPageCount();
+
+        let splitRanges;
+        if (ranges === null) {
+            splitRanges = Array.from({ length: totalPages }, (_, i) => ({ start: i + 1, end: i + 1 }));
+        } else if (typeof ranges === 'string') {
+            splitRanges = parsePageRanges(ranges, totalPages);
+        } else {
+            ranges.forEach(({ start, end }) => {
+                if (start < 1 || end > totalPages || start > end) {
+                    const label = start === end ? `Page ${start}` : `Range ${start}-${end}`;
+                    throw new Error(`${label} is outside document bounds (1-${totalPages})`);
+                }
+            });
+            splitRanges = ranges;
+        }
+
+        task.updateProgress(10, 'Preparing to split...');
+
+        const results = [];
+
+        for (let i = 0; i < splitRanges.length; i++) {
+            const range = splitRanges[i];
+            const progress = 10 + ((i + 1) / splitRanges.length) * 80;
+
+            await task.checkCancelled();
+            task.updateProgress(progress, `Creating split ${i + 1} of ${splitRanges.length}...`);
+
+            const newPdf = await createPDFDocument();
+
+            const pageIndices = [];
+            for (let pageNum = range.start; pageNum <= range.end; pageNum++) {
+                pageIndices.push(pageNum - 1); // PDF-lib uses 0-based indexing
+            }
+
+            const copiedPages = await newPdf.copyPages(sourcePdf, pageIndices);
+            copiedPages.forEach(page => newPdf.addPage(page));
+
+            const pdfBytes = await newPdf.save();
+
+            results.push({ start: range.start, end: range.end, data: pdfBytes });
+        }
+
+        task.updateProgress(100, 'Split completed!');
+
+        return { result: results, transfer: results.map(result => result.data.buffer) };
+    },
+
+    // Fills each part with consecutive pages while its saved size stays within
+    // maxBytes. A page that is over the limit on its own becomes a part by itself.
+    async splitBySize({ source, maxBytes }, task) {
+        task.updateProgress(0, 'Loading PDF...');
+
+        const sourcePdf = await task.loadSource(source);
+        const totalPages = sourcePdf.getPageCount();
+
+        // Saved size depends on shared fonts and images, so measure real saves
+        const savePages = async (start, end) => {
+            await task.checkCancelled();
+
+            const newPdf = await createPDFDocument();
+            const pageIndices = [];
+            for (let pageNum = start; pageNum <= end; pageNum++) {
+                pageIndices.push(pageNum - 1);
+            }
+
+            const copiedPages = await newPdf.copyPages(sourcePdf, pageIndices);
+            copiedPages.forEach(page => newPdf.addPage(page));
+            return newPdf.save();
+        };
+
+        task.updateProgress(10, 'Measuring page sizes...');
+
+        const results = [];
+        let start = 1;
+        let lastPartLength = 1;
+
+        while (start <= totalPages) {
+            task.updateProgress(10 + ((start - 1) / totalPages) * 80, `Creating part ${results.length + 1}...`);
+
+            let bestBytes = await savePages(start, start);
+
+            if (bestBytes.length > maxBytes) {
+                results.push({ start, end: start, data: bestBytes, oversized: true });
+                start++;
+                continue;
+            }
+
+            // lastFit always fits; firstOver is the first end page known not to
+            // fit. Gallop from the previous part's length, then binary search.
+            let lastFit = start;
+            let firstOver = null;
+            let step = Math.max(1, lastPartLength - 1);
+
+            while (firstOver === null && lastFit < totalPages) {
+                const end = Math.min(lastFit + step, totalPages);
+                const bytes = await savePages(start, end);
+
+                if (bytes.length <= maxBytes) {
+                    lastFit = end;
+                    bestBytes = bytes;
+                    step *= 2;
+                } else {
+                    firstOver = end;
+                }
+            }
+
+            while (firstOver !== null && firstOver - lastFit > 1) {
+                const end = Math.floor((lastFit + firstOver) / 2);
+                const bytes = await savePages(start, end);
+
+                if (bytes.length <= maxBytes) {
+                    lastFit = end;
+                    bestBytes = bytes;
+                } else {
+                    firstOver = end;
+                }
+            }
+
+            results.push({ start, end: lastFit, data: bestBytes, oversized: false });
+            lastPartLength = lastFit - start + 1;
+            start = lastFit + 1;
+        }
+
+        task.updateProgress(100, 'Split completed!');
+
+        return { result: results, transfer: results.map(result => result.data.buffer) };
+    },
+
+    // rotations: [[pageNumber, clockwiseDegrees], ...]
+    async rotate({ source, rotations }, task) {
+        task.updateProgress(0, 'Loading PDF...');
+
+        const { degrees } = await loadPDFLib();
+        const pdf = await task.loadSource(source);
+        const totalPages = pdf.getPageCount();
+        const pages = pdf.getPages();
+
+        task.updateProgress(10, 'Rotating pages...');
+
+        for (let i = 0; i < rotations.length; i++) {
+            const [pageNum, angle] = rotations[i];
+
+            await task.checkCancelled();
+
+            if (pageNum < 1 || pageNum > totalPages) {
+                throw new Error(`Page ${pageNum} is outside document bounds (1-${totalPages})`);
+            }
+
+            // Add to the page's existing rotation so already-rotated pages turn correctly
+            const page = pages[pageNum - 1];
+            const newAngle = (((page.getRotation().angle + angle) % 360) + 360) % 360;
+            page.setRotation(degrees(newAngle));
+
+            const progress = 10 + ((i + 1) / rotations.length) * 80;
+            task.updateProgress(progress, `Rotating page ${pageNum}...`);
+        }
+
+        await task.checkCancelled();
+        task.updateProgress(95, 'Saving rotated PDF...');
+
+        const pdfBytes = await pdf.save();
+
+        task.updateProgress(100, 'Rotation completed!');
+
+        return { result: pdfBytes, transfer: [pdfBytes.buffer] };
+    },
+
+    // preset: 'lossless', 'balanced' or 'aggressive'. A file that doesn't get
+    // any smaller comes back unchanged. Document properties are left as they were.
+    // A compressed copy of an encrypted file is saved without its password,
+    // which encryptionRemoved reports.
+    async compress({ source, preset }, task) {
+        task.updateProgress(0, 'Loading PDF...');
+
+        const originalBytes = new Uint8Array(source.buffer);
+        const pdf = await task.loadSource(source, 0, { updateMetadata: false });
+
+        const stats = await compressPDF(pdf, preset, task);
+
+        await task.checkCancelled();
+        task.updateProgress(90, 'Saving compressed PDF...');
+
+        const compressedBytes = await pdf.save({ useObjectStreams: true, updateFieldAppearances: false });
+        const unchanged = compressedBytes.length >= originalBytes.length;
+        const pdfBytes = unchanged ? originalBytes : compressedBytes;
+        const encryptionRemoved = !unchanged && wasDecrypted(pdf);
+
+        task.updateProgress(100, 'Compression completed!');
+
+        return {
+            result: { data: pdfBytes, originalSize: originalBytes.length, unchanged, encryptionRemoved, ...stats },
+            transfer: [pdfBytes.buffer]
+        };
+    },
+
+    // watermark: { type: 'text' | 'image', text, fontSize, color: { r, g, b },
+    // opacity, rotation, position, imageScale, image: { bytes, contentType } }
+    // with colour channels and opacity from 0 to 1 and imageScale as a
+    // percentage of the page width. pages is a range string, or null for all.
+    async watermark({ source, watermark, pages }, task) {
+        task.updateProgress(0, 'Loading PDF...');
+
+        const { rgb, degrees } = await loadPDFLib();
+        const pdf = await task.loadSource(source);
+        const allPages = pdf.getPages();
+
+        const pageNumbers = [];
+        if (pages) {
+            parsePageRanges(pages, allPages.length).forEach(({ start, end }) => {
+                for (let pageNum = start; pageNum <= end; pageNum++) {
+                    if (!pageNumbers.includes(pageNum)) pageNumbers.push(pageNum);
+                }
+            });
+        } else {
+            allPages.forEach((page, index) => pageNumbers.push(index + 1));
+        }
+
+        task.updateProgress(10, 'Preparing watermark...');
+
+        let text = null;
+        let image = null;
+        if (watermark.type === 'image') {
+            const bytes = new Uint8Array(watermark.image.bytes);
+            image = watermark.image.contentType === 'image/png' ? await pdf.embedPng(bytes) : await pdf.embedJpg(bytes);
+        } else {
+            const segments = await getWatermarkSegments(pdf, watermark.text);
+            text = { segments, ...measureWatermarkText(segments, watermark.fontSize) };
+        }
+
+        const { r, g, b } = watermark.color;
+
+        for (let i = 0; i < pageNumbers.length; i++) {
+            await task.checkCancelled();
+            task.updateProgress(10 + (i / pageNumbers.length) * 80, `Stamping page ${pageNumbers[i]}...`);
+
+            const page = allPages[pageNumbers[i] - 1];
+            const box = page.getCropBox();
+            const pageRotation = page.getRotation().angle;
+            const sideways = Math.abs(pageRotation) % 180 === 90;
+            const pageWidth = sideways ? box.height : box.width;
+            const pageHeight = sideways ? box.width : box.height;
+
+            const stampWidth = image ? pageWidth * watermark.imageScale / 100 : text.width;
+            const stampHeight = image ? stampWidth * image.height / image.width : text.height;
+
+            getStampPlacements(pageWidth, pageHeight, stampWidth, stampHeight, watermark).forEach(placement => {
+                const { x, y, angle } = toPageSpace(placement, box, pageRotation);
+                const origin = getStampOrigin({ x, y }, stampWidth, stampHeight, angle);
+                const options = { x: origin.x, y: origin.y, opacity: watermark.opacity, rotate: degrees(angle) };
+
+                if (image) {
+                    page.drawImage(image, { ...options, width: stampWidth, height: stampHeight });
+                } else {
+                    // Each font's piece starts where the last ended, along the rotated baseline
+                    const radians = angle * Math.PI / 180;
+                    let offset = 0;
+                    text.segments.forEach((segment, index) => {
+                        page.drawText(segment.text, {
+                            ...options,
+                            x: origin.x + offset * Math.cos(radians),
+                            y: origin.y + offset * Math.sin(radians),
+                            font: segment.font,
+                            size: watermark.fontSize,
+                            color: rgb(r, g, b)
+                        });
+                        offset += text.widths[index];
+                    });
+                }
+            });
+        }
+
+        await task.checkCancelled();
+        task.updateProgress(95, 'Saving watermarked PDF...');
+
+        const pdfBytes = await pdf.save();
+
+        task.updateProgress(100, 'Watermark added!');
+
+        return { result: pdfBytes, transfer: [pdfBytes.buffer] };
+    },
+
+    // number: { mode: 'page' | 'bates', template, font, fontSize, position,
+    // margin, skip, bates: { prefix, digits, suffix } } with the margin in
+    // points. startNumber is the first page's number, so Bates numbers can
+    // carry on from the previous file. {total} is the number of pages numbered
+    // and {last} the last page's number.
+    async number({ source, numbering, startNumber, filename, date }, task) {
+        task.updateProgress(0, 'Loading PDF...');
+
+        const { degrees, StandardFonts } = await loadPDFLib();
+        const pdf = await task.loadSource(source);
+        const allPages = pdf.getPages();
+        const pageNumbers = getNumberedPages(allPages.length, numbering.skip);
+        const lastNumber = startNumber + pageNumbers.length - 1;
+
+        const standardFont = await pdf.embedFont(numbering.font || StandardFonts.Helvetica);
+        let unicodeFont = null;
+
+        const labels = [];
+        for (let i = 0; i < pageNumbers.length; i++) {
+            await task.checkCancelled();
+            task.updateProgress(10 + (i / pageNumbers.length) * 80, `Numbering page ${pageNumbers[i]}...`);
+
+            const number = startNumber + i;
+            const bates = formatBatesNumber(number, numbering.bates);
+            const text = fillNumberTemplate(numbering.template, {
+                page: number,
+                total: pageNumbers.length,
+                last: lastNumber,
+                bates,
+                filename,
+                date
+            });
+            labels.push(numbering.mode === 'bates' ? bates : text);
+
+            // The standard fonts only cover Western European text, so file names
+            // in other scripts need a Unicode font
+            let font = standardFont;
+            try {
+                font.encodeText(text);
+            } catch (error) {
+                if (!unicodeFont) {
+                    const bold = /Bold/.test(numbering.font);
+                    unicodeFont = await embedUnicodeFont(pdf, 'main', bold ? 'bold' : 'regular');
+                }
+                font = unicodeFont;
+            }
+
+            const page = allPages[pageNumbers[i] - 1];
+            const box = page.getCropBox();
+            const pageRotation = page.getRotation().angle;
+            const sideways = Math.abs(pageRotation) % 180 === 90;
+            const pageWidth = sideways ? box.height : box.width;
+            const pageHeight = sideways ? box.width : box.height;
+
+            const labelWidth = font.widthOfTextAtSize(text, numbering.fontSize);
+            const labelHeight = font.heightAtSize(numbering.fontSize, { descender: false });
+            const placement = getLabelPlacement(pageWidth, pageHeight, labelWidth, labelHeight,
+                numbering.position, numbering.margin);
+
+            const { x, y, angle } = toPageSpace(placement, box, pageRotation);
+            const origin = getStampOrigin({ x, y }, labelWidth, labelHeight, angle);
+            page.drawText(text, { x: origin.x, y: origin.y, font, size: numbering.fontSize, rotate: degrees(angle) });
+        }
+
+        await task.checkCancelled();
+        task.updateProgress(95, 'Saving numbered PDF...');
+
+        const pdfBytes = await pdf.save();
+
+        task.updateProgress(100, 'Pages numbered!');
+
+        return {
+            result: {
+                data: pdfBytes,
+                numberedPages: pageNumbers.length,
+                firstNumber: startNumber,
+                lastNumber,
+                firstLabel: labels[0] || null,
+                lastLabel: labels[labels.length - 1] || null
+            },
+            transfer: [pdfBytes.buffer]
+        };
+    },
+
+    // sources are images, one page each, in order. options: see addImagePage.
+    async imagesToPDF({ sources, options }, task) {
+        task.updateProgress(0, 'Creating PDF...');
+
+        const pdf = await createPDFDocument();
+
+        for (let i = 0; i < sources.length; i++) {
+            await task.checkCancelled();
+            task.updateProgress((i / sources.length) * 90, `Adding ${sources[i].name}...`);
+
+            try {
+                await addImagePage(pdf, sources[i], options);
+            } catch (error) {
+                throw new Error(`${sources[i].name}: ${error.message || error}`);
+            }
+        }
+
+        await task.checkCancelled();
+        task.updateProgress(95, 'Saving PDF...');
+
+        const pdfBytes = await pdf.save();
+
+        task.updateProgress(100, 'Images converted!');
+
+        return {
+            result: { data: pdfBytes, pageCount: sources.length },
+            transfer: [pdfBytes.buffer]
+        };
+    }
+};
@@ -0,0 +1,14 @@
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { vi } from 'vitest';
+
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+
+// The font loader fetches the bundled fonts from the URLs Vite gives them,
+// which are paths from the project root; read those from disk instead
+export function serveBundledFonts() {
+    vi.stubGlobal('fetch', async (url) => {
+        const bytes = await readFile(ROOT + String(url).replace(/^\//, ''));
+        return new Response(bytes);
+    });
+}
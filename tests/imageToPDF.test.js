@@ -0,0 +1,164 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { PDFDocument } from 'pdf-lib';
+import {
+    readJpegOrientation,
+    getOrientationMatrix,
+    getImagePageLayout,
+    addImagePage,
+    IMAGE_PAGE_SIZES
+} from '../src/utils/imageToPDF.js';
+
+// Just the markers pdf-lib reads: an optional EXIF block and the frame header
+function jpeg(width, height, orientation = null) {
+    const bytes = [0xFF, 0xD8];
+    if (orientation !== null) {
+        bytes.push(
+            0xFF, 0xE1, 0x00, 0x22,
+            0x45, 0x78, 0x69, 0x66, 0x00, 0x00, // "Exif"
+            0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08, // big-endian TIFF header
+            0x00, 0x01, // one entry
+            0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, orientation, 0x00, 0x00,
+            0x00, 0x00, 0x00, 0x00
+        );
+    }
+    bytes.push(
+        0xFF, 0xC0, 0x00, 0x11, 0x08,
+        height >> 8, height & 0xFF, width >> 8, width & 0xFF,
+        0x03, 0x01, 0x11, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01,
+        0xFF, 0xD9
+    );
+    return new Uint8Array(bytes);
+}
+
+const source = (bytes, name = 'photo.jpg', type = 'image/jpeg') => ({ buffer: bytes.buffer, name, type });
+
+const FIT_A4 = { layout: 'fit', pageSize: 'a4', orientation: 'auto', margin: 0 };
+
+describe('readJpegOrientation', () => {
+    it('reads each orientation', () => {
+        for (let orientation = 1; orientation <= 8; orientation++) {
+            expect(readJpegOrientation(jpeg(4, 3, orientation))).toBe(orientation);
+        }
+    });
+
+    it('gives 1 without EXIF or for an out of range value', () => {
+        expect(readJpegOrientation(jpeg(4, 3))).toBe(1);
+        expect(readJpegOrientation(jpeg(4, 3, 9))).toBe(1);
+    });
+
+    it('stops at a truncated segment', () => {
+        expect(readJpegOrientation(jpeg(4, 3, 6).slice(0, 20))).toBe(1);
+    });
+});
+
+describe('getOrientationMatrix', () => {
+    const W = 200;
+    const H = 100;
+    const box = { x: 0, y: 0, width: W, height: H };
+
+    // Where a point of the stored image, in PDF image space, lands on the page
+    const place = ([a, b, c, d, e, f], [u, v]) => [a * u + c * v + e, b * u + d * v + f];
+    const STORED_TOP_LEFT = [0, 1];
+    const STORED_TOP_RIGHT = [1, 1];
+
+    const TOP_LEFT = [0, H];
+    const TOP_RIGHT = [W, H];
+    const BOTTOM_LEFT = [0, 0];
+    const BOTTOM_RIGHT = [W, 0];
+
+    it.each([
+        [1, TOP_LEFT, TOP_RIGHT],
+        [2, TOP_RIGHT, TOP_LEFT],
+        [3, BOTTOM_RIGHT, BOTTOM_LEFT],
+        [4, BOTTOM_LEFT, BOTTOM_RIGHT],
+        [5, TOP_LEFT, BOTTOM_LEFT],
+        [6, TOP_RIGHT, BOTTOM_RIGHT],
+        [7, BOTTOM_RIGHT, TOP_RIGHT],
+        [8, BOTTOM_LEFT, TOP_LEFT]
+    ])('orientation %i puts the stored top corners where EXIF says', (orientation, topLeft, topRight) => {
+        const matrix = getOrientationMatrix(orientation, box);
+        expect(place(matrix, STORED_TOP_LEFT).map(Math.abs)).toEqual(topLeft);
+        expect(place(matrix, STORED_TOP_RIGHT).map(Math.abs)).toEqual(topRight);
+    });
+
+    it('moves the image to its box', () => {
+        const matrix = getOrientationMatrix(1, { x: 10, y: 20, width: W, height: H });
+        expect(place(matrix, [0, 0])).toEqual([10, 20]);
+        expect(place(matrix, [1, 1])).toEqual([10 + W, 20 + H]);
+    });
+});
+
+describe('getImagePageLayout', () => {
+    const [A4_WIDTH, A4_HEIGHT] = IMAGE_PAGE_SIZES.a4;
+
+    it('turns the page to follow a wide image and centres it', () => {
+        const layout = getImagePageLayout(2000, 1000, { ...FIT_A4, margin: 20 });
+        expect([layout.pageWidth, layout.pageHeight]).toEqual([A4_HEIGHT, A4_WIDTH]);
+        expect(layout.width).toBeCloseTo(A4_HEIGHT - 40);
+        expect(layout.x).toBeCloseTo(20);
+        expect(layout.y).toBeCloseTo((A4_WIDTH - layout.height) / 2);
+    });
+
+    it('keeps the chosen orientation', () => {
+        const layout = getImagePageLayout(2000, 1000, { ...FIT_A4, orientation: 'portrait' });
+        expect([layout.pageWidth, layout.pageHeight]).toEqual([A4_WIDTH, A4_HEIGHT]);
+        expect(layout.width).toBeCloseTo(A4_WIDTH);
+    });
+
+    it('sizes the page to the image at 96 pixels per inch', () => {
+        const layout = getImagePageLayout(960, 480, { layout: 'image', margin: 10 });
+        expect(layout).toEqual({ pageWidth: 740, pageHeight: 380, x: 10, y: 10, width: 720, height: 360 });
+    });
+
+    it('scales images down to the largest page viewers allow', () => {
+        const layout = getImagePageLayout(40000, 10000, { layout: 'image', margin: 0 });
+        expect(layout.pageWidth).toBe(14400);
+        expect(layout.pageHeight).toBe(3600);
+    });
+});
+
+describe('addImagePage', () => {
+    afterEach(() => vi.unstubAllGlobals());
+
+    it('turns the page for a sideways JPEG when EXIF rotation is on', async () => {
+        const pdfDoc = await PDFDocument.create();
+        const page = await addImagePage(pdfDoc, source(jpeg(400, 300, 6)), { ...FIT_A4, exifRotation: true });
+        expect(page.getWidth()).toBeLessThan(page.getHeight());
+    });
+
+    it('leaves the JPEG as stored when EXIF rotation is off', async () => {
+        const pdfDoc = await PDFDocument.create();
+        const page = await addImagePage(pdfDoc, source(jpeg(400, 300, 6)), { ...FIT_A4, exifRotation: false });
+        expect(page.getWidth()).toBeGreaterThan(page.getHeight());
+    });
+
+    // Formats pdf-lib can't embed go through a canvas, which applies EXIF itself
+    async function convertThroughCanvas(exifRotation) {
+        const bitmapOptions = [];
+        vi.stubGlobal('createImageBitmap', async (blob, options) => {
+            bitmapOptions.push(options);
+            return { width: 400, height: 300, close() {} };
+        });
+        vi.stubGlobal('OffscreenCanvas', class {
+            getContext() {
+                return { fillRect() {}, drawImage() {} };
+            }
+            async convertToBlob() {
+                return new Blob([jpeg(400, 300)]);
+            }
+        });
+
+        const pdfDoc = await PDFDocument.create();
+        await addImagePage(pdfDoc, source(new Uint8Array([0x52, 0x49, 0x46, 0x46]), 'photo.webp', 'image/webp'),
+            { ...FIT_A4, exifRotation });
+        return bitmapOptions[0];
+    }
+
+    it('asks the canvas to follow EXIF when rotation is on', async () => {
+        expect(await convertThroughCanvas(true)).toEqual({ imageOrientation: 'from-image' });
+    });
+
+    it('asks the canvas to ignore EXIF when rotation is off', async () => {
+        expect(await convertThroughCanvas(false)).toEqual({ imageOrientation: 'none' });
+    });
+});
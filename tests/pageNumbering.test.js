@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+    formatBatesNumber,
+    getBatesOverflow,
+    fillNumberTemplate,
+    getNumberedPages,
+    getLabelPlacement
+} from '../src/utils/pageNumbering.js';
+
+describe('formatBatesNumber', () => {
+    it('pads the number and adds the prefix and suffix', () => {
+        expect(formatBatesNumber(42, { prefix: 'ABC', digits: 6, suffix: '-CONF' })).toBe('ABC000042-CONF');
+    });
+
+    it('defaults to six digits with nothing around them', () => {
+        expect(formatBatesNumber(7)).toBe('000007');
+    });
+
+    it('starts from zero', () => {
+        expect(formatBatesNumber(0, { digits: 3 })).toBe('000');
+    });
+
+    it('keeps every digit of a number longer than the padding', () => {
+        expect(formatBatesNumber(12345, { digits: 3 })).toBe('12345');
+    });
+});
+
+describe('getBatesOverflow', () => {
+    it('is null while the numbers fit', () => {
+        expect(getBatesOverflow(999, 3)).toBeNull();
+        expect(getBatesOverflow(0, 1)).toBeNull();
+    });
+
+    it('gives the first number with too many digits', () => {
+        expect(getBatesOverflow(1000, 3)).toBe(1000);
+        expect(getBatesOverflow(123456, 4)).toBe(10000);
+    });
+});
+
+describe('fillNumberTemplate', () => {
+    const values = { page: 3, total: 10, last: 12, bates: 'ABC000003', filename: 'Contract', date: '1/2/2025' };
+
+    it('fills in every placeholder', () => {
+        expect(fillNumberTemplate('{filename} {bates} page {page} of {total}, last {last}, {date}', values))
+            .toBe('Contract ABC000003 page 3 of 10, last 12, 1/2/2025');
+    });
+
+    it('leaves other braces alone', () => {
+        expect(fillNumberTemplate('{page} {unknown} {}', values)).toBe('3 {unknown} {}');
+    });
+
+    it('fills a placeholder each time it appears', () => {
+        expect(fillNumberTemplate('{page}/{page}', values)).toBe('3/3');
+    });
+});
+
+describe('getNumberedPages', () => {
+    it('numbers every page by default', () => {
+        expect(getNumberedPages(4)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('skips the given ranges', () => {
+        expect(getNumberedPages(6, '1, 4-5')).toEqual([2, 3, 6]);
+    });
+
+    it('names the field in a bad range', () => {
+        expect(() => getNumberedPages(3, '9')).toThrow(/^Pages to skip: /);
+    });
+});
+
+describe('getLabelPlacement', () => {
+    const PAGE_WIDTH = 600;
+    const PAGE_HEIGHT = 800;
+    const place = (position) => getLabelPlacement(PAGE_WIDTH, PAGE_HEIGHT, 100, 10, position, 20);
+
+    it('puts the label\'s edge on the side margin', () => {
+        expect(place('bottom-left')).toEqual({ x: 70, y: 25, angle: 0 });
+        expect(place('bottom-right')).toEqual({ x: 530, y: 25, angle: 0 });
+    });
+
+    it('centres it across the page', () => {
+        expect(place('bottom-center').x).toBe(300);
+    });
+
+    it('puts its top on the top margin', () => {
+        expect(place('top-center').y).toBe(775);
+    });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { PDFDocument, PDFName, PDFRawStream, StandardFonts } from 'pdf-lib';
+import { compressPDF } from '../src/utils/pdfCompressor.js';
+
+const task = { updateProgress() {}, async checkCancelled() {} };
+
+// Noise, so deflating it gains nothing and it stays over the size images
+// must reach before they're re-encoded
+function noise(length) {
+    const bytes = new Uint8Array(length);
+    let seed = 12345;
+    for (let i = 0; i < length; i++) {
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        bytes[i] = seed & 0xFF;
+    }
+    return bytes;
+}
+
+// A 120 x 120 RGB Flate image drawn on the page
+function addImage(pdfDoc, page, name, extra = {}) {
+    const stream = pdfDoc.context.flateStream(noise(120 * 120 * 3), {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: 120,
+        Height: 120,
+        ColorSpace: 'DeviceRGB',
+        BitsPerComponent: 8,
+        ...extra
+    });
+    const ref = pdfDoc.context.register(stream);
+    page.node.newXObject(name, ref);
+    return ref;
+}
+
+// A canvas whose JPEGs are always a few bytes
+function stubCanvas() {
+    vi.stubGlobal('ImageData', class {
+        constructor(width, height) {
+            this.data = new Uint8ClampedArray(width * height * 4);
+        }
+    });
+    vi.stubGlobal('createImageBitmap', async () => ({ close() {} }));
+    vi.stubGlobal('OffscreenCanvas', class {
+        getContext() {
+            return { drawImage() {} };
+        }
+        async convertToBlob() {
+            return new Blob([new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9])]);
+        }
+    });
+}
+
+describe('compressPDF', () => {
+    afterEach(() => vi.unstubAllGlobals());
+
+    it('refuses an unknown preset', async () => {
+        const pdfDoc = await PDFDocument.create();
+        await expect(compressPDF(pdfDoc, 'extreme', task)).rejects.toThrow('Unknown compression preset: extreme');
+    });
+
+    it('merges duplicate fonts', async () => {
+        const pdfDoc = await PDFDocument.create();
+        const page = pdfDoc.addPage();
+        const first = await pdfDoc.embedFont(StandardFonts.Helvetica);
+        const second = await pdfDoc.embedFont(StandardFonts.Helvetica);
+        page.drawText('one', { font: first });
+        page.drawText('two', { font: second });
+        await pdfDoc.flush();
+
+        const stats = await compressPDF(pdfDoc, 'lossless', task);
+        expect(stats.duplicatesRemoved).toBe(1);
+        expect(pdfDoc.context.lookup(second.ref)).toBeUndefined();
+    });
+
+    it('drops objects nothing refers to', async () => {
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.addPage();
+        const orphan = pdfDoc.context.register(pdfDoc.context.obj({ Orphan: true }));
+
+        const stats = await compressPDF(pdfDoc, 'lossless', task);
+        expect(stats.unusedRemoved).toBeGreaterThanOrEqual(1);
+        expect(pdfDoc.context.lookup(orphan)).toBeUndefined();
+    });
+
+    it('deflates streams stored in less compact filters', async () => {
+        const pdfDoc = await PDFDocument.create();
+        const page = pdfDoc.addPage();
+        const text = 'BT /F1 12 Tf 72 712 Td (Hello) Tj ET\n'.repeat(50);
+        const hex = Array.from(new TextEncoder().encode(text), byte => byte.toString(16).padStart(2, '0')).join('') + '>';
+        const stream = pdfDoc.context.stream(hex, { Filter: 'ASCIIHexDecode' });
+        page.node.set(PDFName.of('Contents'), pdfDoc.context.register(stream));
+
+        const stats = await compressPDF(pdfDoc, 'lossless', task);
+        expect(stats.streamsCompressed).toBe(1);
+        expect(stream.dict.get(PDFName.of('Filter'))).toBe(PDFName.of('FlateDecode'));
+    });
+
+    it('leaves images alone in the lossless preset', async () => {
+        stubCanvas();
+        const pdfDoc = await PDFDocument.create();
+        const image = addImage(pdfDoc, pdfDoc.addPage(), 'Im1');
+
+        const stats = await compressPDF(pdfDoc, 'lossless', task);
+        expect(stats.imagesRecompressed).toBe(0);
+        expect(pdfDoc.context.lookup(image).dict.get(PDFName.of('Filter'))).toBe(PDFName.of('FlateDecode'));
+    });
+
+    it('re-encodes large images as JPEG in the lossy presets', async () => {
+        stubCanvas();
+        const pdfDoc = await PDFDocument.create();
+        const image = addImage(pdfDoc, pdfDoc.addPage(), 'Im1');
+
+        const stats = await compressPDF(pdfDoc, 'balanced', task);
+        expect(stats.imagesRecompressed).toBe(1);
+        expect(stats.imagesSkipped).toBe(false);
+        expect(pdfDoc.context.lookup(image).dict.get(PDFName.of('Filter'))).toBe(PDFName.of('DCTDecode'));
+    });
+
+    it('keeps Flate images with predictor parameters as they are', async () => {
+        stubCanvas();
+        const pdfDoc = await PDFDocument.create();
+        const image = addImage(pdfDoc, pdfDoc.addPage(), 'Im1', {
+            DecodeParms: { Predictor: 15, Colors: 3, Columns: 120 }
+        });
+
+        const stats = await compressPDF(pdfDoc, 'aggressive', task);
+        expect(stats.imagesRecompressed).toBe(0);
+
+        const kept = pdfDoc.context.lookup(image);
+        expect(kept).toBeInstanceOf(PDFRawStream);
+        expect(kept.dict.get(PDFName.of('Filter'))).toBe(PDFName.of('FlateDecode'));
+        expect(kept.dict.has(PDFName.of('DecodeParms'))).toBe(true);
+    });
+
+    it('reports images it can\'t re-encode without a canvas', async () => {
+        const pdfDoc = await PDFDocument.create();
+        addImage(pdfDoc, pdfDoc.addPage(), 'Im1');
+
+        const stats = await compressPDF(pdfDoc, 'balanced', task);
+        expect(stats.imagesSkipped).toBe(true);
+        expect(stats.imagesRecompressed).toBe(0);
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { PDFDocument, PDFArray, decodePDFRawStream } from 'pdf-lib';
+import { decryptPDF, isEncryptedPDFError, wasDecrypted, INCORRECT_PASSWORD } from '../src/utils/pdfDecryptor.js';
+import { loadPDFWithPassword } from '../src/utils/pdfPasswords.js';
+
+const fixture = (name) => new Uint8Array(readFileSync(new URL(`./fixtures/encrypted/${name}`, import.meta.url)));
+
+// The hex string pdf-lib drew each page's text with
+const drawnText = (text) => `<${Buffer.from(text, 'latin1').toString('hex').toUpperCase()}>`;
+
+function pageText(pdfDoc, index) {
+    const contents = pdfDoc.getPage(index).node.Contents();
+    const streams = contents instanceof PDFArray ? contents.asArray().map(ref => pdfDoc.context.lookup(ref)) : [contents];
+    return streams.map(stream => new TextDecoder('latin1').decode(decodePDFRawStream(stream).decode())).join('\n');
+}
+
+function expectDecrypted(pdfDoc) {
+    expect(pdfDoc.isEncrypted).toBe(false);
+    expect(pdfDoc.getPageCount()).toBe(2);
+    expect(pdfDoc.getTitle()).toBe('Encrypted fixture');
+    expect(pdfDoc.getAuthor()).toBe('Ünïcode Äuthor');
+    expect(pageText(pdfDoc, 0)).toContain(drawnText('Secret page 1'));
+    expect(pageText(pdfDoc, 1)).toContain(drawnText('Secret page 2'));
+}
+
+describe.each([
+    ['RC4 40-bit', 'rc4-40.pdf'],
+    ['RC4 128-bit', 'rc4-128.pdf'],
+    ['AES-128', 'aes-128.pdf'],
+    ['AES-256', 'aes-256.pdf']
+])('decryptPDF with %s', (name, file) => {
+    it('is refused by pdf-lib on its own', async () => {
+        const error = await PDFDocument.load(fixture(file)).catch(e => e);
+        expect(isEncryptedPDFError(error)).toBe(true);
+    });
+
+    it('opens with the user password', async () => {
+        expectDecrypted(await decryptPDF(fixture(file), 'user-pass'));
+    });
+
+    it('opens with the owner password', async () => {
+        expectDecrypted(await decryptPDF(fixture(file), 'owner-pass'));
+    });
+
+    it('rejects a wrong password', async () => {
+        const error = await decryptPDF(fixture(file), 'wrong-pass').catch(e => e);
+        expect(error.code).toBe(INCORRECT_PASSWORD);
+    });
+
+    it('rejects an empty password', async () => {
+        const error = await decryptPDF(fixture(file), '').catch(e => e);
+        expect(error.code).toBe(INCORRECT_PASSWORD);
+    });
+
+    it('marks the document as decrypted', async () => {
+        expect(wasDecrypted(await decryptPDF(fixture(file), 'user-pass'))).toBe(true);
+    });
+
+    it('saves an unencrypted copy', async () => {
+        const decrypted = await decryptPDF(fixture(file), 'user-pass');
+        expectDecrypted(await PDFDocument.load(await decrypted.save()));
+    });
+});
+
+describe('loadPDFWithPassword', () => {
+    it('opens files without a user password without asking', async () => {
+        const requestPassword = () => {
+            throw new Error('should not ask');
+        };
+        expectDecrypted(await loadPDFWithPassword(fixture('aes-256-no-user-password.pdf'), undefined, requestPassword));
+    });
+
+    it('asks again after a wrong password', async () => {
+        const requests = [];
+        const requestPassword = async (isRetry) => {
+            requests.push(isRetry);
+            return 'user-pass';
+        };
+
+        expectDecrypted(await loadPDFWithPassword(fixture('aes-128.pdf'), 'wrong-pass', requestPassword));
+        expect(requests).toEqual([true]);
+    });
+
+    it('leaves files that aren\'t encrypted unmarked', async () => {
+        const plain = await (await PDFDocument.create()).save();
+        expect(wasDecrypted(await loadPDFWithPassword(plain, undefined, null))).toBe(false);
+    });
+
+    it('keeps the document properties when asked to', async () => {
+        const pdfDoc = await loadPDFWithPassword(fixture('rc4-128.pdf'), 'user-pass', null, { updateMetadata: false });
+        expect(pdfDoc.getProducer()).toBe('Fixture producer');
+    });
+});
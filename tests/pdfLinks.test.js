@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName } from 'pdf-lib';
+import { addLinkAnnotations, isLinkableURI } from '../src/utils/pdfLinks.js';
+
+const RECT = { x: 10, y: 20, width: 100, height: 12 };
+
+async function linkURIs(uris) {
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage();
+    await addLinkAnnotations(pdfDoc, uris.map(uri => ({ page, rect: RECT, uri })));
+
+    const annots = page.node.Annots();
+    if (!annots) return [];
+    return annots.asArray().map(ref => {
+        const action = pdfDoc.context.lookup(ref).lookup(PDFName.of('A'));
+        return action.lookup(PDFName.of('URI')).asString();
+    });
+}
+
+describe('isLinkableURI', () => {
+    it('accepts web, mail, FTP and phone links', () => {
+        ['https://example.com', 'HTTP://example.com', 'mailto:a@b.c', 'ftp://x', 'tel:+123']
+            .forEach(uri => expect(isLinkableURI(uri)).toBe(true));
+    });
+
+    it('refuses scripts, relative paths and missing values', () => {
+        ['javascript:alert(1)', 'page.html', '', undefined]
+            .forEach(uri => expect(isLinkableURI(uri)).toBe(false));
+    });
+});
+
+describe('addLinkAnnotations', () => {
+    it('percent-encodes non-ASCII characters and escapes parentheses', async () => {
+        expect(await linkURIs(['https://example.com/café (1)']))
+            .toEqual(['https://example.com/caf%C3%A9 \\(1\\)']);
+    });
+
+    it('places the link over its rectangle', async () => {
+        const pdfDoc = await PDFDocument.create();
+        const page = pdfDoc.addPage();
+        await addLinkAnnotations(pdfDoc, [{ page, rect: RECT, uri: 'https://example.com' }]);
+
+        const annot = pdfDoc.context.lookup(page.node.Annots().get(0));
+        expect(annot.lookup(PDFName.of('Rect')).asRectangle()).toEqual(RECT);
+    });
+
+    it('skips a link whose address holds a lone surrogate', async () => {
+        expect(await linkURIs(['https://example.com/\uD800', 'https://example.com/ok']))
+            .toEqual(['https://example.com/ok']);
+    });
+});
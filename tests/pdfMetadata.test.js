@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, PDFName, PDFString } from 'pdf-lib';
+import { readMetadata, writeMetadata } from '../src/utils/pdfMetadata.js';
+
+const CREATED = new Date('2024-03-05T10:20:30Z');
+
+async function documentWithInfo(entries) {
+    const pdfDoc = await PDFDocument.create({ updateMetadata: false });
+    pdfDoc.addPage();
+    const info = pdfDoc.getInfoDict();
+    Object.entries(entries).forEach(([key, value]) => info.set(PDFName.of(key), value));
+    return pdfDoc;
+}
+
+describe('readMetadata', () => {
+    it('reads text fields and dates', async () => {
+        const pdfDoc = await documentWithInfo({
+            Title: PDFString.of('Annual report'),
+            CreationDate: PDFString.fromDate(CREATED)
+        });
+
+        const metadata = readMetadata(pdfDoc);
+        expect(metadata.title).toBe('Annual report');
+        expect(metadata.author).toBe('');
+        expect(metadata.creationDate.getTime()).toBe(CREATED.getTime());
+        expect(metadata.modificationDate).toBeNull();
+    });
+
+    it('treats a date it can\'t read as missing', async () => {
+        const pdfDoc = await documentWithInfo({
+            CreationDate: PDFString.of('D:not a date'),
+            ModDate: PDFString.of('D:2024-99')
+        });
+
+        const metadata = readMetadata(pdfDoc);
+        expect(metadata.creationDate).toBeNull();
+        expect(metadata.modificationDate).toBeNull();
+    });
+
+    it('treats an entry of the wrong type as missing', async () => {
+        const pdfDoc = await documentWithInfo({ Title: PDFName.of('NotAString') });
+        expect(readMetadata(pdfDoc).title).toBe('');
+    });
+});
+
+describe('writeMetadata', () => {
+    it('sets fields and removes emptied ones', async () => {
+        const pdfDoc = await documentWithInfo({ Author: PDFString.of('Someone') });
+        await writeMetadata(pdfDoc, { title: 'New title', author: '  ', creationDate: CREATED });
+
+        const metadata = readMetadata(pdfDoc);
+        expect(metadata.title).toBe('New title');
+        expect(metadata.author).toBe('');
+        expect(metadata.creationDate.getTime()).toBe(CREATED.getTime());
+    });
+
+    it('carries a document with a bad date over without one', async () => {
+        const source = await documentWithInfo({ CreationDate: PDFString.of('D:2024-99') });
+        const target = await PDFDocument.create({ updateMetadata: false });
+        await writeMetadata(target, readMetadata(source));
+
+        expect(target.getInfoDict().has(PDFName.of('CreationDate'))).toBe(false);
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { getStampPlacements, getStampOrigin, toPageSpace } from '../src/utils/watermarkLayout.js';
+
+describe('getStampPlacements', () => {
+    it('centres a stamp at the given angle', () => {
+        expect(getStampPlacements(600, 800, 100, 20, { position: 'center', rotation: 30 }))
+            .toEqual([{ x: 300, y: 400, angle: 30 }]);
+    });
+
+    it('runs the diagonal stamp corner to corner, whatever the rotation', () => {
+        const [placement] = getStampPlacements(400, 400, 100, 20, { position: 'diagonal', rotation: 10 });
+
+        expect(placement.x).toBe(200);
+        expect(placement.y).toBe(200);
+        expect(placement.angle).toBeCloseTo(45);
+    });
+
+    it('keeps corner stamps inside the page margin', () => {
+        const options = { rotation: 0 };
+
+        expect(getStampPlacements(600, 800, 100, 20, { ...options, position: 'top-left' }))
+            .toEqual([{ x: 86, y: 754, angle: 0 }]);
+        expect(getStampPlacements(600, 800, 100, 20, { ...options, position: 'bottom-right' }))
+            .toEqual([{ x: 514, y: 46, angle: 0 }]);
+    });
+
+    it('measures corner stamps by their rotated size', () => {
+        const [placement] = getStampPlacements(600, 800, 100, 20, { position: 'top-right', rotation: 90 });
+
+        expect(placement.x).toBeCloseTo(600 - 36 - 10);
+        expect(placement.y).toBeCloseTo(800 - 36 - 50);
+    });
+
+    it('tiles the page from the centre out', () => {
+        const placements = getStampPlacements(600, 800, 100, 20, { position: 'tiled', rotation: 0 });
+
+        expect(placements).toContainEqual({ x: 300, y: 400, angle: 0 });
+        expect(Math.min(...placements.map(p => p.x))).toBeLessThanOrEqual(0);
+        expect(Math.max(...placements.map(p => p.x))).toBeGreaterThanOrEqual(600);
+        expect(Math.min(...placements.map(p => p.y))).toBeLessThanOrEqual(0);
+        expect(Math.max(...placements.map(p => p.y))).toBeGreaterThanOrEqual(800);
+    });
+
+    it('spreads tiny tiles out to keep their number down', () => {
+        const placements = getStampPlacements(14400, 14400, 1, 1, { position: 'tiled', rotation: 0 });
+
+        expect(placements.length).toBeLessThanOrEqual(200);
+        expect(placements.length).toBeGreaterThan(0);
+    });
+
+    it('rejects unknown positions', () => {
+        expect(() => getStampPlacements(600, 800, 100, 20, { position: 'middle' }))
+            .toThrow('Unknown watermark position: middle');
+    });
+});
+
+describe('getStampOrigin', () => {
+    it('puts an unrotated stamp\'s corner half its size from the centre', () => {
+        expect(getStampOrigin({ x: 300, y: 400 }, 100, 20, 0)).toEqual({ x: 250, y: 390 });
+    });
+
+    it('turns the corner around the centre with the stamp', () => {
+        const origin = getStampOrigin({ x: 300, y: 400 }, 100, 20, 90);
+
+        expect(origin.x).toBeCloseTo(310);
+        expect(origin.y).toBeCloseTo(350);
+    });
+});
+
+describe('toPageSpace', () => {
+    const box = { x: 10, y: 20, width: 600, height: 800 };
+
+    it('only offsets by the crop box on an unrotated page', () => {
+        expect(toPageSpace({ x: 100, y: 50, angle: 15 }, box, 0)).toEqual({ x: 110, y: 70, angle: 15 });
+    });
+
+    it('maps displayed points on rotated pages', () => {
+        expect(toPageSpace({ x: 100, y: 50, angle: 0 }, box, 90)).toEqual({ x: 560, y: 120, angle: 90 });
+        expect(toPageSpace({ x: 100, y: 50, angle: 0 }, box, 180)).toEqual({ x: 510, y: 770, angle: 180 });
+        expect(toPageSpace({ x: 100, y: 50, angle: 0 }, box, 270)).toEqual({ x: 60, y: 720, angle: 270 });
+    });
+
+    it('treats negative rotations as their positive equivalent', () => {
+        expect(toPageSpace({ x: 100, y: 50, angle: 0 }, box, -90)).toEqual(toPageSpace({ x: 100, y: 50, angle: 0 }, box, 270));
+    });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { PDFDocument } from 'pdf-lib';
+import { getWatermarkSegments, measureWatermarkText } from '../src/utils/watermarkText.js';
+import { serveBundledFonts } from './helpers/bundledFonts.js';
+
+// Fonts are compared by identity: a failed toBe would deep-compare whole font files
+describe('getWatermarkSegments', () => {
+    beforeAll(serveBundledFonts);
+    afterAll(() => vi.unstubAllGlobals());
+
+    const fontNames = (segments) => segments.map(segment => [segment.fontName, segment.text]);
+
+    it('uses Helvetica Bold for Western European text', async () => {
+        const segments = await getWatermarkSegments(await PDFDocument.create(), 'Entwurf – für Sie');
+
+        expect(fontNames(segments)).toEqual([['helvetica', 'Entwurf – für Sie']]);
+    });
+
+    it('uses DejaVu Sans for other scripts', async () => {
+        const segments = await getWatermarkSegments(await PDFDocument.create(), 'ЧЕРНОВИК');
+
+        expect(fontNames(segments)).toEqual([['main', 'ЧЕРНОВИК']]);
+    });
+
+    it('falls back to Noto Sans SC for Chinese', async () => {
+        const segments = await getWatermarkSegments(await PDFDocument.create(), 'Копия 机密');
+
+        expect(fontNames(segments)).toEqual([['main', 'Копия '], ['fallback', '机密']]);
+    });
+
+    it('replaces characters no font has and drops stray marks', async () => {
+        const segments = await getWatermarkSegments(await PDFDocument.create(), 'Ж\u{E0100}\u{10FFFD}');
+
+        expect(fontNames(segments)).toEqual([['main', 'Ж\uFFFD']]);
+    });
+
+    it('embeds each font once per PDF', async () => {
+        const pdfDoc = await PDFDocument.create();
+        const first = await getWatermarkSegments(pdfDoc, 'Ж');
+        const second = await getWatermarkSegments(pdfDoc, 'Я');
+
+        expect(second[0].font === first[0].font).toBe(true);
+    });
+});
+
+describe('measureWatermarkText', () => {
+    beforeAll(serveBundledFonts);
+    afterAll(() => vi.unstubAllGlobals());
+
+    it('adds up the pieces and takes the tallest font', async () => {
+        const segments = await getWatermarkSegments(await PDFDocument.create(), 'Копия 机密');
+        const { width, height, widths } = measureWatermarkText(segments, 40);
+
+        expect(widths).toEqual(segments.map(segment => segment.font.widthOfTextAtSize(segment.text, 40)));
+        expect(width).toBeCloseTo(widths[0] + widths[1]);
+        expect(height).toBe(Math.max(...segments.map(segment => segment.font.heightAtSize(40, { descender: false }))));
+    });
+
+    it('matches Helvetica Bold for Latin text', async () => {
+        const [segment] = await getWatermarkSegments(await PDFDocument.create(), 'DRAFT');
+        const { width, height } = measureWatermarkText([segment], 48);
+
+        expect(width).toBe(segment.font.widthOfTextAtSize('DRAFT', 48));
+        expect(height).toBeCloseTo(48 * 0.718, 0);
+    });
+});
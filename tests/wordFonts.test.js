@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { PDFDocument, PDFDict, PDFName } from 'pdf-lib';
+import { WordToPDFConverter } from '../src/components/WordToPDFConverter.js';
+import { serveBundledFonts } from './helpers/bundledFonts.js';
+
+// Fonts are compared by identity: a failed toBe would deep-compare whole font files
+describe('embedFonts', () => {
+    beforeAll(serveBundledFonts);
+    afterAll(() => vi.unstubAllGlobals());
+
+    const converter = new WordToPDFConverter();
+
+    it('embeds only the variants the runs use', async () => {
+        const pdfDoc = await PDFDocument.create();
+        const fonts = await converter.embedFonts(pdfDoc, [{ text: 'plain' }, { text: 'strong', bold: true }]);
+
+        expect(fonts.candidates.bold[0].font === fonts.main).toBe(false);
+        expect(fonts.candidates.italic[0].font === fonts.main).toBe(true);
+    });
+
+    it('reuses the fonts already embedded in the same PDF', async () => {
+        const pdfDoc = await PDFDocument.create();
+        const first = await converter.embedFonts(pdfDoc, [{ text: 'one', bold: true }]);
+        const second = await converter.embedFonts(pdfDoc, [{ text: 'two', bold: true }, { text: 'three', italic: true }]);
+
+        expect(second.main === first.main).toBe(true);
+        expect(second.candidates.bold[0] === first.candidates.bold[0]).toBe(true);
+    });
+
+    it('embeds the fonts again for another PDF', async () => {
+        const first = await converter.embedFonts(await PDFDocument.create(), [{ text: 'one' }]);
+        const second = await converter.embedFonts(await PDFDocument.create(), [{ text: 'one' }]);
+
+        expect(second.main === first.main).toBe(false);
+    });
+
+    it('gives a combined PDF one copy of each font', async () => {
+        const pdfDoc = await PDFDocument.create();
+        const layout = converter.getPageLayout({ includeTitle: false });
+        const paragraph = (text) => [{ text, runs: [{ text }], style: 'normal', tag: 'p' }];
+
+        for (const name of ['first.docx', 'second.docx']) {
+            const { drawHeadersAndFooters } = await converter.addTextToPDF(pdfDoc, paragraph(name), name, undefined, layout);
+            drawHeadersAndFooters();
+        }
+
+        // Each embedded font is a Type 0 font dictionary
+        const saved = await PDFDocument.load(await pdfDoc.save());
+        const fonts = saved.context.enumerateIndirectObjects()
+            .filter(([, object]) => object instanceof PDFDict &&
+                object.get(PDFName.of('Subtype')) === PDFName.of('Type0'));
+        expect(fonts).toHaveLength(1);
+    });
+});
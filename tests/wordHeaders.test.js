@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { PDFDocument } from 'pdf-lib';
+import { WordToPDFConverter } from '../src/components/WordToPDFConverter.js';
+import { serveBundledFonts } from './helpers/bundledFonts.js';
+
+// Every character is 5 points wide
+const measure = (runs) => runs.reduce((width, run) => width + Array.from(run.text).length * 5, 0);
+
+const HEADER_LINE_HEIGHT = 12;
+
+describe('truncateText', () => {
+    const converter = new WordToPDFConverter();
+
+    it('leaves text that fits alone', () => {
+        expect(converter.truncateText('Report', 30, measure)).toBe('Report');
+    });
+
+    it('cuts text short with an ellipsis', () => {
+        expect(converter.truncateText('Quarterly report', 40, measure)).toBe('Quarter…');
+    });
+
+    it('drops the space before the ellipsis', () => {
+        expect(converter.truncateText('Annual report', 40, measure)).toBe('Annual…');
+    });
+
+    it('keeps surrogate pairs whole', () => {
+        expect(converter.truncateText('\u{1F600}\u{1F600}\u{1F600}', 10, measure)).toBe('\u{1F600}…');
+    });
+
+    it('gives nothing when not even the ellipsis fits', () => {
+        expect(converter.truncateText('Report', 4, measure)).toBe('');
+    });
+});
+
+describe('headers and footers', () => {
+    beforeAll(serveBundledFonts);
+    afterAll(() => vi.unstubAllGlobals());
+
+    const heading = { text: 'Introduction', runs: [{ text: 'Introduction' }], style: 'heading', tag: 'h1' };
+
+    async function firstHeadingTop(options, documentLayout) {
+        const converter = new WordToPDFConverter();
+        const pageLayout = converter.getPageLayout({ includeTitle: false, ...options });
+        const pdfDoc = await PDFDocument.create();
+        const { headings } = await converter.addTextToPDF(pdfDoc, [heading], 'test.docx', undefined, pageLayout, documentLayout);
+        return { top: headings[0].top, pageHeight: pageLayout.pageHeight };
+    }
+
+    it('starts the text at the margin when the header fits inside it', async () => {
+        const { top, pageHeight } = await firstHeadingTop({ margin: 50, header: '{filename}' });
+        expect(top).toBe(pageHeight - 50);
+    });
+
+    it('moves the text below a header taller than the margin', async () => {
+        const { top, pageHeight } = await firstHeadingTop(
+            { margin: 10, header: 'Page {page}' },
+            { header: ['Company', 'Department'] }
+        );
+        // Three lines, with half a line of space above and below
+        expect(top).toBe(pageHeight - 4 * HEADER_LINE_HEIGHT);
+    });
+
+    it('refuses headers and footers that leave no room for text', async () => {
+        const lines = Array.from({ length: 40 }, (_, i) => `Line ${i + 1}`);
+        await expect(firstHeadingTop({ pageSize: 'a4', margin: 10 }, { header: lines, footer: lines }))
+            .rejects.toThrow('Headers and footers leave too little room for the text');
+    });
+});
@@ -0,0 +1,52 @@
+// @vitest-environment happy-dom
+import { describe, it, expect } from 'vitest';
+import { WordToPDFConverter } from '../src/components/WordToPDFConverter.js';
+
+function element(html) {
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    return container.querySelector('td, li');
+}
+
+function paragraphText(html, splitBlocks) {
+    return new WordToPDFConverter()
+        .getParagraphRuns(element(html), {}, splitBlocks)
+        .map(runs => runs.map(run => run.text).join(''));
+}
+
+describe('getParagraphRuns', () => {
+    it('splits a table cell at paragraphs and line breaks', () => {
+        expect(paragraphText('<table><tr><td><p>one</p><p>two<br>three</p></td></tr></table>', true))
+            .toEqual(['one', 'two', 'three']);
+    });
+
+    it('keeps a list item\'s paragraphs in one, set apart by spaces', () => {
+        expect(paragraphText('<li><p>First</p><p>Second</p></li>', false))
+            .toEqual(['First Second']);
+    });
+
+    it('turns a line break in a list item into a space', () => {
+        expect(paragraphText('<li>Line one<br>Line two</li>', false))
+            .toEqual(['Line one Line two']);
+    });
+
+    it('doesn\'t double spaces that are already there', () => {
+        expect(paragraphText('<li>Line one <br>Line two</li>', false))
+            .toEqual(['Line one Line two']);
+    });
+
+    it('leaves a list item\'s sublists out', () => {
+        expect(paragraphText('<ul><li>Parent<ul><li>Child</li></ul></li></ul>', false))
+            .toEqual(['Parent']);
+    });
+
+    it('keeps formatting across the break', () => {
+        const [runs] = new WordToPDFConverter()
+            .getParagraphRuns(element('<li><strong>Bold</strong><br><em>italic</em></li>'), {}, false);
+        expect(runs).toEqual([
+            { bold: true, text: 'Bold' },
+            { text: ' ' },
+            { italic: true, text: 'italic' }
+        ]);
+    });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import { WordToPDFConverter } from '../src/components/WordToPDFConverter.js';
+
+// Every character is 5 points wide, whatever the font and size
+const getMeasure = () => (runs) => runs.reduce((width, run) => width + run.text.length * 5, 0);
+
+const FONT_SIZE = 10;
+const LINE_HEIGHT = 12;
+const CELL_PADDING = 4;
+
+const text = (value) => [[{ text: value }]];
+const cell = (value, spans = {}) => ({ paragraphs: text(value), colSpan: 1, rowSpan: 1, ...spans });
+const row = (cells, header = false) => ({ cells, header });
+
+function layout(table, maxWidth = 300) {
+    const converter = new WordToPDFConverter();
+    return converter.layoutTable({ columnWidths: [], ...table }, maxWidth, FONT_SIZE, LINE_HEIGHT, getMeasure);
+}
+
+describe('layoutTable', () => {
+    it('scales the document column widths to fit between the margins', () => {
+        const result = layout({
+            rows: [row([cell('a'), cell('b')])],
+            columnWidths: [400, 200]
+        }, 300);
+
+        const [first, second] = result.cells;
+        expect(first.width).toBe(200);
+        expect(second.x).toBe(200);
+        expect(second.width).toBe(100);
+    });
+
+    it('keeps document column widths that already fit', () => {
+        const result = layout({ rows: [row([cell('a'), cell('b')])], columnWidths: [100, 50] }, 300);
+        expect(result.cells.map(c => c.width)).toEqual([100, 50]);
+    });
+
+    it('shares the width out by how much text each column holds', () => {
+        const result = layout({ rows: [row([cell('aaaaaaaaaa'), cell('b')])] }, 300);
+        const [wide, narrow] = result.cells;
+
+        expect(wide.width + narrow.width).toBeCloseTo(300);
+        expect(wide.width).toBeGreaterThan(narrow.width * 4);
+    });
+
+    it('places cells after ones spanning rows and columns', () => {
+        const result = layout({
+            rows: [
+                row([cell('tall', { rowSpan: 2 }), cell('wide', { colSpan: 2 })]),
+                row([cell('x'), cell('y')])
+            ],
+            columnWidths: [100, 100, 100]
+        });
+
+        const positions = result.cells.map(c => [c.row, c.column]);
+        expect(positions).toEqual([[0, 0], [0, 1], [1, 1], [1, 2]]);
+        expect(result.cells[1].width).toBe(200);
+    });
+
+    it('wraps cell text and makes each row as tall as its tallest cell', () => {
+        // 30 points of text room: "one two three" wraps onto three lines
+        const result = layout({ rows: [row([cell('one two three'), cell('x')])], columnWidths: [38, 100] });
+
+        expect(result.cells[0].lines).toHaveLength(3);
+        expect(result.rowTops).toEqual([0, 3 * LINE_HEIGHT + CELL_PADDING * 2]);
+        expect(result.cells[1].height).toBe(result.cells[0].height);
+    });
+
+    it('stretches the last row a spanning cell covers', () => {
+        const result = layout({
+            rows: [
+                row([cell('one two three four', { rowSpan: 2 }), cell('a')]),
+                row([cell('b')])
+            ],
+            columnWidths: [38, 100]
+        });
+
+        const single = LINE_HEIGHT + CELL_PADDING * 2;
+        expect(result.rowTops[1]).toBe(single);
+        expect(result.rowTops[2]).toBe(4 * LINE_HEIGHT + CELL_PADDING * 2);
+        expect(result.cells[0].height).toBe(result.rowTops[2]);
+    });
+
+    it('ties rows joined by spanning cells into one band', () => {
+        const result = layout({
+            rows: [
+                row([cell('a', { rowSpan: 2 }), cell('b')]),
+                row([cell('c')]),
+                row([cell('d'), cell('e')])
+            ],
+            columnWidths: [100, 100]
+        });
+
+        expect(result.bands).toEqual([{ start: 0, end: 1 }, { start: 2, end: 2 }]);
+    });
+
+    it('counts leading header rows to repeat on each page', () => {
+        const result = layout({
+            rows: [row([cell('Name'), cell('Age')], true), row([cell('Ann'), cell('40')])],
+            columnWidths: [100, 100]
+        });
+        expect(result.headerRowCount).toBe(1);
+    });
+
+    it('does not repeat a header tied to body rows by a spanning cell', () => {
+        const result = layout({
+            rows: [row([cell('Name', { rowSpan: 2 }), cell('Age')], true), row([cell('40')])],
+            columnWidths: [100, 100]
+        });
+        expect(result.headerRowCount).toBe(0);
+    });
+});
+
+describe('findTableBreak', () => {
+    const converter = new WordToPDFConverter();
+    const tall = layout({ rows: [row([cell('one two three four five')])], columnWidths: [48] });
+    const band = tall.bands[0];
+
+    it('takes the whole band when it fits', () => {
+        expect(converter.findTableBreak(tall, band, 0, 1000)).toBe(tall.rowTops[1]);
+    });
+
+    it('moves the break up so no line is cut in half', () => {
+        // Lines start at 4, 16, 28...; a limit of 20 falls inside the second line
+        expect(converter.findTableBreak(tall, band, 0, 20)).toBe(CELL_PADDING + LINE_HEIGHT);
+    });
+
+    it('keeps a break that falls between lines', () => {
+        expect(converter.findTableBreak(tall, band, 0, CELL_PADDING + LINE_HEIGHT * 2)).toBe(CELL_PADDING + LINE_HEIGHT * 2);
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import JSZip from 'jszip';
+import { createZipBlob, uniqueName, MAX_ZIP_ENTRIES } from '../src/utils/zipBuilder.js';
+import { isCancelledError } from '../src/utils/cancellation.js';
+
+const bytes = (text) => new TextEncoder().encode(text);
+
+async function openZip(blob) {
+    return JSZip.loadAsync(await blob.arrayBuffer());
+}
+
+describe('createZipBlob', () => {
+    it('writes an archive other ZIP readers can open', async () => {
+        const blob = await createZipBlob([
+            { filename: 'part-1.pdf', data: bytes('%PDF-1 first') },
+            { filename: 'part-2.pdf', data: bytes('%PDF-1 second') }
+        ]);
+
+        expect(blob.type).toBe('application/zip');
+
+        const zip = await openZip(blob);
+        expect(Object.keys(zip.files)).toEqual(['part-1.pdf', 'part-2.pdf']);
+        expect(await zip.file('part-2.pdf').async('string')).toBe('%PDF-1 second');
+    });
+
+    it('keeps UTF-8 file names', async () => {
+        const zip = await openZip(await createZipBlob([{ filename: 'Übersicht 概要.pdf', data: bytes('x') }]));
+        expect(Object.keys(zip.files)).toEqual(['Übersicht 概要.pdf']);
+    });
+
+    it('renames repeated file names', async () => {
+        const zip = await openZip(await createZipBlob([
+            { filename: 'Chapter.pdf', data: bytes('a') },
+            { filename: 'Chapter.pdf', data: bytes('b') },
+            { filename: 'Chapter.pdf', data: bytes('c') }
+        ]));
+
+        expect(Object.keys(zip.files)).toEqual(['Chapter.pdf', 'Chapter_2.pdf', 'Chapter_3.pdf']);
+        expect(await zip.file('Chapter_3.pdf').async('string')).toBe('c');
+    });
+
+    it('accepts ArrayBuffer data', async () => {
+        const zip = await openZip(await createZipBlob([{ filename: 'a.bin', data: bytes('buffer').buffer }]));
+        expect(await zip.file('a.bin').async('string')).toBe('buffer');
+    });
+
+    it('reports progress after each entry', async () => {
+        const progress = [];
+        await createZipBlob([
+            { filename: 'a.pdf', data: bytes('a') },
+            { filename: 'b.pdf', data: bytes('b') }
+        ], (percentage) => progress.push(percentage));
+
+        expect(progress).toEqual([50, 100]);
+    });
+
+    it('stops when cancelled', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        const error = await createZipBlob([{ filename: 'a.pdf', data: bytes('a') }], () => {}, controller.signal)
+            .catch(e => e);
+        expect(isCancelledError(error)).toBe(true);
+    });
+
+    it('refuses more entries than plain ZIP can hold', async () => {
+        const entries = Array.from({ length: MAX_ZIP_ENTRIES + 1 }, (_, i) => ({ filename: `${i}.pdf`, data: new Uint8Array(0) }));
+        await expect(createZipBlob(entries)).rejects.toThrow(/at most 65,535 files/);
+    });
+
+    it('refuses archives over 4 GB', async () => {
+        // Only the size is looked at before the archive is refused
+        const entries = [
+            { filename: 'a.pdf', data: { byteLength: 3 * 1024 ** 3 } },
+            { filename: 'b.pdf', data: { byteLength: 2 * 1024 ** 3 } }
+        ];
+        await expect(createZipBlob(entries)).rejects.toThrow(/more than 4 GB/);
+    });
+});
+
+describe('uniqueName', () => {
+    it('numbers repeated names before the extension', () => {
+        const used = new Set();
+        expect(['Intro.pdf', 'Intro.pdf', 'Intro.pdf', 'Intro_2.pdf'].map(name => uniqueName(name, used)))
+            .toEqual(['Intro.pdf', 'Intro_2.pdf', 'Intro_3.pdf', 'Intro_2_2.pdf']);
+    });
+
+    it('handles names without an extension', () => {
+        const used = new Set(['README']);
+        expect(uniqueName('README', used)).toBe('README_2');
+        expect(uniqueName('.hidden', new Set(['.hidden']))).toBe('.hidden_2');
+    });
+});
@@ -0,0 +1,91 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createZipDownloader } from '../src/utils/zipBuilder.js';
+import { isCancelledError } from '../src/utils/cancellation.js';
+
+const entries = [
+    { filename: 'one.pdf', data: new TextEncoder().encode('%PDF one') },
+    { filename: 'two.pdf', data: new TextEncoder().encode('%PDF two') }
+];
+
+function createUI() {
+    return {
+        sections: { result: { style: { display: 'none' } } },
+        showProgress: vi.fn(),
+        updateProgress: vi.fn(),
+        showNotification: vi.fn(),
+        hideSection: vi.fn()
+    };
+}
+
+describe('createZipDownloader', () => {
+    let ui;
+    let errorHandler;
+    let downloads;
+
+    beforeEach(() => {
+        ui = createUI();
+        errorHandler = { handleProcessingError: vi.fn() };
+        downloads = [];
+        vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+            downloads.push(this.download);
+        });
+        vi.spyOn(URL, 'createObjectURL').mockReturnValue('blob:zip');
+        vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+    });
+
+    afterEach(() => vi.restoreAllMocks());
+
+    it('saves the archive under the given name and shows the results again', async () => {
+        const { download } = createZipDownloader(ui, errorHandler);
+        await download(entries, 'split.zip');
+
+        expect(downloads).toEqual(['split.zip']);
+        expect(URL.createObjectURL.mock.calls[0][0].type).toBe('application/zip');
+        expect(ui.showProgress).toHaveBeenCalledWith(0, 'Creating ZIP archive...');
+        expect(ui.updateProgress).toHaveBeenCalledTimes(2);
+        expect(ui.showNotification).toHaveBeenCalledWith('ZIP archive with 2 files created', 'success');
+        expect(ui.hideSection).toHaveBeenCalledWith('progress');
+        expect(ui.sections.result.style.display).toBe('block');
+        expect(errorHandler.handleProcessingError).not.toHaveBeenCalled();
+    });
+
+    it('disables the button until the archive is saved', async () => {
+        const button = document.createElement('button');
+        const { download } = createZipDownloader(ui, errorHandler);
+
+        const done = download(entries, 'all.zip', button);
+        expect(button.disabled).toBe(true);
+        await done;
+        expect(button.disabled).toBe(false);
+    });
+
+    it('ignores another click while an archive is being built', async () => {
+        const { download } = createZipDownloader(ui, errorHandler);
+        await Promise.all([download(entries, 'first.zip'), download(entries, 'second.zip')]);
+
+        expect(downloads).toEqual(['first.zip']);
+    });
+
+    it('stops when cancelled, without saving anything', async () => {
+        const button = document.createElement('button');
+        const { download, cancel } = createZipDownloader(ui, errorHandler);
+
+        const done = download(entries, 'all.zip', button);
+        cancel();
+        await done;
+
+        expect(downloads).toEqual([]);
+        expect(isCancelledError(errorHandler.handleProcessingError.mock.calls[0][0])).toBe(true);
+        expect(button.disabled).toBe(false);
+        expect(ui.sections.result.style.display).toBe('block');
+    });
+
+    it('reports archives that can\'t be built', async () => {
+        const { download } = createZipDownloader(ui, errorHandler);
+        await download(new Array(0x10000).fill(entries[0]), 'huge.zip');
+
+        expect(downloads).toEqual([]);
+        expect(errorHandler.handleProcessingError.mock.calls[0][0].message).toMatch(/at most 65,535 files/);
+    });
+});
@@ -11,7 +11,8 @@ export default defineConfig({
     rollupOptions: {
       output: {
         manualChunks: {
-          'pdf-lib': ['pdf-lib']
+          'pdf-lib': ['pdf-lib'],
+          'pdfjs': ['pdfjs-dist']
         },
         assetFileNames: 'assets/[name]-[hash][extname]',
         chunkFileNames: 'assets/[name]-[hash].js',
@@ -25,6 +26,10 @@ export default defineConfig({
       }
     }
   },
+  worker: {
+    // The PDF worker lazy-loads pdf-lib, which needs code splitting
+    format: 'es'
+  },
   server: {
     port: 3000,
     open: true
@@ -32,5 +37,9 @@ export default defineConfig({
   preview: {
     port: 4173,
     open: true
+  },
+  test: {
+    include: ['tests/**/*.test.js'],
+    environment: 'node'
   }
 })
\ No newline at end of file